@@ -8,8 +8,10 @@ const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 // Import rate limiting
 const rateLimit = require('express-rate-limit');
-// Import the Transaction classes from Transaction.js
-const { Transaction, UserProfile, ReportGenerator } = require('./Transaction.js');
+// Import the reporting classes
+const Transaction = require('./Transaction');
+const UserProfile = require('./UserProfile');
+const ReportGenerator = require('./ReportGenerator');
 
 // Import new modules
 const SessionManager = require('./sessionManager');
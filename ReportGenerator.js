@@ -7,10 +7,12 @@ class ReportGenerator {
     /**
      * @param {Transaction[]} transactions - An array of Transaction objects for a specific user.
      * @param {UserProfile} userProfile - The profile of the user for whom the report is generated.
+     * @param {Map<string, string>} [categoryParents] - Maps "type|subcategory" to the parent category name.
      */
-    constructor(transactions, userProfile) {
+    constructor(transactions, userProfile, categoryParents = new Map()) {
         this.transactions = transactions.sort((a, b) => a.date - b.date);
         this.userProfile = userProfile;
+        this.categoryParents = categoryParents;
     }
 
     /**
@@ -25,9 +27,11 @@ class ReportGenerator {
 
     /**
      * Generates data for a spending analysis report (e.g., for a pie chart).
+     * Subcategories roll up into their parent category and are listed under it.
      * @param {Date} startDate - The start of the reporting period.
      * @param {Date} endDate - The end of the reporting period.
-     * @returns {Object[]} - An array of objects, e.g., [{ category: 'Groceries', total: 450.75 }, ...].
+     * @returns {Object[]} - An array of objects in minor units,
+     *   e.g., [{ category: 'Food', total: 45075, subcategories: [{ category: 'Groceries', total: 30000 }] }, ...].
      */
     generateSpendingAnalysis(startDate, endDate) {
         const relevantTransactions = this._getTransactionsInDateRange(startDate, endDate);
@@ -35,16 +39,26 @@ class ReportGenerator {
 
         for (const tx of relevantTransactions) {
             if (tx.type === 'expense') {
-                if (!spendingByCategory[tx.category]) {
-                    spendingByCategory[tx.category] = 0;
+                const parent = this.categoryParents.get(`expense|${tx.category}`) || tx.category;
+                if (!spendingByCategory[parent]) {
+                    spendingByCategory[parent] = { total: 0, subcategories: {} };
+                }
+                spendingByCategory[parent].total += tx.amount;
+
+                if (parent !== tx.category) {
+                    const subcategories = spendingByCategory[parent].subcategories;
+                    subcategories[tx.category] = (subcategories[tx.category] || 0) + tx.amount;
                 }
-                spendingByCategory[tx.category] += tx.amount;
             }
         }
 
         return Object.keys(spendingByCategory).map(category => ({
             category: category,
-            total: spendingByCategory[category]
+            total: spendingByCategory[category].total,
+            subcategories: Object.keys(spendingByCategory[category].subcategories).map(subcategory => ({
+                category: subcategory,
+                total: spendingByCategory[category].subcategories[subcategory]
+            }))
         }));
     }
 
@@ -52,7 +66,7 @@ class ReportGenerator {
      * Generates data for an Income vs. Expenses report.
      * @param {Date} startDate - The start of the reporting period.
      * @param {Date} endDate - The end of the reporting period.
-     * @returns {{totalIncome: number, totalExpenses: number}} - An object containing total income and expenses.
+     * @returns {{totalIncome: number, totalExpenses: number}} - An object containing total income and expenses in minor units.
      */
     generateIncomeVsExpenseReport(startDate, endDate) {
         const relevantTransactions = this._getTransactionsInDateRange(startDate, endDate);
@@ -74,7 +88,7 @@ class ReportGenerator {
      * Generates data to show savings growth over time (e.g., for a line chart).
      * @param {Date} startDate - The start of the reporting period.
      * @param {Date} endDate - The end of the reporting period.
-     * @returns {Object[]} - An array of objects, e.g., [{ date: '2023-01-15', balance: 500.00 }, ...].
+     * @returns {Object[]} - An array of objects in minor units, e.g., [{ date: '2023-01-15', balance: 50000 }, ...].
      */
     generateSavingsGrowth(startDate, endDate) {
         // This function remains the same as before.
@@ -105,7 +119,7 @@ class ReportGenerator {
      * NEW: Generates a report comparing the user's savings goal to their actual performance for a period.
      * @param {Date} startDate - The start of the reporting period.
      * @param {Date} endDate - The end of the reporting period.
-     * @returns {object} - An object detailing the budget vs. actual performance.
+     * @returns {object} - An object detailing the budget vs. actual performance, in minor units.
      */
     generateBudgetVsActualReport(startDate, endDate) {
         const { totalIncome, totalExpenses } = this.generateIncomeVsExpenseReport(startDate, endDate);
@@ -122,3 +136,5 @@ class ReportGenerator {
         };
     }
 }
+
+module.exports = ReportGenerator;
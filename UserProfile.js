@@ -1,9 +1,11 @@
+const Money = require('./money');
+
 
 class UserProfile {
     /**
      * @param {string} userId - The unique ID for the user.
      * @param {string} jobTitle - The user's job title.
-     * @param {number} monthlySalary - The user's fixed monthly income.
+     * @param {number} monthlySalary - The user's fixed monthly income in integer minor units.
      * @param {number} savingsGoalPercentage - The percentage of income the user wants to save (e.g., 20).
      */
     constructor(userId, jobTitle, monthlySalary, savingsGoalPercentage) {
@@ -15,9 +17,11 @@ class UserProfile {
 
     /**
      * Calculates the target amount to save each month based on the user's goal.
-     * @returns {number} The monthly savings goal amount.
+     * @returns {number} The monthly savings goal amount in minor units.
      */
     getMonthlySavingsGoalAmount() {
-        return this.monthlySalary * (this.savingsGoalPercentage / 100);
+        return Money.percentOf(this.monthlySalary, this.savingsGoalPercentage);
     }
-}
\ No newline at end of file
+}
+
+module.exports = UserProfile;
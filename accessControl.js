@@ -0,0 +1,161 @@
+/**
+ * Access Control Helpers
+ * Resolves the roles and permissions of users and grants or revokes roles.
+ * Roles and their permissions are seeded by migration 013.
+ */
+
+const ErrorHandler = require('./errorHandler');
+
+class AccessControl {
+    /**
+     * Roles and permissions of an active user
+     * Returns { roles: ['user', ...], permissions: Set }; both empty for unknown or inactive users
+     */
+    static async resolve(databaseManager, userId) {
+        const rows = await databaseManager.all(`
+            SELECT r.name AS role, p.name AS permission
+            FROM user_roles ur
+            JOIN users u ON u.id = ur.user_id AND u.is_active = 1
+            JOIN roles r ON r.id = ur.role_id
+            LEFT JOIN role_permissions rp ON rp.role_id = r.id
+            LEFT JOIN permissions p ON p.id = rp.permission_id
+            WHERE ur.user_id = ?
+        `, [userId]);
+
+        const roles = new Set();
+        const permissions = new Set();
+
+        for (const row of rows) {
+            roles.add(row.role);
+            if (row.permission) {
+                permissions.add(row.permission);
+            }
+        }
+
+        return { roles: [...roles], permissions };
+    }
+
+    /**
+     * All roles with their permissions
+     */
+    static async listRoles(databaseManager) {
+        const rows = await databaseManager.all(`
+            SELECT r.name, r.description, p.name AS permission
+            FROM roles r
+            LEFT JOIN role_permissions rp ON rp.role_id = r.id
+            LEFT JOIN permissions p ON p.id = rp.permission_id
+            ORDER BY r.id, p.name
+        `);
+
+        const roles = new Map();
+        for (const row of rows) {
+            if (!roles.has(row.name)) {
+                roles.set(row.name, { name: row.name, description: row.description, permissions: [] });
+            }
+            if (row.permission) {
+                roles.get(row.name).permissions.push(row.permission);
+            }
+        }
+
+        return [...roles.values()];
+    }
+
+    /**
+     * Roles granted to a user, with who granted them and when
+     */
+    static async getUserRoles(databaseManager, userId) {
+        return databaseManager.all(`
+            SELECT r.name, ur.granted_by, ur.granted_at
+            FROM user_roles ur
+            JOIN roles r ON r.id = ur.role_id
+            WHERE ur.user_id = ?
+            ORDER BY r.id
+        `, [userId]);
+    }
+
+    /**
+     * Grant a role; returns false if the user already has it
+     * Throws a 400 error for an unknown role
+     */
+    static async grantRole(databaseManager, userId, roleName, grantedBy = null) {
+        const role = await AccessControl.getRole(databaseManager, roleName);
+
+        const result = await databaseManager.run(
+            'INSERT OR IGNORE INTO user_roles (user_id, role_id, granted_by) VALUES (?, ?, ?)',
+            [userId, role.id, grantedBy]
+        );
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Revoke a role; returns false if the user did not have it
+     * The last admin cannot lose the admin role, so the platform always keeps one administrator
+     */
+    static async revokeRole(databaseManager, userId, roleName) {
+        const role = await AccessControl.getRole(databaseManager, roleName);
+
+        const granted = await databaseManager.get(
+            'SELECT 1 FROM user_roles WHERE user_id = ? AND role_id = ?',
+            [userId, role.id]
+        );
+
+        if (!granted) {
+            return false;
+        }
+
+        if (role.name === 'admin' && !(await AccessControl.hasOtherAdmin(databaseManager, userId))) {
+            throw ErrorHandler.errors.CONFLICT('The last administrator cannot lose the admin role');
+        }
+
+        await databaseManager.run('DELETE FROM user_roles WHERE user_id = ? AND role_id = ?', [userId, role.id]);
+        return true;
+    }
+
+    /**
+     * Activate or deactivate an account; returns false if it already had that status
+     * The last active admin cannot be deactivated, for the same reason as `revokeRole`
+     */
+    static async setActive(databaseManager, userId, active) {
+        // Check and update together, so two admins deactivating each other cannot both succeed
+        return databaseManager.transaction(async () => {
+            const roles = await AccessControl.getUserRoles(databaseManager, userId);
+            if (!active && roles.some(role => role.name === 'admin')
+                && !(await AccessControl.hasOtherAdmin(databaseManager, userId))) {
+                throw ErrorHandler.errors.CONFLICT('The last administrator cannot be deactivated');
+            }
+
+            const result = await databaseManager.run(
+                'UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = ?',
+                [active ? 1 : 0, userId, active ? 0 : 1]
+            );
+
+            return result.changes > 0;
+        }, { immediate: true });
+    }
+
+    // Whether an active admin other than the given user exists
+    static async hasOtherAdmin(databaseManager, userId) {
+        const row = await databaseManager.get(`
+            SELECT 1 FROM user_roles ur
+            JOIN roles r ON r.id = ur.role_id AND r.name = 'admin'
+            JOIN users u ON u.id = ur.user_id AND u.is_active = 1
+            WHERE ur.user_id != ?
+            LIMIT 1
+        `, [userId]);
+
+        return !!row;
+    }
+
+    static async getRole(databaseManager, roleName) {
+        const role = await databaseManager.get('SELECT id, name FROM roles WHERE name = ?', [roleName]);
+
+        if (!role) {
+            throw ErrorHandler.errors.VALIDATION_ERROR(`Unknown role: ${roleName}`);
+        }
+
+        return role;
+    }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,91 @@
+/**
+ * Account Helpers
+ * Looks up the accounts (cash, bank, card...) transactions belong to and computes their balances.
+ * A balance is the opening balance plus income and incoming transfers minus expenses and
+ * outgoing transfers, converted to the account currency.
+ */
+
+const ErrorHandler = require('./errorHandler');
+const CurrencyConverter = require('./currencyConverter');
+
+class AccountManager {
+    static async getAccount(databaseManager, userId, accountId) {
+        return databaseManager.get(
+            'SELECT * FROM accounts WHERE id = ? AND user_id = ?',
+            [accountId, userId]
+        );
+    }
+
+    /**
+     * Account that new transactions can be recorded in
+     * Throws a 400 error without an id, 404 for another user's account and 409 for an archived one
+     */
+    static async requireAccount(databaseManager, userId, accountId) {
+        if (!accountId || typeof accountId !== 'string') {
+            throw ErrorHandler.errors.VALIDATION_ERROR('Account is required');
+        }
+
+        const account = await AccountManager.getAccount(databaseManager, userId, accountId);
+
+        if (!account) {
+            throw ErrorHandler.errors.NOT_FOUND('Account not found');
+        }
+
+        if (account.is_archived) {
+            throw ErrorHandler.errors.CONFLICT(`Account ${account.name} is archived`);
+        }
+
+        return account;
+    }
+
+    /**
+     * Accounts of a user with their balance (minor units, account currency)
+     * Throws a 422 error when a transaction currency has no exchange rate
+     */
+    static async getAccountsWithBalances(databaseManager, userId, { accountId = null, includeArchived = true } = {}) {
+        const conditions = ['user_id = ?'];
+        const params = [userId];
+
+        if (accountId) {
+            conditions.push('id = ?');
+            params.push(accountId);
+        }
+
+        if (!includeArchived) {
+            conditions.push('is_archived = 0');
+        }
+
+        const accounts = await databaseManager.all(`
+            SELECT * FROM accounts
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY is_archived, created_at, name
+        `, params);
+
+        if (accounts.length === 0) {
+            return accounts;
+        }
+
+        const totals = await databaseManager.all(`
+            SELECT
+                account_id,
+                currency,
+                SUM(CASE WHEN type IN ('income', 'transfer_in') THEN amount ELSE -amount END) AS total
+            FROM transactions
+            WHERE user_id = ?${accountId ? ' AND account_id = ?' : ''}
+            GROUP BY account_id, currency
+        `, accountId ? [userId, accountId] : [userId]);
+
+        const rates = await CurrencyConverter.getRates(databaseManager);
+
+        return accounts.map(account => ({
+            ...account,
+            balance: account.opening_balance + CurrencyConverter.sum(
+                totals.filter(row => row.account_id === account.id),
+                account.currency,
+                rates
+            )
+        }));
+    }
+}
+
+module.exports = AccountManager;
@@ -0,0 +1,63 @@
+/**
+ * Audit log integrity command
+ * Usage: npm run audit -- [verify [--max-age <minutes>] | checkpoint]
+ *
+ *   verify       walk the hash chain and check the signed checkpoints; exits with 1 if broken
+ *                --max-age also requires the newest checkpoint to be at most that old
+ *                (for a database whose server is running)
+ *   checkpoint   sign the current head of the chain
+ */
+
+const DatabaseManager = require('./databaseManager');
+const AuditChain = require('./auditChain');
+
+async function main() {
+    const [command = 'verify', ...options] = process.argv.slice(2);
+
+    if (!['verify', 'checkpoint'].includes(command)) {
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    let maxAge = null;
+    if (options[0] === '--max-age') {
+        const minutes = Number(options[1]);
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+            throw new Error('--max-age must be a positive number of minutes');
+        }
+        maxAge = minutes * 60 * 1000;
+    } else if (options.length > 0) {
+        throw new Error(`Unknown option: ${options[0]}`);
+    }
+
+    const databaseManager = new DatabaseManager();
+    await databaseManager.connect();
+
+    try {
+        switch (command) {
+            case 'verify': {
+                const result = await AuditChain.verify(databaseManager, { maxAge });
+                if (result.valid) {
+                    console.log(`✅ Audit log intact: ${result.entries} entries, ${result.checkpoints} checkpoint(s)`);
+                } else {
+                    console.error(`❌ Audit log broken at entry ${result.brokenAt}: ${result.reason}`);
+                    console.error(`   ${result.entries} entries before it are intact`);
+                    process.exitCode = 1;
+                }
+                break;
+            }
+
+            case 'checkpoint': {
+                const checkpoint = await AuditChain.createCheckpoint(databaseManager);
+                console.log(`✅ Signed checkpoint at entry ${checkpoint.auditLogId}`);
+                break;
+            }
+        }
+    } finally {
+        await databaseManager.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Audit command failed:', error.message);
+    process.exit(1);
+});
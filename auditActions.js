@@ -0,0 +1,95 @@
+/**
+ * Audit Log Actions
+ * The one list of actions written to the audit log, with the category and description
+ * shown in the user's activity. Log through the constants (`AuditActions.LOGIN_SUCCESS`):
+ * `logAuditEvent` refuses an action that is not listed here.
+ */
+
+// A null category keeps the action out of the activity filters
+const ACTIONS = {
+    REGISTRATION_STARTED: { category: 'security', description: 'Registration started' },
+    REGISTRATION_VERIFICATION_FAILED: { category: 'security', description: 'Wrong registration verification code entered' },
+    USER_REGISTERED: { category: 'security', description: 'Account created' },
+    AUTH_SUCCESS: { category: null, description: 'Request signed in with a session' },
+    UNAUTHORIZED_ACCESS: { category: 'security', description: 'Tried to open data of another user' },
+    LOGIN_SUCCESS: { category: 'security', description: 'Signed in' },
+    LOGIN_FAILED: { category: 'security', description: 'Failed sign-in attempt (wrong password)' },
+    LOGIN_BLOCKED: { category: 'security', description: 'Sign-in attempt refused while the account was locked' },
+    LOGIN_MFA_REQUIRED: { category: 'security', description: 'Password accepted; two-factor code requested' },
+    LOGOUT: { category: 'security', description: 'Signed out' },
+    LOGOUT_ALL: { category: 'security', description: 'Signed out of all devices' },
+    SESSION_REVOKED: { category: 'security', description: 'Signed out a device' },
+    REFRESH_TOKEN_REUSE_DETECTED: { category: 'security', description: 'A stolen session token may have been used; the session was ended' },
+    PASSWORD_RESET_REQUESTED: { category: 'security', description: 'Password reset requested' },
+    PASSWORD_RESET_COMPLETED: { category: 'security', description: 'Password changed via reset link; all devices signed out' },
+    ACCOUNT_LOCKED: { category: 'security', description: 'Account locked after repeated failed sign-ins' },
+    ACCOUNT_UNLOCKED: { category: 'security', description: 'Account unlocked via email link' },
+    MFA_SETUP_STARTED: { category: 'security', description: 'Two-factor authentication setup started' },
+    MFA_ENABLED: { category: 'security', description: 'Two-factor authentication enabled' },
+    MFA_DISABLED: { category: 'security', description: 'Two-factor authentication disabled' },
+    MFA_FAILED: { category: 'security', description: 'Wrong two-factor code entered' },
+    MFA_RECOVERY_CODES_REGENERATED: { category: 'security', description: 'New two-factor recovery codes generated' },
+    ROLE_GRANTED: { category: 'security', description: 'Granted a role' },
+    ROLE_REVOKED: { category: 'security', description: 'Revoked a role' },
+    USER_DEACTIVATED: { category: 'security', description: 'Deactivated a user account' },
+    USER_REACTIVATED: { category: 'security', description: 'Reactivated a user account' },
+    USER_FORCE_LOGOUT: { category: 'security', description: 'Signed a user out of all devices' },
+    EXCHANGE_RATES_UPDATED: { category: 'data', description: 'Exchange rates updated' },
+    PROFILE_UPDATED: { category: 'account', description: 'Profile updated' },
+    SETTINGS_UPDATED: { category: 'account', description: 'Settings updated' },
+    TRANSACTION_CREATED: { category: 'data', description: 'Transaction added' },
+    TRANSACTION_UPDATED: { category: 'data', description: 'Transaction edited' },
+    TRANSACTION_DELETED: { category: 'data', description: 'Transaction deleted' },
+    TRANSACTIONS_IMPORTED: { category: 'data', description: 'Bank statement imported' },
+    TRANSACTIONS_EXPORTED: { category: 'data', description: 'Transactions exported' },
+    RECURRING_RULE_CREATED: { category: 'data', description: 'Recurring transaction created' },
+    RECURRING_RULE_UPDATED: { category: 'data', description: 'Recurring transaction edited' },
+    RECURRING_RULE_DELETED: { category: 'data', description: 'Recurring transaction deleted' },
+    RECURRING_RULE_PAUSED: { category: 'data', description: 'Recurring transaction paused' },
+    RECURRING_TRANSACTION_CREATED: { category: 'data', description: 'Transaction added by a recurring transaction' },
+    BUDGET_CREATED: { category: 'data', description: 'Budget created' },
+    BUDGET_UPDATED: { category: 'data', description: 'Budget edited' },
+    BUDGET_DELETED: { category: 'data', description: 'Budget deleted' },
+    ACCOUNT_CREATED: { category: 'data', description: 'Account (wallet) added' },
+    ACCOUNT_UPDATED: { category: 'data', description: 'Account (wallet) edited' },
+    ACCOUNT_DELETED: { category: 'data', description: 'Account (wallet) deleted' },
+    TRANSFER_CREATED: { category: 'data', description: 'Money transferred between accounts' },
+    TRANSFER_DELETED: { category: 'data', description: 'Transfer between accounts deleted' },
+    CATEGORY_CREATED: { category: 'data', description: 'Category added' },
+    CATEGORY_UPDATED: { category: 'data', description: 'Category edited' },
+    CATEGORY_ARCHIVED: { category: 'data', description: 'Category archived' },
+    CATEGORIZATION_RULE_CREATED: { category: 'data', description: 'Categorization rule added' },
+    CATEGORIZATION_RULE_UPDATED: { category: 'data', description: 'Categorization rule edited' },
+    CATEGORIZATION_RULE_DELETED: { category: 'data', description: 'Categorization rule deleted' },
+    CATEGORIZATION_RULES_APPLIED: { category: 'data', description: 'Categorization rules re-run over past transactions' },
+    GOAL_CREATED: { category: 'data', description: 'Savings goal created' },
+    GOAL_UPDATED: { category: 'data', description: 'Savings goal edited' },
+    GOAL_DELETED: { category: 'data', description: 'Savings goal deleted' },
+    GOAL_CONTRIBUTION_ADDED: { category: 'data', description: 'Contribution added to a savings goal' },
+    GOAL_CONTRIBUTION_DELETED: { category: 'data', description: 'Contribution removed from a savings goal' }
+};
+
+class AuditActions {
+    static CATEGORIES = ['security', 'account', 'data'];
+
+    /**
+     * Category and description of an action, or null for one that is not listed
+     */
+    static describe(action) {
+        return Object.prototype.hasOwnProperty.call(ACTIONS, action) ? ACTIONS[action] : null;
+    }
+
+    /**
+     * Names of the actions in an activity category
+     */
+    static inCategory(category) {
+        return Object.keys(ACTIONS).filter(name => ACTIONS[name].category === category);
+    }
+}
+
+// One constant per action, holding its name
+for (const name of Object.keys(ACTIONS)) {
+    AuditActions[name] = name;
+}
+
+module.exports = AuditActions;
@@ -0,0 +1,177 @@
+/**
+ * Audit Log Hash Chain
+ * Every audit_log row stores the hash of the previous row and a hash over its own content,
+ * so editing, inserting or deleting a row breaks the chain from that point on.
+ * Signed checkpoints (HMAC with `config.security.auditSigningKey`) pin the chain head, so
+ * rewriting the whole chain or cutting off its newest rows is detected as well. Each checkpoint
+ * also signs the previous checkpoint's signature and its own time, so checkpoints cannot be
+ * deleted either, except the newest ones: `verify` can be given a maximum age for those.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditChain {
+    static get GENESIS_HASH() {
+        return GENESIS_HASH;
+    }
+
+    /**
+     * Hash of an entry chained to the previous entry's hash
+     */
+    static computeHash(prevHash, entry) {
+        const content = JSON.stringify([
+            prevHash,
+            entry.user_id ?? null,
+            entry.action,
+            entry.details ?? null,
+            entry.ip_address ?? null,
+            entry.user_agent ?? null,
+            entry.created_at
+        ]);
+
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Timestamp in the format of SQLite's CURRENT_TIMESTAMP (UTC), fixed before hashing
+     */
+    static timestamp(date = new Date()) {
+        return date.toISOString().replace('T', ' ').substring(0, 19);
+    }
+
+    /**
+     * Signature of a checkpoint ({ audit_log_id, hash, created_at, prev_signature })
+     */
+    static sign(checkpoint) {
+        return crypto
+            .createHmac('sha256', String(config.security.auditSigningKey))
+            .update([
+                checkpoint.audit_log_id,
+                checkpoint.hash,
+                checkpoint.created_at,
+                checkpoint.prev_signature || ''
+            ].join(':'))
+            .digest('hex');
+    }
+
+    /**
+     * Hash of the newest entry (the genesis hash for an empty log)
+     */
+    static async getHead(databaseManager) {
+        const head = await databaseManager.get('SELECT id, hash FROM audit_log ORDER BY id DESC LIMIT 1');
+        return head || { id: 0, hash: GENESIS_HASH };
+    }
+
+    /**
+     * Sign the current chain head (also when it was signed before, so the newest checkpoint stays recent)
+     * Returns the new checkpoint; an empty log is checkpointed at entry 0
+     */
+    static async createCheckpoint(databaseManager) {
+        return databaseManager.transaction(async () => {
+            const head = await AuditChain.getHead(databaseManager);
+            const latest = await databaseManager.get(
+                'SELECT signature FROM audit_checkpoints ORDER BY id DESC LIMIT 1'
+            );
+
+            const checkpoint = {
+                audit_log_id: head.id,
+                hash: head.hash,
+                created_at: AuditChain.timestamp(),
+                prev_signature: latest ? latest.signature : null
+            };
+            const signature = AuditChain.sign(checkpoint);
+
+            await databaseManager.run(`
+                INSERT INTO audit_checkpoints (audit_log_id, hash, signature, prev_signature, created_at)
+                VALUES (?, ?, ?, ?, ?)
+            `, [checkpoint.audit_log_id, checkpoint.hash, signature, checkpoint.prev_signature, checkpoint.created_at]);
+
+            return { auditLogId: head.id, hash: head.hash, signature };
+        }, { immediate: true });
+    }
+
+    /**
+     * Walk the chain from the first entry and check the checkpoints: each must be correctly signed,
+     * follow the previous one, sign the same or a later entry and match that entry.
+     * With `maxAge` (ms) the newest checkpoint must also be at most that old, which shows that
+     * the newest checkpoints were deleted (only meaningful while the server is writing checkpoints)
+     * Returns { valid, entries, checkpoints, brokenAt, reason } where brokenAt is the
+     * id of the first entry that does not match (null when the log is intact)
+     */
+    static async verify(databaseManager, { maxAge = null } = {}) {
+        let prevHash = GENESIS_HASH;
+        let entries = 0;
+        let firstId = null;
+        const hashes = new Map([[0, GENESIS_HASH]]);
+
+        const rows = databaseManager.iterate(
+            'SELECT id, user_id, action, details, ip_address, user_agent, created_at, prev_hash, hash FROM audit_log ORDER BY id'
+        );
+
+        for await (const row of rows) {
+            if (row.prev_hash !== prevHash) {
+                return AuditChain.broken(row.id, entries, 'Entry does not link to the previous entry (an entry was deleted, inserted or edited)');
+            }
+
+            if (row.hash !== AuditChain.computeHash(prevHash, row)) {
+                return AuditChain.broken(row.id, entries, 'Entry content does not match its hash (the entry was edited)');
+            }
+
+            firstId = firstId ?? row.id;
+            hashes.set(row.id, row.hash);
+            prevHash = row.hash;
+            entries++;
+        }
+
+        const checkpoints = await databaseManager.all(
+            'SELECT id, audit_log_id, hash, signature, prev_signature, created_at FROM audit_checkpoints ORDER BY id'
+        );
+        let prevSignature = null;
+        let prevEntryId = 0;
+
+        for (const checkpoint of checkpoints) {
+            const expected = AuditChain.sign(checkpoint);
+            const signatureValid = checkpoint.signature.length === expected.length
+                && crypto.timingSafeEqual(Buffer.from(checkpoint.signature), Buffer.from(expected));
+
+            if (!signatureValid) {
+                return AuditChain.broken(checkpoint.audit_log_id, entries, `Checkpoint ${checkpoint.id} has an invalid signature`);
+            }
+
+            if (checkpoint.prev_signature !== prevSignature) {
+                return AuditChain.broken(checkpoint.audit_log_id, entries, `Checkpoint ${checkpoint.id} does not follow the previous checkpoint (a checkpoint was deleted)`);
+            }
+
+            if (checkpoint.audit_log_id < prevEntryId) {
+                return AuditChain.broken(checkpoint.audit_log_id, entries, `Checkpoint ${checkpoint.id} signs an older entry than the previous checkpoint (the log was cut short)`);
+            }
+
+            if (hashes.get(checkpoint.audit_log_id) !== checkpoint.hash) {
+                return AuditChain.broken(checkpoint.audit_log_id, entries, `Entry signed by checkpoint ${checkpoint.id} is missing or was rewritten`);
+            }
+
+            prevSignature = checkpoint.signature;
+            prevEntryId = checkpoint.audit_log_id;
+        }
+
+        const latest = checkpoints[checkpoints.length - 1];
+        const oldestAllowed = maxAge === null ? null : AuditChain.timestamp(new Date(Date.now() - maxAge));
+
+        if (oldestAllowed && entries > 0 && (!latest || latest.created_at < oldestAllowed)) {
+            return latest
+                ? AuditChain.broken(latest.audit_log_id, entries, `The newest checkpoint (${latest.id}, ${latest.created_at} UTC) is older than the maximum age; newer checkpoints may have been deleted`)
+                : AuditChain.broken(firstId, 0, 'There are no checkpoints (they may have been deleted)');
+        }
+
+        return { valid: true, entries, checkpoints: checkpoints.length, brokenAt: null, reason: null };
+    }
+
+    static broken(entryId, entries, reason) {
+        return { valid: false, entries, brokenAt: entryId, reason };
+    }
+}
+
+module.exports = AuditChain;
@@ -5,17 +5,20 @@
 
 const ErrorHandler = require('./errorHandler');
 const config = require('./config');
+const AccessControl = require('./accessControl');
+const AuditActions = require('./auditActions');
 
 class AuthMiddleware {
-    constructor(sessionManager) {
+    constructor(sessionManager, databaseManager = null) {
         this.sessionManager = sessionManager;
+        this.databaseManager = databaseManager;
     }
 
     /**
      * Middleware to require authentication
      * Validates JWT token and adds user info to request
      */
-    requireAuth(req, res, next) {
+    async requireAuth(req, res, next) {
         try {
             // Extract token from various sources
             const token = this.extractToken(req);
@@ -30,7 +33,7 @@ class AuthMiddleware {
             }
 
             // Validate and decode token
-            const session = this.sessionManager.validateSession(token);
+            const session = await this.sessionManager.validateSession(token);
             if (!session) {
                 return this.sendAuthError(res, 'Token expired or invalid', 'INVALID_TOKEN');
             }
@@ -47,7 +50,7 @@ class AuthMiddleware {
             if (global.databaseManager) {
                 global.databaseManager.logAuditEvent(
                     session.userId, 
-                    'AUTH_SUCCESS', 
+                    AuditActions.AUTH_SUCCESS, 
                     `User authenticated via ${req.method} ${req.url}`,
                     req
                 ).catch(err => console.error('Failed to log auth event:', err));
@@ -65,16 +68,16 @@ class AuthMiddleware {
      * Middleware to require admin privileges
      */
     requireAdmin(req, res, next) {
-        this.requireAuth(req, res, async () => {
+        return this.requireAuth(req, res, async () => {
             try {
                 // Check if user has admin role
-                const isAdmin = await this.checkAdminRole(req.user.userId);
+                const isAdmin = await this.checkAdminRole(req);
                 
                 if (!isAdmin) {
                     return this.sendAuthError(res, 'Admin privileges required', 'ADMIN_REQUIRED', 403);
                 }
 
-                next();
+                await next();
                 
             } catch (error) {
                 ErrorHandler.logError(error, req);
@@ -99,7 +102,7 @@ class AuthMiddleware {
                 if (global.databaseManager) {
                     global.databaseManager.logAuditEvent(
                         req.user.userId,
-                        'UNAUTHORIZED_ACCESS',
+                        AuditActions.UNAUTHORIZED_ACCESS,
                         `Attempted to access user ${targetUserId} data`,
                         req
                     ).catch(err => console.error('Failed to log unauthorized access:', err));
@@ -117,15 +120,15 @@ class AuthMiddleware {
      */
     requirePermission(permission) {
         return (req, res, next) => {
-            this.requireAuth(req, res, async () => {
+            return this.requireAuth(req, res, async () => {
                 try {
-                    const hasPermission = await this.checkPermission(req.user.userId, permission);
+                    const hasPermission = await this.checkPermission(req, permission);
                     
                     if (!hasPermission) {
                         return this.sendAuthError(res, `Permission '${permission}' required`, 'PERMISSION_DENIED', 403);
                     }
 
-                    next();
+                    await next();
                     
                 } catch (error) {
                     ErrorHandler.logError(error, req);
@@ -178,53 +181,33 @@ class AuthMiddleware {
     }
 
     /**
-     * Check if user has admin role
+     * Resolve the roles and permissions of the authenticated user
+     * Resolved once per request and kept on req.user
      */
-    async checkAdminRole(userId) {
-        if (!global.databaseManager) {
-            return false; // Default to false if no database
+    async getAuthorization(req) {
+        if (!req.user.authorization) {
+            req.user.authorization = this.databaseManager
+                ? await AccessControl.resolve(this.databaseManager, req.user.userId)
+                : { roles: [], permissions: new Set() }; // Default to no access if no database
         }
 
-        try {
-            const user = await global.databaseManager.get(
-                'SELECT role FROM users WHERE id = ? AND is_active = 1',
-                [userId]
-            );
-            
-            return user && user.role === 'admin';
-        } catch (error) {
-            console.error('Error checking admin role:', error);
-            return false;
-        }
+        return req.user.authorization;
     }
 
     /**
-     * Check if user has specific permission
+     * Check if user has admin role
      */
-    async checkPermission(userId, permission) {
-        if (!global.databaseManager) {
-            return false; // Default to false if no database
-        }
-
-        try {
-            // This is a simplified permission check
-            // In a real application, you'd have a permissions table
-            const user = await global.databaseManager.get(
-                'SELECT permissions FROM users WHERE id = ? AND is_active = 1',
-                [userId]
-            );
-            
-            if (!user || !user.permissions) {
-                return false;
-            }
+    async checkAdminRole(req) {
+        const { roles } = await this.getAuthorization(req);
+        return roles.includes('admin');
+    }
 
-            const permissions = JSON.parse(user.permissions);
-            return permissions.includes(permission);
-            
-        } catch (error) {
-            console.error('Error checking permission:', error);
-            return false;
-        }
+    /**
+     * Check if user has specific permission
+     */
+    async checkPermission(req, permission) {
+        const { permissions } = await this.getAuthorization(req);
+        return permissions.has(permission);
     }
 
     /**
@@ -242,59 +225,24 @@ class AuthMiddleware {
         }));
     }
 
-    /**
-     * Refresh token middleware
-     */
-    refreshToken(req, res, next) {
-        try {
-            const token = this.extractToken(req);
-            
-            if (!token) {
-                return this.sendAuthError(res, 'Token required for refresh', 'NO_TOKEN');
-            }
-
-            const newSession = this.sessionManager.refreshSession(token);
-            
-            // Set new token in response headers
-            res.setHeader('X-New-Token', newSession.token);
-            res.setHeader('X-Token-Expires', newSession.expiresAt.toISOString());
-            
-            next();
-            
-        } catch (error) {
-            ErrorHandler.logError(error, req);
-            return this.sendAuthError(res, 'Token refresh failed', 'REFRESH_FAILED');
-        }
-    }
-
     /**
      * Logout middleware
      */
-    logout(req, res, next) {
+    async logout(req, res, next) {
         try {
             const token = this.extractToken(req);
             
+            // The token must be persisted as revoked before the logout is reported as done
             if (token) {
-                this.sessionManager.destroySession(token);
-                
-                // Log logout event
-                if (global.databaseManager && req.user) {
-                    global.databaseManager.logAuditEvent(
-                        req.user.userId,
-                        'LOGOUT',
-                        'User logged out successfully',
-                        req
-                    ).catch(err => console.error('Failed to log logout event:', err));
-                }
+                await this.sessionManager.destroySession(token);
             }
-
-            next();
             
         } catch (error) {
             ErrorHandler.logError(error, req);
-            // Continue with logout even if there's an error
-            next();
+            return this.sendAuthError(res, 'Logout failed', 'LOGOUT_FAILED', 500);
         }
+
+        return next();
     }
 }
 
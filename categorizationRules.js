@@ -0,0 +1,114 @@
+/**
+ * Categorization Rules
+ * Picks the category and tags of a transaction from the user's rules (description text or pattern,
+ * amount range, type). Rules are tried by priority.
+ */
+
+const config = require('./config');
+const Validators = require('./validators');
+
+class CategorizationRules {
+    /**
+     * Active rules of a user in the order they are tried, with their pattern compiled
+     */
+    static async getActiveRules(databaseManager, userId) {
+        const rules = await databaseManager.all(`
+            SELECT * FROM categorization_rules
+            WHERE user_id = ? AND is_active = 1
+            ORDER BY priority, created_at, id
+        `, [userId]);
+
+        // Patterns saved before they were checked for backtracking are skipped with their rule
+        return rules
+            .filter(rule => !rule.description_pattern || !Validators.getPatternProblem(rule.description_pattern))
+            .map(rule => ({
+                ...rule,
+                tags: CategorizationRules.parseTags(rule.tags),
+                pattern: rule.description_pattern ? new RegExp(rule.description_pattern, 'i') : null
+            }));
+    }
+
+    /**
+     * Whether a transaction ({ type, amount in minor units, description }) meets every condition of a rule
+     * Amounts are compared in the transaction's own currency
+     */
+    static matches(rule, { type, amount, description }) {
+        const text = description || '';
+
+        if (rule.type && rule.type !== type) {
+            return false;
+        }
+
+        if (rule.description_contains && !text.toLowerCase().includes(rule.description_contains.toLowerCase())) {
+            return false;
+        }
+
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return false;
+        }
+
+        if (rule.min_amount !== null && amount < rule.min_amount) {
+            return false;
+        }
+
+        if (rule.max_amount !== null && amount > rule.max_amount) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Run the rules over a transaction: the first matching rule that sets a category decides the category,
+     * and every matching rule adds its tags. Rules whose category is not usable for the transaction's type
+     * are skipped (`categories` as returned by CategoryManager.getUsableNames).
+     * Returns { category, tags, rules } where `rules` are the rules that matched
+     */
+    static apply(rules, transaction, categories) {
+        const usable = categories[transaction.type] || [];
+        const result = { category: null, tags: [], rules: [] };
+
+        for (const rule of rules) {
+            if (!CategorizationRules.matches(rule, transaction) || (rule.category && !usable.includes(rule.category))) {
+                continue;
+            }
+
+            if (rule.category && !result.category) {
+                result.category = rule.category;
+            }
+
+            result.tags = CategorizationRules.mergeTags(result.tags, rule.tags);
+            result.rules.push(rule);
+        }
+
+        return result;
+    }
+
+    /**
+     * Add tags to a list, ignoring ones already present (case-insensitive), up to the per-transaction limit
+     */
+    static mergeTags(tags, added) {
+        const merged = [...tags];
+
+        for (const tag of added) {
+            if (!merged.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                merged.push(tag);
+            }
+        }
+
+        return merged.slice(0, config.tags.maxPerTransaction);
+    }
+
+    /**
+     * Tags are stored as a JSON array, or NULL when there are none
+     */
+    static parseTags(value) {
+        return value ? JSON.parse(value) : [];
+    }
+
+    static serializeTags(tags) {
+        return tags && tags.length > 0 ? JSON.stringify(tags) : null;
+    }
+}
+
+module.exports = CategorizationRules;
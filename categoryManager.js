@@ -0,0 +1,114 @@
+/**
+ * Category Helpers
+ * Loads the per-user transaction categories and maps subcategories to their parent.
+ * Users start with `config.transactionCategories`, created the first time their categories are read.
+ */
+
+const config = require('./config');
+const Validators = require('./validators');
+
+class CategoryManager {
+    /**
+     * Create the default categories for a user that has none yet
+     */
+    static async ensureDefaults(databaseManager, userId) {
+        const existing = await databaseManager.get('SELECT 1 FROM categories WHERE user_id = ? LIMIT 1', [userId]);
+        if (existing) {
+            return;
+        }
+
+        for (const type of ['income', 'expense']) {
+            for (const name of config.transactionCategories[type]) {
+                await CategoryManager.insertCategory(databaseManager, userId, { name, type });
+            }
+        }
+    }
+
+    /**
+     * Insert a category unless the user already has one with that name and type
+     * Returns the new id, or null when it already existed
+     */
+    static async insertCategory(databaseManager, userId, { name, type, parentId = null, icon = null, color = null }) {
+        const categoryId = Validators.generateSecureId();
+
+        const result = await databaseManager.run(`
+            INSERT OR IGNORE INTO categories (id, user_id, name, type, parent_id, icon, color)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [categoryId, userId, name, type, parentId, icon, color]);
+
+        return result.changes > 0 ? categoryId : null;
+    }
+
+    /**
+     * Categories of a user with the name of their parent, parents first
+     */
+    static async getCategories(databaseManager, userId, { type = null, includeArchived = true } = {}) {
+        await CategoryManager.ensureDefaults(databaseManager, userId);
+
+        const conditions = ['c.user_id = ?'];
+        const params = [userId];
+
+        if (type) {
+            conditions.push('c.type = ?');
+            params.push(type);
+        }
+
+        if (!includeArchived) {
+            conditions.push('c.is_archived = 0');
+        }
+
+        return databaseManager.all(`
+            SELECT c.*, p.name AS parent_name
+            FROM categories c
+            LEFT JOIN categories p ON p.id = c.parent_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY c.type, COALESCE(p.name, c.name), c.parent_id IS NOT NULL, c.name
+        `, params);
+    }
+
+    /**
+     * Names of the categories new transactions can use: { income: [...], expense: [...] }
+     * (the shape of `config.transactionCategories`, as expected by the validators)
+     * `current` ({ type, name } or a list of them) keeps an edited record's categories usable even if they were archived since
+     */
+    static async getUsableNames(databaseManager, userId, current = null) {
+        const categories = await CategoryManager.getCategories(databaseManager, userId, { includeArchived: false });
+        const names = { income: [], expense: [] };
+
+        for (const category of categories) {
+            names[category.type].push(category.name);
+        }
+
+        for (const kept of [].concat(current || [])) {
+            if (names[kept.type] && !names[kept.type].includes(kept.name)) {
+                names[kept.type].push(kept.name);
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Map of "type|subcategory" to the parent category name, archived categories included
+     * so older transactions still roll up
+     */
+    static async getParentMap(databaseManager, userId) {
+        const rows = await databaseManager.all(`
+            SELECT c.type, c.name, p.name AS parent_name
+            FROM categories c
+            JOIN categories p ON p.id = c.parent_id
+            WHERE c.user_id = ?
+        `, [userId]);
+
+        return new Map(rows.map(row => [`${row.type}|${row.name}`, row.parent_name]));
+    }
+
+    /**
+     * The category a transaction rolls up into: its parent, or the category itself
+     */
+    static rollup(parentMap, type, name) {
+        return parentMap.get(`${type}|${name}`) || name;
+    }
+}
+
+module.exports = CategoryManager;
@@ -10,9 +10,32 @@ const config = {
     // Konfigurimi i sigurisë
     security: {
         bcryptRounds: 10,
-        sessionTimeout: 24 * 60 * 60 * 1000, // 24 orë
+        sessionTimeout: 15 * 60 * 1000, // 15 minuta (jetëgjatësia e access token-it)
+        refreshTokenTimeout: 30 * 24 * 60 * 60 * 1000, // 30 ditë (rinovohet me /auth/refresh)
+        blacklistCacheTtl: 30 * 1000, // sa gjatë ruhet në memorie një token i kontrolluar si jo i revokuar
+        blacklistCacheSize: 10000,
+        tokenCleanupInterval: 60 * 60 * 1000, // fshirja e token-ave të skaduar nga blacklisted_tokens
         jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-        passwordMinLength: 8
+        passwordMinLength: 8,
+        passwordResetExpiry: 60 * 60 * 1000, // 1 orë
+        registrationSessionExpiry: 24 * 60 * 60 * 1000, // 24 orë për të përfunduar regjistrimin me hapa
+        maxVerificationAttempts: 5, // pas kësaj duhet kërkuar kod i ri
+        // Autentifikimi me dy faktorë (TOTP)
+        mfaIssuer: 'Elioti', // emri që shfaqet në aplikacionin autentifikues
+        mfaEncryptionKey: process.env.MFA_ENCRYPTION_KEY || process.env.DB_ENCRYPTION_KEY, // enkriptimi i sekreteve TOTP
+        mfaChallengeExpiry: 5 * 60 * 1000, // 5 minuta për të dhënë kodin pas fjalëkalimit
+        maxMfaAttempts: 5, // pas kësaj duhet kyçur përsëri me fjalëkalim
+        mfaRecoveryCodeCount: 10,
+        // Mbrojtja nga hamendësimi i fjalëkalimit për një llogari
+        loginDelayThreshold: 3, // dështime para se të fillojë vonesa
+        loginDelayBase: 2 * 1000, // vonesa dyfishohet me çdo dështim pas pragut
+        maxFailedLogins: 10, // pas kësaj llogaria bllokohet
+        accountLockoutDuration: 30 * 60 * 1000, // 30 minuta
+        failedLoginWindow: 24 * 60 * 60 * 1000, // dështimet më të vjetra se kjo nuk numërohen
+        unlockTokenExpiry: 24 * 60 * 60 * 1000, // linku i zhbllokimit në email
+        // Pikat e kontrollit të nënshkruara të zinxhirit të audit_log
+        auditSigningKey: process.env.AUDIT_SIGNING_KEY || process.env.JWT_SECRET,
+        auditCheckpointInterval: 60 * 60 * 1000 // 1 orë
     },
 
     // Konfigurimi i validimit
@@ -32,14 +55,59 @@ const config = {
         maxTransactionsPerRequest: 1000
     },
 
+    // Konfigurimi i transaksioneve të përsëritura
+    recurring: {
+        frequencies: ['daily', 'weekly', 'monthly', 'yearly'],
+        maxInterval: 365,
+        maxOccurrences: 1000,
+        schedulerInterval: 60 * 60 * 1000, // 1 orë
+        maxCatchUpPerRun: 366 // ndodhi për rregull në një ekzekutim
+    },
+
+    // Konfigurimi i buxheteve sipas kategorive
+    budget: {
+        periods: ['weekly', 'monthly', 'yearly'],
+        warningThreshold: 80 // përqindje e shpenzuar para paralajmërimit
+    },
+
+    // Konfigurimi i llogarive (kesh, bankë, kartë...)
+    accounts: {
+        types: ['cash', 'bank', 'card', 'savings', 'other'],
+        nameMaxLength: 100,
+        transferCategory: 'Transfertë' // kategoria e dy anëve të një transferte
+    },
+
+    // Konfigurimi i objektivave të kursimit
+    goals: {
+        nameMaxLength: 100,
+        projectionWindowDays: 90, // ritmi i kursimit llogaritet nga kontributet e kësaj periudhe
+        projectionMinWindowDays: 30 // edhe për objektivat e rinj, që një depozitë e vetme të mos merret si ritëm ditor
+    },
+
+    // Konfigurimi i importit të ekstrakteve bankare
+    import: {
+        formats: ['csv', 'ofx'],
+        maxRows: 5000
+    },
+
+    // Konfigurimi i eksportit të transaksioneve
+    export: {
+        formats: ['csv', 'json', 'ofx'],
+        batchSize: 500 // rreshta të lexuar nga databaza për çdo hap
+    },
+
     // Konfigurimi i email
     email: {
         service: 'gmail',
         from: process.env.EMAIL_USER || 'noreply@elioti.com',
-        verificationCodeExpiry: 10 * 60 * 1000 // 10 minutes
+        verificationCodeExpiry: 10 * 60 * 1000, // 10 minutes
+        // Faqja e frontend-it ku përdoruesi vendos fjalëkalimin e ri (token-i shtohet si ?token=)
+        passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+        // Faqja e frontend-it që zhbllokon llogarinë (token-i shtohet si ?token=)
+        accountUnlockUrl: process.env.ACCOUNT_UNLOCK_URL || 'http://localhost:3000/unlock-account'
     },
 
-    // Konfigurimi i kategorive të transaksioneve
+    // Kategoritë e paracaktuara që i krijohen çdo përdoruesi (secili mund të shtojë të tijat)
     transactionCategories: {
         income: [
             'Paga',
@@ -60,6 +128,62 @@ const config = {
         ]
     },
 
+    // Konfigurimi i kategorive të përdoruesve
+    categories: {
+        nameMaxLength: 50,
+        iconMaxLength: 50,
+        colorPattern: /^#[0-9a-fA-F]{6}$/ // ngjyra si #RRGGBB
+    },
+
+    // Konfigurimi i rregullave të kategorizimit automatik
+    categorizationRules: {
+        nameMaxLength: 100,
+        patternMaxLength: 200, // shprehjet e rregullta mbahen të shkurtra
+        patternMaxBranchPoints: 2, // përsëritës dhe alternativa në grupe; më shumë e bëjnë kontrollin shumë të ngadaltë
+        maxPerUser: 100,
+        previewLimit: 200 // ndryshime të listuara në përgjigjen e ri-aplikimit
+    },
+
+    // Konfigurimi i etiketave të transaksioneve
+    tags: {
+        maxPerTransaction: 10,
+        maxLength: 30
+    },
+
+    // Konfigurimi i ndarjes së një transaksioni në disa kategori
+    splits: {
+        minLines: 2,
+        maxLines: 20
+    },
+
+    // Konfigurimi i kurseve të këmbimit
+    currency: {
+        base: 'ALL', // kurset ruhen si çmimi i një njësie në këtë monedhë
+        ratesFile: process.env.EXCHANGE_RATES_FILE || './data/exchange-rates.json'
+    },
+
+    // Konfigurimi i parapëlqimeve të përdoruesit
+    settings: {
+        supportedCurrencies: ['ALL', 'EUR', 'USD', 'GBP', 'CHF'],
+        supportedLanguages: ['sq', 'en'],
+        // Vlerat e paracaktuara që aplikohen kur përdoruesi nuk ka ruajtur asgjë
+        defaults: {
+            notifications: {
+                email: true,
+                push: false
+            },
+            privacy: {
+                shareData: false,
+                publicProfile: false
+            },
+            preferences: {
+                currency: 'ALL',
+                language: 'sq',
+                timezone: 'Europe/Tirane'
+            }
+        }
+    },
+
     // Konfigurimi i statusit të punësimit
     employmentStatuses: [
         'i punësuar',
@@ -93,7 +217,10 @@ const config = {
         port: process.env.DB_PORT || 5432,
         name: process.env.DB_NAME || 'elioti_db',
         user: process.env.DB_USER || 'postgres',
-        password: process.env.DB_PASSWORD || ''
+        password: process.env.DB_PASSWORD || '',
+        // Aplikon automatikisht migrimet në pritje gjatë nisjes së serverit
+        autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false',
+        busyTimeout: 5000 // ms për të pritur kur një proces tjetër po shkruan
     },
 
     // Konfigurimi i logging
@@ -125,6 +252,14 @@ config.validate = () => {
         errors.push('JWT_SECRET duhet të konfigurohet në production');
     }
     
+    if (!config.security.mfaEncryptionKey) {
+        errors.push('MFA_ENCRYPTION_KEY ose DB_ENCRYPTION_KEY duhet të konfigurohet');
+    }
+    
+    if (!config.security.auditSigningKey) {
+        errors.push('AUDIT_SIGNING_KEY ose JWT_SECRET duhet të konfigurohet');
+    }
+    
     if (config.server.port < 1 || config.server.port > 65535) {
         errors.push('Porti duhet të jetë mes 1 dhe 65535');
     }
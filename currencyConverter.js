@@ -0,0 +1,135 @@
+/**
+ * Currency Converter
+ * Converts amounts between currencies using the locally stored exchange rates.
+ * Rates are stored as the price of one unit of a currency in `config.currency.base`.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const ErrorHandler = require('./errorHandler');
+const Money = require('./money');
+
+class CurrencyConverter {
+    /**
+     * Load all stored rates, including the base currency itself
+     * Returns { ALL: 1, EUR: 100.25, ... }
+     */
+    static async getRates(databaseManager) {
+        const rows = await databaseManager.all('SELECT currency, rate FROM exchange_rates');
+        const rates = { [config.currency.base]: 1 };
+
+        for (const row of rows) {
+            rates[row.currency] = row.rate;
+        }
+
+        return rates;
+    }
+
+    static canConvert(from, to, rates) {
+        return from === to || (rates[from] !== undefined && rates[to] !== undefined);
+    }
+
+    /**
+     * Whether `from` can be converted to each of `targets` (e.g. the user's and the account's currency)
+     */
+    static canConvertToAll(from, targets, rates) {
+        return targets.every(to => CurrencyConverter.canConvert(from, to, rates));
+    }
+
+    /**
+     * Convert an amount in minor units, rounded to whole minor units;
+     * throws a 422 error when a rate is missing
+     */
+    static convert(amount, from, to, rates) {
+        if (from === to) {
+            return amount;
+        }
+
+        for (const currency of [from, to]) {
+            if (rates[currency] === undefined) {
+                throw ErrorHandler.createError(
+                    `No exchange rate available for ${currency}`,
+                    422,
+                    'MISSING_EXCHANGE_RATE'
+                );
+            }
+        }
+
+        return Money.round(amount * rates[from] / rates[to]);
+    }
+
+    /**
+     * Sum rows of { currency, total } (minor units) into a single amount in the target currency
+     */
+    static sum(rows, to, rates, field = 'total') {
+        return rows.reduce((total, row) => total + CurrencyConverter.convert(row[field] || 0, row.currency, to, rates), 0);
+    }
+
+    /**
+     * Validate and store rates: { EUR: 100.25, USD: 92.1 } priced in the base currency
+     */
+    static async setRates(databaseManager, rates, source) {
+        const entries = CurrencyConverter.validateRates(rates);
+
+        await databaseManager.transaction(async () => {
+            for (const [currency, rate] of entries) {
+                await databaseManager.run(`
+                    INSERT INTO exchange_rates (currency, rate, source, updated_at)
+                    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                    ON CONFLICT(currency) DO UPDATE SET
+                        rate = excluded.rate,
+                        source = excluded.source,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [currency, rate, source]);
+            }
+        });
+
+        return entries.length;
+    }
+
+    /**
+     * Load rates from a JSON file: { "base": "ALL", "rates": { "EUR": 100.25 } }
+     * Returns the number of rates stored, or 0 when the file does not exist
+     */
+    static async loadRatesFile(databaseManager, filePath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return 0;
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (data.base !== config.currency.base) {
+            throw new Error(`Exchange rates in ${filePath} must use ${config.currency.base} as base currency`);
+        }
+
+        return CurrencyConverter.setRates(databaseManager, data.rates, filePath);
+    }
+
+    /**
+     * Throws a 400 error for anything but an object of supported currencies to positive rates
+     */
+    static validateRates(rates) {
+        if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+            throw ErrorHandler.errors.VALIDATION_ERROR('Rates must be an object of currency to rate');
+        }
+
+        const entries = Object.entries(rates);
+        for (const [currency, rate] of entries) {
+            if (!config.settings.supportedCurrencies.includes(currency)) {
+                throw ErrorHandler.errors.VALIDATION_ERROR(`Unsupported currency: ${currency}`);
+            }
+
+            if (currency === config.currency.base) {
+                throw ErrorHandler.errors.VALIDATION_ERROR(`The base currency ${currency} cannot have a rate`);
+            }
+
+            if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+                throw ErrorHandler.errors.VALIDATION_ERROR(`Rate for ${currency} must be a positive number`);
+            }
+        }
+
+        return entries;
+    }
+}
+
+module.exports = CurrencyConverter;
@@ -8,7 +8,10 @@ const path = require('path');
 const crypto = require('crypto');
 const config = require('./config');
 const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs');
+const AuditChain = require('./auditChain');
+const AuditActions = require('./auditActions');
 
 class DatabaseManager extends EventEmitter {
     constructor() {
@@ -18,6 +21,12 @@ class DatabaseManager extends EventEmitter {
         this.dbPath = path.join(__dirname, 'data', 'elioti.db');
         this.encryptionKey = process.env.DB_ENCRYPTION_KEY || config.database.encryptionKey;
         this.queryQueue = [];
+        this.auditQueue = Promise.resolve();
+        // There is a single connection, so transactions take turns and other queries wait while one is open
+        this.transactionQueue = Promise.resolve();
+        this.transactionContext = new AsyncLocalStorage();
+        this.openTransaction = null;
+        this.pendingQueries = 0;
         if (!this.encryptionKey) {
             throw new Error('Database encryption key is required');
         }
@@ -52,22 +61,17 @@ class DatabaseManager extends EventEmitter {
                             reject(new Error(`Database encryption failed: ${err.message}`));
                             return;
                         }
-                        // Initialize database schema
-                        this.initializeSchema()
-                            .then(() => {
-                                this.isConnected = true;
-                                this.emit('connect');
-                                console.log('✅ Database connected and encrypted');
-                                resolve();
-                            })
-                            .catch((e) => {
-                                this.emit('error', e);
-                                reject(e);
-                            });
+                        // Schema changes are applied by the migration runner
+                        this.isConnected = true;
+                        this.emit('connect');
+                        console.log('✅ Database connected and encrypted');
+                        resolve();
                     });
                 });
                 // Enable foreign keys
                 this.db.run('PRAGMA foreign_keys = ON');
+                // Wait for a write lock held by another process (e.g. a command-line tool) instead of failing
+                this.db.configure('busyTimeout', config.database.busyTimeout);
             } catch (error) {
                 this.emit('error', error);
                 reject(error);
@@ -76,88 +80,127 @@ class DatabaseManager extends EventEmitter {
     }
 
     /**
-     * Initialize database schema
+     * Rebuild a table to change the type of one column, filling it with `expression`.
      */
-    async initializeSchema() {
-        const schema = `
-            -- Users table
-            CREATE TABLE IF NOT EXISTS users (
-                id TEXT PRIMARY KEY,
-                email TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                full_name TEXT NOT NULL,
-                date_of_birth TEXT NOT NULL,
-                employment_status TEXT NOT NULL,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                last_login TEXT,
-                is_active INTEGER DEFAULT 1
-            );
-
-            -- User profiles table
-            CREATE TABLE IF NOT EXISTS user_profiles (
-                id TEXT PRIMARY KEY,
-                user_id TEXT NOT NULL,
-                job_title TEXT,
-                monthly_salary REAL,
-                savings_goal_percentage REAL DEFAULT 20,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            );
-
-            -- Transactions table
-            CREATE TABLE IF NOT EXISTS transactions (
-                id TEXT PRIMARY KEY,
-                user_id TEXT NOT NULL,
-                amount REAL NOT NULL,
-                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
-                category TEXT NOT NULL,
-                description TEXT,
-                transaction_date TEXT NOT NULL,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            );
-
-            -- Sessions table for JWT token blacklisting
-            CREATE TABLE IF NOT EXISTS blacklisted_tokens (
-                token_hash TEXT PRIMARY KEY,
-                user_id TEXT NOT NULL,
-                expires_at TEXT NOT NULL,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            );
-
-            -- Audit log table
-            CREATE TABLE IF NOT EXISTS audit_log (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id TEXT,
-                action TEXT NOT NULL,
-                details TEXT,
-                ip_address TEXT,
-                user_agent TEXT,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
-            );
-
-            -- Create indexes for better performance
-            CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-            CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
-            CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(transaction_date);
-            CREATE INDEX IF NOT EXISTS idx_blacklisted_tokens_expires ON blacklisted_tokens(expires_at);
-            CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id);
-            CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
-        `;
-
-        return this.run(schema);
+    async changeColumnType(table, column, type, expression) {
+        await this.rebuildTable(
+            table,
+            sql => sql.replace(new RegExp(`\\b${column}\\s+\\w+`, 'i'), `${column} ${type}`),
+            { [column]: expression }
+        );
+    }
+
+    /**
+     * Rebuild a table from its CREATE statement as changed by `rewrite(sql)`.
+     * Columns of the new table are copied by name unless `expressions` gives the SQL
+     * to fill them with (required for new columns). SQLite cannot change column types
+     * or constraints in place, so the table is copied.
+     */
+    async rebuildTable(table, rewrite, expressions = {}) {
+        const tableInfo = await this.get(
+            "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+            [table]
+        );
+        const indexes = await this.all(
+            "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+            [table]
+        );
+
+        const newTable = `${table}_rebuild`;
+        const createSql = rewrite(tableInfo.sql
+            .replace(/^CREATE TABLE(?: IF NOT EXISTS)?\s+["'`]?\w+["'`]?/i, `CREATE TABLE ${newTable}`));
+
+        // Foreign keys are switched off so dependent tables survive the drop
+        await this.exec('PRAGMA foreign_keys = OFF');
+        try {
+            await this.exec(`
+                BEGIN TRANSACTION;
+                ${createSql};
+            `);
+
+            const columns = await this.all(`PRAGMA table_info(${newTable})`);
+            const names = columns.map(c => c.name);
+            const values = names.map(name => expressions[name] || name);
+
+            await this.exec(`
+                INSERT INTO ${newTable} (${names.join(', ')}) SELECT ${values.join(', ')} FROM ${table};
+                DROP TABLE ${table};
+                ALTER TABLE ${newTable} RENAME TO ${table};
+                ${indexes.map(index => `${index.sql};`).join('\n')}
+                COMMIT;
+            `);
+        } catch (error) {
+            await this.exec('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            await this.exec('PRAGMA foreign_keys = ON');
+        }
+    }
+
+    /**
+     * Get the declared type of a column, or null when the column does not exist
+     */
+    async getColumnType(table, column) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        const match = columns.find(c => c.name === column);
+        return match ? match.type.toUpperCase() : null;
+    }
+
+    /**
+     * Add a column to an existing table if it is missing
+     */
+    async ensureColumn(table, column, definition) {
+        if (!(await this.getColumnType(table, column))) {
+            await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    /**
+     * Execute a multi-statement SQL script (used by migrations)
+     */
+    async exec(sql) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        }));
+    }
+
+    /**
+     * Send a query to the connection once no transaction of another caller is open
+     */
+    async schedule(query) {
+        while (this.openTransaction && !this.isInOpenTransaction()) {
+            await this.openTransaction.done;
+        }
+
+        this.pendingQueries++;
+        try {
+            return await query();
+        } finally {
+            this.pendingQueries--;
+            if (this.pendingQueries === 0) {
+                this.emit('drain');
+            }
+        }
+    }
+
+    /**
+     * Whether the caller runs inside the currently open transaction
+     */
+    isInOpenTransaction() {
+        return this.openTransaction !== null && this.transactionContext.getStore() === this.openTransaction;
     }
 
     /**
      * Run a query and log slow queries
      */
     async run(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.schedule(() => new Promise((resolve, reject) => {
             if (!this.isConnected) {
                 reject(new Error('Database not connected'));
                 return;
@@ -182,14 +225,14 @@ class DatabaseManager extends EventEmitter {
                     });
                 }
             });
-        });
+        }));
     }
 
     /**
      * Get a single row
      */
     async get(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.schedule(() => new Promise((resolve, reject) => {
             if (!this.isConnected) {
                 reject(new Error('Database not connected'));
                 return;
@@ -202,14 +245,14 @@ class DatabaseManager extends EventEmitter {
                     resolve(row);
                 }
             });
-        });
+        }));
     }
 
     /**
      * Get multiple rows
      */
     async all(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.schedule(() => new Promise((resolve, reject) => {
             if (!this.isConnected) {
                 reject(new Error('Database not connected'));
                 return;
@@ -222,14 +265,32 @@ class DatabaseManager extends EventEmitter {
                     resolve(rows);
                 }
             });
-        });
+        }));
     }
 
     /**
-     * Begin a transaction
+     * Iterate over rows in batches so large result sets are never held in memory at once
      */
-    async beginTransaction() {
-        return this.run('BEGIN TRANSACTION');
+    async *iterate(sql, params = [], batchSize = 500) {
+        for (let offset = 0; ; offset += batchSize) {
+            const rows = await this.all(`${sql} LIMIT ? OFFSET ?`, [...params, batchSize, offset]);
+
+            for (const row of rows) {
+                yield row;
+            }
+
+            if (rows.length < batchSize) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Begin a transaction; an immediate one takes the write lock at once, so other processes
+     * cannot write between its reads and its writes
+     */
+    async beginTransaction(immediate = false) {
+        return this.run(immediate ? 'BEGIN IMMEDIATE TRANSACTION' : 'BEGIN TRANSACTION');
     }
 
     /**
@@ -248,32 +309,127 @@ class DatabaseManager extends EventEmitter {
 
     /**
      * Execute a transaction with multiple operations
+     * Transactions run one at a time; queries from outside the open transaction wait until it ends,
+     * and a transaction started inside another one joins it.
      */
-    async transaction(operations) {
+    async transaction(operations, { immediate = false } = {}) {
+        if (this.isInOpenTransaction()) {
+            return operations();
+        }
+
+        const transaction = {};
+        transaction.done = new Promise(resolve => { transaction.release = resolve; });
+
+        const previous = this.transactionQueue;
+        this.transactionQueue = transaction.done;
+        await previous;
+
+        // Hold back new queries, then let the ones already sent finish before BEGIN
+        this.openTransaction = transaction;
+        while (this.pendingQueries > 0) {
+            await EventEmitter.once(this, 'drain');
+        }
+
         try {
-            await this.beginTransaction();
-            const result = await operations();
-            await this.commitTransaction();
-            return result;
-        } catch (error) {
-            await this.rollbackTransaction();
-            throw error;
+            return await this.transactionContext.run(transaction, async () => {
+                try {
+                    await this.beginTransaction(immediate);
+                    const result = await operations();
+                    await this.commitTransaction();
+                    return result;
+                } catch (error) {
+                    await this.rollbackTransaction();
+                    throw error;
+                }
+            });
+        } finally {
+            this.openTransaction = null;
+            transaction.release();
         }
     }
 
     /**
-     * Log audit event
+     * Log audit event; `action` must be one of `AuditActions`
      */
     async logAuditEvent(userId, action, details = null, req = null) {
-        const ipAddress = req ? this.getClientIP(req) : null;
-        const userAgent = req ? req.headers['user-agent'] : null;
+        if (!AuditActions.describe(action)) {
+            throw new Error(`Unknown audit action: ${action}`);
+        }
+
+        const entry = {
+            user_id: userId,
+            action,
+            details,
+            ip_address: req ? this.getClientIP(req) : null,
+            user_agent: req ? req.headers['user-agent'] || null : null,
+            created_at: AuditChain.timestamp()
+        };
+
+        // Entries are appended one at a time so each one links to the latest hash; the head is read
+        // under the write lock, so entries written by another process (the command-line tools) chain too
+        const append = this.auditQueue.then(() => this.transaction(async () => {
+            const { hash: prevHash } = await AuditChain.getHead(this);
+
+            return this.run(`
+                INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, created_at, prev_hash, hash)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.user_id,
+                entry.action,
+                entry.details,
+                entry.ip_address,
+                entry.user_agent,
+                entry.created_at,
+                prevHash,
+                AuditChain.computeHash(prevHash, entry)
+            ]);
+        }, { immediate: true }));
+
+        this.auditQueue = append.catch(() => {});
+        return append;
+    }
+
+    /**
+     * Page through the audit log, newest first
+     * Filters: userId, actions (array), from/to (YYYY-MM-DD, inclusive)
+     */
+    async getAuditLog({ userId, actions, from, to } = {}, { limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+
+        if (actions && actions.length > 0) {
+            conditions.push(`action IN (${actions.map(() => '?').join(', ')})`);
+            params.push(...actions);
+        }
+
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+
+        if (to) {
+            conditions.push("created_at < date(?, '+1 day')");
+            params.push(to);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const entries = await this.all(`
+            SELECT id, user_id, action, details, ip_address, user_agent, created_at
+            FROM audit_log
+            ${where}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
 
-        const sql = `
-            INSERT INTO audit_log (user_id, action, details, ip_address, user_agent)
-            VALUES (?, ?, ?, ?, ?)
-        `;
+        const { total } = await this.get(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
 
-        return this.run(sql, [userId, action, details, ipAddress, userAgent]);
+        return { entries, total };
     }
 
     /**
@@ -290,16 +446,17 @@ class DatabaseManager extends EventEmitter {
      * Clean up expired blacklisted tokens
      */
     async cleanupExpiredTokens() {
-        const sql = 'DELETE FROM blacklisted_tokens WHERE expires_at < datetime("now")';
-        return this.run(sql);
+        // expires_at is stored as an ISO timestamp, so compare against one
+        const sql = 'DELETE FROM blacklisted_tokens WHERE expires_at < ?';
+        return this.run(sql, [new Date().toISOString()]);
     }
 
     /**
      * Check if token is blacklisted
      */
     async isTokenBlacklisted(tokenHash) {
-        const sql = 'SELECT 1 FROM blacklisted_tokens WHERE token_hash = ? AND expires_at > datetime("now")';
-        const result = await this.get(sql, [tokenHash]);
+        const sql = 'SELECT 1 FROM blacklisted_tokens WHERE token_hash = ? AND expires_at > ?';
+        const result = await this.get(sql, [tokenHash, new Date().toISOString()]);
         return !!result;
     }
 
@@ -307,7 +464,7 @@ class DatabaseManager extends EventEmitter {
      * Blacklist a token
      */
     async blacklistToken(tokenHash, userId, expiresAt) {
-        const sql = 'INSERT INTO blacklisted_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)';
+        const sql = 'INSERT OR IGNORE INTO blacklisted_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)';
         return this.run(sql, [tokenHash, userId, expiresAt]);
     }
 
@@ -3,8 +3,8 @@ const config = require('./config');
 
 class EmailService {
     constructor() {
-        this.transporter = nodemailer.createTransporter({
-            service: 'gmail',
+        this.transporter = nodemailer.createTransport({
+            service: config.email.service,
             auth: {
                 user: process.env.EMAIL_USER || 'your-email@gmail.com',
                 pass: process.env.EMAIL_PASSWORD || 'your-app-password'
@@ -13,12 +13,7 @@ class EmailService {
     }
 
     async sendVerificationCode(email, code) {
-        const mailOptions = {
-            from: process.env.EMAIL_USER || 'noreply@elioti.com',
-            to: email,
-            subject: 'Elioti - Kodi i Verifikimit',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        return this.send(email, 'Elioti - Kodi i Verifikimit', `
                     <h2 style="color: #2c3e50;">Mirë se vini në Elioti!</h2>
                     <p>Kodi juaj i verifikimit është:</p>
                     <div style="background-color: #ecf0f1; padding: 20px; text-align: center; border-radius: 5px; margin: 20px 0;">
@@ -26,6 +21,45 @@ class EmailService {
                     </div>
                     <p>Ky kod është i vlefshëm për 10 minuta.</p>
                     <p>Nëse nuk keni krijuar këtë llogari, ju lutem injoroni këtë email.</p>
+        `);
+    }
+
+    async sendPasswordReset(email, resetLink, expiresInMinutes) {
+        return this.send(email, 'Elioti - Rivendosja e Fjalëkalimit', `
+                    <h2 style="color: #2c3e50;">Rivendosja e fjalëkalimit</h2>
+                    <p>Kemi marrë një kërkesë për të rivendosur fjalëkalimin e llogarisë suaj.</p>
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${resetLink}" style="background-color: #e74c3c; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Rivendos fjalëkalimin</a>
+                    </div>
+                    <p>Linku është i vlefshëm për ${expiresInMinutes} minuta dhe mund të përdoret vetëm një herë.</p>
+                    <p>Pas rivendosjes, të gjitha seancat aktive do të mbyllen.</p>
+                    <p>Nëse nuk e keni kërkuar ju, injoroni këtë email; fjalëkalimi juaj nuk do të ndryshojë.</p>
+        `);
+    }
+
+    async sendAccountLocked(email, unlockLink, lockedMinutes) {
+        return this.send(email, 'Elioti - Llogaria u Bllokua Përkohësisht', `
+                    <h2 style="color: #2c3e50;">Llogaria juaj u bllokua përkohësisht</h2>
+                    <p>Pas shumë përpjekjeve të dështuara për t'u kyçur, llogaria juaj u bllokua për ${lockedMinutes} minuta.</p>
+                    <p>Nëse ishit ju, mund ta zhbllokoni menjëherë:</p>
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${unlockLink}" style="background-color: #e74c3c; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Zhblloko llogarinë</a>
+                    </div>
+                    <p>Nëse nuk ishit ju, dikush mund të jetë duke provuar fjalëkalimin tuaj. Ju rekomandojmë ta ndryshoni fjalëkalimin dhe të aktivizoni verifikimin me dy faktorë.</p>
+        `);
+    }
+
+    /**
+     * Send an email using the shared layout; returns false instead of throwing on failure
+     */
+    async send(email, subject, content) {
+        const mailOptions = {
+            from: config.email.from,
+            to: email,
+            subject,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    ${content.trim()}
                 </div>
             `
         };
@@ -40,4 +74,4 @@ class EmailService {
     }
 }
 
-module.exports = EmailService; 
\ No newline at end of file
+module.exports = EmailService;
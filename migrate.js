@@ -0,0 +1,71 @@
+/**
+ * Schema migration command
+ * Usage: npm run migrate -- [status | up [--to N] | down [--to N]]
+ *
+ *   status       list migrations and whether they are applied
+ *   up           apply all pending migrations (or up to version N)
+ *   down         revert the latest migration (or every migration newer than N)
+ */
+
+const DatabaseManager = require('./databaseManager');
+const MigrationRunner = require('./migrationRunner');
+
+function parseArgs(argv) {
+    const [command = 'status', ...rest] = argv;
+    let target;
+
+    const index = rest.indexOf('--to');
+    if (index !== -1) {
+        target = Number(rest[index + 1]);
+        if (!Number.isInteger(target) || target < 0) {
+            throw new Error('--to must be a migration version (0 or greater)');
+        }
+    }
+
+    if (!['status', 'up', 'down'].includes(command)) {
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    return { command, target };
+}
+
+async function main() {
+    const { command, target } = parseArgs(process.argv.slice(2));
+    const databaseManager = new DatabaseManager();
+    await databaseManager.connect();
+
+    try {
+        const runner = new MigrationRunner(databaseManager);
+
+        switch (command) {
+            case 'status': {
+                const migrations = await runner.status();
+                for (const migration of migrations) {
+                    const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+                    console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(32)} ${state}`);
+                }
+                console.log(`\nCurrent version: ${await runner.getCurrentVersion()}`);
+                break;
+            }
+
+            case 'up': {
+                const applied = await runner.up(target);
+                console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+                break;
+            }
+
+            case 'down': {
+                const reverted = await runner.down(target);
+                console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+                break;
+            }
+        }
+    } finally {
+        await databaseManager.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
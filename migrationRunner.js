@@ -0,0 +1,169 @@
+/**
+ * Migration Runner
+ * Applies the numbered scripts in migrations/ (e.g. 003_recurring_transactions.js) in order
+ * and records each applied version in the schema_migrations table.
+ *
+ * A migration exports { description, up(db), down(db) } and runs inside a transaction,
+ * unless it sets `transaction: false` (needed when it manages its own transaction).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationRunner {
+    constructor(databaseManager, directory = path.join(__dirname, 'migrations')) {
+        this.databaseManager = databaseManager;
+        this.directory = directory;
+    }
+
+    /**
+     * Load migration scripts sorted by version
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const script = require(path.join(this.directory, file));
+
+                if (typeof script.up !== 'function' || typeof script.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up() and down()`);
+                }
+
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    description: script.description || match[2],
+                    useTransaction: script.transaction !== false,
+                    up: script.up,
+                    down: script.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    async ensureTable() {
+        await this.databaseManager.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+
+    /**
+     * Applied versions mapped to their schema_migrations row
+     */
+    async getApplied() {
+        await this.ensureTable();
+        const rows = await this.databaseManager.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    /**
+     * Every known migration with its applied state
+     */
+    async status() {
+        const applied = await this.getApplied();
+
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+        }));
+    }
+
+    async pending() {
+        const applied = await this.getApplied();
+        return this.loadMigrations().filter(migration => !applied.has(migration.version));
+    }
+
+    async getCurrentVersion() {
+        const applied = await this.getApplied();
+        return applied.size > 0 ? Math.max(...applied.keys()) : 0;
+    }
+
+    /**
+     * Apply pending migrations up to and including `target` (all when omitted)
+     * Returns the migrations that were applied
+     */
+    async up(target = Infinity) {
+        const migrations = (await this.pending()).filter(migration => migration.version <= target);
+
+        for (const migration of migrations) {
+            await this.execute(migration, 'up', () => this.databaseManager.run(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            ));
+            console.log(`⬆️  Applied migration ${migration.version} ${migration.name}`);
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Revert applied migrations newer than `target` (only the latest one when omitted)
+     * Returns the migrations that were reverted
+     */
+    async down(target) {
+        const applied = await this.getApplied();
+        let migrations = this.loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse();
+
+        for (const version of applied.keys()) {
+            if (!migrations.some(migration => migration.version === version)) {
+                throw new Error(`Applied migration ${version} has no script in ${this.directory}`);
+            }
+        }
+
+        migrations = target === undefined
+            ? migrations.slice(0, 1)
+            : migrations.filter(migration => migration.version > target);
+
+        for (const migration of migrations) {
+            await this.execute(migration, 'down', () => this.databaseManager.run(
+                'DELETE FROM schema_migrations WHERE version = ?',
+                [migration.version]
+            ));
+            console.log(`⬇️  Reverted migration ${migration.version} ${migration.name}`);
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Run one direction of a migration and update schema_migrations with `record`
+     */
+    async execute(migration, direction, record) {
+        const operations = async () => {
+            await migration[direction](this.databaseManager);
+            await record();
+        };
+
+        try {
+            if (migration.useTransaction) {
+                await this.databaseManager.transaction(operations);
+            } else {
+                await operations();
+            }
+        } catch (error) {
+            error.message = `Migration ${migration.version} ${migration.name} (${direction}) failed: ${error.message}`;
+            throw error;
+        }
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,26 @@
+/**
+ * Per-user settings (notifications, privacy, preferences)
+ */
+
+module.exports = {
+    description: 'User settings',
+
+    async up(db) {
+        await db.exec(`
+            -- User settings table (one row per user, JSON per section)
+            CREATE TABLE IF NOT EXISTS user_settings (
+                user_id TEXT PRIMARY KEY,
+                notifications TEXT,
+                privacy TEXT,
+                preferences TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS user_settings;');
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Recurring transaction rules and the occurrences materialized from them
+ */
+
+module.exports = {
+    description: 'Recurring transactions',
+
+    async up(db) {
+        await db.exec(`
+            -- Recurring transaction rules
+            CREATE TABLE IF NOT EXISTS recurring_transactions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                amount REAL NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                category TEXT NOT NULL,
+                description TEXT,
+                frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+                interval_count INTEGER NOT NULL DEFAULT 1,
+                start_date TEXT NOT NULL,
+                end_date TEXT,
+                max_occurrences INTEGER,
+                occurrence_count INTEGER NOT NULL DEFAULT 0,
+                next_occurrence_date TEXT,
+                is_active INTEGER DEFAULT 1,
+                last_run_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            -- Occurrences already materialized from a recurring rule
+            CREATE TABLE IF NOT EXISTS recurring_occurrences (
+                recurring_id TEXT NOT NULL,
+                occurrence_date TEXT NOT NULL,
+                transaction_id TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (recurring_id, occurrence_date),
+                FOREIGN KEY (recurring_id) REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_recurring_user_id ON recurring_transactions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_recurring_next_occurrence ON recurring_transactions(next_occurrence_date);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS recurring_occurrences;
+            DROP TABLE IF EXISTS recurring_transactions;
+        `);
+    }
+};
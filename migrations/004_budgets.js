@@ -0,0 +1,30 @@
+/**
+ * Category budgets
+ */
+
+module.exports = {
+    description: 'Category budgets',
+
+    async up(db) {
+        await db.exec(`
+            -- Category budgets (one per category and period)
+            CREATE TABLE IF NOT EXISTS budgets (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                category TEXT NOT NULL,
+                amount REAL NOT NULL,
+                period TEXT NOT NULL DEFAULT 'monthly' CHECK (period IN ('weekly', 'monthly', 'yearly')),
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, category, period),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_budgets_user_id ON budgets(user_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS budgets;');
+    }
+};
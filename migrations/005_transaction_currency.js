@@ -0,0 +1,31 @@
+/**
+ * Currency per transaction and recurring rule, plus locally stored exchange rates
+ */
+
+module.exports = {
+    description: 'Transaction currencies and exchange rates',
+
+    async up(db) {
+        await db.exec(`
+            -- Exchange rates (price of one unit of the currency in the base currency)
+            CREATE TABLE IF NOT EXISTS exchange_rates (
+                currency TEXT PRIMARY KEY,
+                rate REAL NOT NULL CHECK (rate > 0),
+                source TEXT,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Existing amounts were implicitly in ALL
+        await db.ensureColumn('transactions', 'currency', "TEXT NOT NULL DEFAULT 'ALL'");
+        await db.ensureColumn('recurring_transactions', 'currency', "TEXT NOT NULL DEFAULT 'ALL'");
+    },
+
+    async down(db) {
+        await db.exec(`
+            ALTER TABLE recurring_transactions DROP COLUMN currency;
+            ALTER TABLE transactions DROP COLUMN currency;
+            DROP TABLE IF EXISTS exchange_rates;
+        `);
+    }
+};
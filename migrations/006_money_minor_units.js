@@ -0,0 +1,33 @@
+/**
+ * Store money as integer minor units (qindarka/cents) instead of REAL
+ */
+
+const MONEY_COLUMNS = [
+    ['transactions', 'amount'],
+    ['recurring_transactions', 'amount'],
+    ['budgets', 'amount'],
+    ['user_profiles', 'monthly_salary']
+];
+
+module.exports = {
+    description: 'Money as integer minor units',
+
+    // Table rebuilds switch foreign keys off, which SQLite ignores inside a transaction
+    transaction: false,
+
+    async up(db) {
+        for (const [table, column] of MONEY_COLUMNS) {
+            if (await db.getColumnType(table, column) === 'REAL') {
+                await db.changeColumnType(table, column, 'INTEGER', `CAST(ROUND(${column} * 100) AS INTEGER)`);
+            }
+        }
+    },
+
+    async down(db) {
+        for (const [table, column] of MONEY_COLUMNS) {
+            if (await db.getColumnType(table, column) === 'INTEGER') {
+                await db.changeColumnType(table, column, 'REAL', `${column} / 100.0`);
+            }
+        }
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Password reset tokens (stored hashed) and per-user session revocation
+ */
+
+module.exports = {
+    description: 'Password resets and session revocation',
+
+    async up(db) {
+        await db.exec(`
+            -- Single-use password reset tokens; only the SHA-256 hash is stored
+            CREATE TABLE IF NOT EXISTS password_resets (
+                token_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                used_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_password_resets_user_id ON password_resets(user_id);
+        `);
+
+        // Tokens issued at or before this time (unix seconds) are rejected
+        await db.ensureColumn('users', 'sessions_revoked_at', 'INTEGER');
+    },
+
+    async down(db) {
+        await db.exec(`
+            ALTER TABLE users DROP COLUMN sessions_revoked_at;
+            DROP TABLE IF EXISTS password_resets;
+        `);
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Multi-step registration sessions (resumable until they expire)
+ */
+
+module.exports = {
+    description: 'Registration sessions',
+
+    async up(db) {
+        await db.exec(`
+            -- In-progress registrations; the id is the SHA-256 hash of the registrationId given to the client
+            CREATE TABLE IF NOT EXISTS registration_sessions (
+                id TEXT PRIMARY KEY,
+                step INTEGER NOT NULL DEFAULT 1,
+                first_name TEXT NOT NULL,
+                last_name TEXT NOT NULL,
+                date_of_birth TEXT NOT NULL,
+                employment_status TEXT,
+                job_title TEXT,
+                monthly_salary INTEGER,
+                email TEXT,
+                password_hash TEXT,
+                verification_code_hash TEXT,
+                code_expires_at TEXT,
+                verification_attempts INTEGER NOT NULL DEFAULT 0,
+                expires_at TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_registration_sessions_expires ON registration_sessions(expires_at);
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS registration_sessions;');
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Rotating refresh tokens grouped in families (one family per login)
+ */
+
+module.exports = {
+    description: 'Refresh tokens',
+
+    async up(db) {
+        await db.exec(`
+            -- Opaque refresh tokens; only the SHA-256 hash is stored.
+            -- Every rotation adds a row to the same family and marks the previous one as used.
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                token_hash TEXT PRIMARY KEY,
+                family_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                used_at TEXT,
+                revoked_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS refresh_tokens;');
+    }
+};
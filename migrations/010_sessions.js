@@ -0,0 +1,37 @@
+/**
+ * Sessions: one row per login (the refresh token family), with device information
+ */
+
+module.exports = {
+    description: 'Sessions',
+
+    async up(db) {
+        await db.exec(`
+            -- The id is the refresh token family id and the sid claim of the session's access tokens
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                user_agent TEXT,
+                ip_address TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                expires_at TEXT NOT NULL,
+                revoked_at TEXT,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+            -- Sessions for refresh token families issued before this table existed
+            INSERT OR IGNORE INTO sessions (id, user_id, created_at, last_seen_at, expires_at, revoked_at)
+            SELECT family_id, user_id, MIN(created_at), MAX(created_at), MAX(expires_at),
+                   CASE WHEN SUM(revoked_at IS NULL) = 0 THEN MAX(revoked_at) END
+            FROM refresh_tokens
+            GROUP BY family_id;
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS sessions;');
+    }
+};
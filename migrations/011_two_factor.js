@@ -0,0 +1,53 @@
+/**
+ * TOTP two-factor authentication: enrollments, recovery codes and login challenges
+ */
+
+module.exports = {
+    description: 'Two-factor authentication',
+
+    async up(db) {
+        await db.exec(`
+            -- The TOTP secret is stored encrypted; enabled_at stays NULL until the first code is verified
+            CREATE TABLE IF NOT EXISTS user_mfa (
+                user_id TEXT PRIMARY KEY,
+                secret_encrypted TEXT NOT NULL,
+                enabled_at TEXT,
+                last_used_step INTEGER,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            -- Single-use recovery codes; only the SHA-256 hash is stored
+            CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+                code_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                used_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+            -- Logins whose password was accepted and which still need a second factor
+            CREATE TABLE IF NOT EXISTS mfa_challenges (
+                token_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                attempts INTEGER DEFAULT 0,
+                expires_at TEXT NOT NULL,
+                used_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_mfa_challenges_user_id ON mfa_challenges(user_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS mfa_challenges;
+            DROP TABLE IF EXISTS mfa_recovery_codes;
+            DROP TABLE IF EXISTS user_mfa;
+        `);
+    }
+};
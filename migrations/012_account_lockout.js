@@ -0,0 +1,37 @@
+/**
+ * Failed login tracking, temporary account lockout and unlock links
+ */
+
+module.exports = {
+    description: 'Account lockout',
+
+    async up(db) {
+        // Consecutive failed logins; the next attempt is refused until locked_until
+        await db.ensureColumn('users', 'failed_login_attempts', 'INTEGER DEFAULT 0');
+        await db.ensureColumn('users', 'last_failed_login_at', 'TEXT');
+        await db.ensureColumn('users', 'locked_until', 'TEXT');
+
+        await db.exec(`
+            -- Single-use links emailed when an account is locked; only the SHA-256 hash is stored
+            CREATE TABLE IF NOT EXISTS account_unlock_tokens (
+                token_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                used_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_account_unlock_tokens_user_id ON account_unlock_tokens(user_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS account_unlock_tokens;
+            ALTER TABLE users DROP COLUMN locked_until;
+            ALTER TABLE users DROP COLUMN last_failed_login_at;
+            ALTER TABLE users DROP COLUMN failed_login_attempts;
+        `);
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Role-based access control: roles, permissions and the roles granted to each user
+ */
+
+const ROLES = [
+    { name: 'user', description: 'Regular account; access to its own data only' },
+    { name: 'support', description: 'Customer support; read-only access to accounts and the audit log' },
+    { name: 'admin', description: 'Full administrative access' }
+];
+
+const PERMISSIONS = [
+    { name: 'users.read', description: 'View user accounts', roles: ['support', 'admin'] },
+    { name: 'users.manage', description: 'Deactivate, reactivate and sign out user accounts', roles: ['admin'] },
+    { name: 'roles.manage', description: 'Grant and revoke roles', roles: ['admin'] },
+    { name: 'audit.read', description: 'Browse the audit log', roles: ['support', 'admin'] },
+    { name: 'stats.read', description: 'View platform statistics', roles: ['support', 'admin'] }
+];
+
+module.exports = {
+    description: 'Roles and permissions',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS roles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS permissions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS role_permissions (
+                role_id INTEGER NOT NULL,
+                permission_id INTEGER NOT NULL,
+                PRIMARY KEY (role_id, permission_id),
+                FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+                FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+            );
+
+            -- granted_by is NULL for roles assigned at registration or from the command line
+            CREATE TABLE IF NOT EXISTS user_roles (
+                user_id TEXT NOT NULL,
+                role_id INTEGER NOT NULL,
+                granted_by TEXT,
+                granted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, role_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+        `);
+
+        for (const role of ROLES) {
+            await db.run('INSERT OR IGNORE INTO roles (name, description) VALUES (?, ?)', [role.name, role.description]);
+        }
+
+        for (const permission of PERMISSIONS) {
+            await db.run(
+                'INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)',
+                [permission.name, permission.description]
+            );
+
+            for (const role of permission.roles) {
+                await db.run(`
+                    INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+                    SELECT r.id, p.id FROM roles r, permissions p WHERE r.name = ? AND p.name = ?
+                `, [role, permission.name]);
+            }
+        }
+
+        // Every existing account is a regular user
+        await db.run(`
+            INSERT OR IGNORE INTO user_roles (user_id, role_id)
+            SELECT u.id, r.id FROM users u, roles r WHERE r.name = 'user'
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS user_roles;
+            DROP TABLE IF EXISTS role_permissions;
+            DROP TABLE IF EXISTS permissions;
+            DROP TABLE IF EXISTS roles;
+        `);
+    }
+};
@@ -0,0 +1,62 @@
+/**
+ * Tamper-evident audit log: hash chain columns and signed checkpoints
+ */
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry hash as computed when the chain was introduced
+function computeHash(prevHash, entry) {
+    const content = JSON.stringify([
+        prevHash,
+        entry.user_id ?? null,
+        entry.action,
+        entry.details ?? null,
+        entry.ip_address ?? null,
+        entry.user_agent ?? null,
+        entry.created_at
+    ]);
+
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = {
+    description: 'Audit log hash chain',
+
+    async up(db) {
+        await db.ensureColumn('audit_log', 'prev_hash', 'TEXT');
+        await db.ensureColumn('audit_log', 'hash', 'TEXT');
+
+        await db.exec(`
+            -- Signed (HMAC) hashes of the chain head, written periodically
+            CREATE TABLE IF NOT EXISTS audit_checkpoints (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                audit_log_id INTEGER NOT NULL,
+                hash TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Existing entries start the chain; edits made before this point cannot be detected
+        const rows = await db.all(
+            'SELECT id, user_id, action, details, ip_address, user_agent, created_at FROM audit_log ORDER BY id'
+        );
+        let prevHash = GENESIS_HASH;
+
+        for (const row of rows) {
+            const hash = computeHash(prevHash, row);
+            await db.run('UPDATE audit_log SET prev_hash = ?, hash = ? WHERE id = ?', [prevHash, hash, row.id]);
+            prevHash = hash;
+        }
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS audit_checkpoints;
+            ALTER TABLE audit_log DROP COLUMN hash;
+            ALTER TABLE audit_log DROP COLUMN prev_hash;
+        `);
+    }
+};
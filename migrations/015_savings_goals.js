@@ -0,0 +1,51 @@
+/**
+ * Savings goals and the contributions towards them
+ */
+
+module.exports = {
+    description: 'Savings goals',
+
+    async up(db) {
+        await db.exec(`
+            -- Named savings goals; amounts in minor units of the goal currency
+            CREATE TABLE IF NOT EXISTS savings_goals (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                target_amount INTEGER NOT NULL,
+                currency TEXT NOT NULL,
+                deadline TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, name),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_savings_goals_user_id ON savings_goals(user_id);
+
+            -- Money put towards a goal, optionally backed by a transaction (each transaction funds one goal at most)
+            CREATE TABLE IF NOT EXISTS goal_contributions (
+                id TEXT PRIMARY KEY,
+                goal_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                contribution_date TEXT NOT NULL,
+                transaction_id TEXT UNIQUE,
+                note TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (goal_id) REFERENCES savings_goals(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_goal_contributions_goal_id ON goal_contributions(goal_id, contribution_date);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS goal_contributions;
+            DROP TABLE IF EXISTS savings_goals;
+        `);
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * Accounts (cash, bank cards, savings...) that every transaction and recurring rule belongs to,
+ * and transfers between them stored as a linked transfer_out/transfer_in pair of transactions.
+ * Existing data moves into one account per user, in the user's currency.
+ */
+
+const crypto = require('crypto');
+
+const OLD_TYPE_CHECK = "CHECK (type IN ('income', 'expense'))";
+const NEW_TYPE_CHECK = "CHECK (type IN ('income', 'expense', 'transfer_in', 'transfer_out'))";
+const ACCOUNT_COLUMN = ',\n                account_id TEXT NOT NULL REFERENCES accounts(id)';
+const TRANSFER_COLUMN = ',\n                transfer_id TEXT';
+const DEFAULT_ACCOUNT_NAME = 'Llogaria kryesore';
+const DEFAULT_CURRENCY = 'ALL';
+
+// Currency from the user's stored preferences, as the settings were kept when accounts were introduced
+async function preferredCurrency(db, userId) {
+    const row = await db.get('SELECT preferences FROM user_settings WHERE user_id = ?', [userId]);
+
+    try {
+        const preferences = row && row.preferences ? JSON.parse(row.preferences) : null;
+        return (preferences && preferences.currency) || DEFAULT_CURRENCY;
+    } catch (error) {
+        return DEFAULT_CURRENCY;
+    }
+}
+
+// The only account of the row's user (right after the backfill)
+const accountOf = table => `(SELECT accounts.id FROM accounts WHERE accounts.user_id = ${table}.user_id)`;
+
+// Add column definitions before the table constraints of a CREATE TABLE statement
+const addColumns = (sql, columns) => sql.replace(/,(\s*)FOREIGN KEY/, `${columns},$1FOREIGN KEY`);
+
+module.exports = {
+    description: 'Accounts and transfers',
+
+    // Table rebuilds switch foreign keys off, which SQLite ignores inside a transaction
+    transaction: false,
+
+    async up(db) {
+        await db.exec(`
+            -- Accounts; balances are computed from the opening balance and the transactions
+            CREATE TABLE IF NOT EXISTS accounts (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                currency TEXT NOT NULL,
+                opening_balance INTEGER NOT NULL DEFAULT 0,
+                is_archived INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, name),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
+        `);
+
+        // Each step checks its own table, so a run that failed half way can be repeated
+
+        // One account for users that already have transactions or recurring rules
+        const users = await db.all(`
+            SELECT id FROM users u
+            WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE user_id = u.id)
+              AND (EXISTS (SELECT 1 FROM transactions WHERE user_id = u.id)
+                   OR EXISTS (SELECT 1 FROM recurring_transactions WHERE user_id = u.id))
+        `);
+
+        for (const user of users) {
+            await db.run(
+                "INSERT INTO accounts (id, user_id, name, type, currency) VALUES (?, ?, ?, 'other', ?)",
+                [crypto.randomBytes(32).toString('hex'), user.id, DEFAULT_ACCOUNT_NAME, await preferredCurrency(db, user.id)]
+            );
+        }
+
+        if (!(await db.getColumnType('transactions', 'account_id'))) {
+            await db.rebuildTable(
+                'transactions',
+                sql => addColumns(sql.replace(OLD_TYPE_CHECK, NEW_TYPE_CHECK), ACCOUNT_COLUMN + TRANSFER_COLUMN),
+                { account_id: accountOf('transactions'), transfer_id: 'NULL' }
+            );
+        }
+
+        if (!(await db.getColumnType('recurring_transactions', 'account_id'))) {
+            await db.rebuildTable(
+                'recurring_transactions',
+                sql => addColumns(sql, ACCOUNT_COLUMN),
+                { account_id: accountOf('recurring_transactions') }
+            );
+        }
+
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id);
+            CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions(transfer_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_transactions_account_id;
+            DROP INDEX IF EXISTS idx_transactions_transfer_id;
+        `);
+
+        if (await db.getColumnType('recurring_transactions', 'account_id')) {
+            await db.rebuildTable(
+                'recurring_transactions',
+                sql => sql.replace(ACCOUNT_COLUMN, '')
+            );
+        }
+
+        if (await db.getColumnType('transactions', 'account_id')) {
+            await db.exec('DELETE FROM transactions WHERE transfer_id IS NOT NULL;');
+            await db.rebuildTable(
+                'transactions',
+                sql => sql.replace(ACCOUNT_COLUMN + TRANSFER_COLUMN, '').replace(NEW_TYPE_CHECK, OLD_TYPE_CHECK)
+            );
+        }
+
+        await db.exec('DROP TABLE IF EXISTS accounts;');
+    }
+};
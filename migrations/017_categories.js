@@ -0,0 +1,79 @@
+/**
+ * Per-user transaction categories with optional parent categories.
+ * Transactions, recurring rules and budgets keep referring to categories by name.
+ * Existing users get the default categories plus any other name their data already uses.
+ */
+
+const crypto = require('crypto');
+
+// The default categories when categories became per user
+const DEFAULT_CATEGORIES = {
+    income: ['Paga', 'Freelance', 'Investime', 'Dhuratë', 'Të tjera'],
+    expense: ['Ushqim', 'Transport', 'Fatura', 'Argetim', 'Blerje', 'Shëndetësi', 'Edukim', 'Të tjera']
+};
+
+// Add a category unless the user already has one with that name and type
+function insertCategory(db, userId, { name, type }) {
+    return db.run(
+        'INSERT OR IGNORE INTO categories (id, user_id, name, type) VALUES (?, ?, ?, ?)',
+        [crypto.randomBytes(32).toString('hex'), userId, name, type]
+    );
+}
+
+module.exports = {
+    description: 'User categories',
+
+    async up(db) {
+        await db.exec(`
+            -- Categories; a parent category rolls up its subcategories in summaries and reports
+            CREATE TABLE IF NOT EXISTS categories (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                parent_id TEXT,
+                icon TEXT,
+                color TEXT,
+                is_archived INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, type, name),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (parent_id) REFERENCES categories(id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_categories_user_id ON categories(user_id);
+        `);
+
+        const users = await db.all('SELECT id FROM users');
+
+        for (const user of users) {
+            const existing = await db.get('SELECT 1 FROM categories WHERE user_id = ? LIMIT 1', [user.id]);
+            if (!existing) {
+                for (const type of ['income', 'expense']) {
+                    for (const name of DEFAULT_CATEGORIES[type]) {
+                        await insertCategory(db, user.id, { name, type });
+                    }
+                }
+            }
+
+            // Names used before categories were per user (budgets are always expenses)
+            const used = await db.all(`
+                SELECT DISTINCT type, category AS name FROM transactions
+                WHERE user_id = ? AND type IN ('income', 'expense')
+                UNION
+                SELECT DISTINCT type, category FROM recurring_transactions WHERE user_id = ?
+                UNION
+                SELECT DISTINCT 'expense', category FROM budgets WHERE user_id = ?
+            `, [user.id, user.id, user.id]);
+
+            for (const category of used) {
+                await insertCategory(db, user.id, category);
+            }
+        }
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS categories;');
+    }
+};
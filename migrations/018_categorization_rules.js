@@ -0,0 +1,42 @@
+/**
+ * Rules that pick the category and tags of a transaction from its description, amount and type,
+ * and free-form tags on transactions (a JSON array of strings).
+ */
+
+module.exports = {
+    description: 'Categorization rules and transaction tags',
+
+    async up(db) {
+        await db.exec(`
+            -- Categorization rules; the active rule with the lowest priority that matches wins
+            CREATE TABLE IF NOT EXISTS categorization_rules (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                priority INTEGER NOT NULL DEFAULT 0,
+                type TEXT CHECK (type IN ('income', 'expense')),
+                description_contains TEXT,
+                description_pattern TEXT,
+                min_amount INTEGER,
+                max_amount INTEGER,
+                category TEXT,
+                tags TEXT,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_id ON categorization_rules(user_id);
+        `);
+
+        await db.ensureColumn('transactions', 'tags', 'TEXT');
+    },
+
+    async down(db) {
+        await db.exec(`
+            ALTER TABLE transactions DROP COLUMN tags;
+            DROP TABLE IF EXISTS categorization_rules;
+        `);
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Split lines that divide one transaction (e.g. a supermarket receipt) across several categories.
+ * The lines of a transaction add up to its amount; the transaction keeps the category of its largest line.
+ */
+
+module.exports = {
+    description: 'Transaction splits',
+
+    async up(db) {
+        await db.exec(`
+            -- Split lines; summaries, statistics and reports count these instead of the transaction's category
+            CREATE TABLE IF NOT EXISTS transaction_splits (
+                id TEXT PRIMARY KEY,
+                transaction_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                category TEXT NOT NULL,
+                amount INTEGER NOT NULL CHECK (amount > 0),
+                description TEXT,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS transaction_splits;');
+    }
+};
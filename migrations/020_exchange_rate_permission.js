@@ -0,0 +1,31 @@
+/**
+ * Permission to view and set exchange rates through the admin endpoint
+ */
+
+const PERMISSION = { name: 'rates.manage', description: 'View and set exchange rates', roles: ['admin'] };
+
+module.exports = {
+    description: 'Exchange rate permission',
+
+    async up(db) {
+        await db.run(
+            'INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)',
+            [PERMISSION.name, PERMISSION.description]
+        );
+
+        for (const role of PERMISSION.roles) {
+            await db.run(`
+                INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+                SELECT r.id, p.id FROM roles r, permissions p WHERE r.name = ? AND p.name = ?
+            `, [role, PERMISSION.name]);
+        }
+    },
+
+    async down(db) {
+        await db.run(
+            'DELETE FROM role_permissions WHERE permission_id IN (SELECT id FROM permissions WHERE name = ?)',
+            [PERMISSION.name]
+        );
+        await db.run('DELETE FROM permissions WHERE name = ?', [PERMISSION.name]);
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Chain the audit checkpoints: each signs the previous checkpoint's signature and its own time.
+ * Existing checkpoints are signed again, after their old signature is checked.
+ */
+
+const crypto = require('crypto');
+
+const signingKey = () => String(process.env.AUDIT_SIGNING_KEY || process.env.JWT_SECRET);
+
+// Signature of checkpoints before this migration
+function legacySignature(checkpoint) {
+    return crypto
+        .createHmac('sha256', signingKey())
+        .update(`${checkpoint.audit_log_id}:${checkpoint.hash}`)
+        .digest('hex');
+}
+
+// Signature of chained checkpoints
+function chainedSignature(checkpoint) {
+    return crypto
+        .createHmac('sha256', signingKey())
+        .update([
+            checkpoint.audit_log_id,
+            checkpoint.hash,
+            checkpoint.created_at,
+            checkpoint.prev_signature || ''
+        ].join(':'))
+        .digest('hex');
+}
+
+async function resign(db, sign, check) {
+    const checkpoints = await db.all('SELECT * FROM audit_checkpoints ORDER BY id');
+    let prevSignature = null;
+
+    for (const checkpoint of checkpoints) {
+        if (!check(checkpoint)) {
+            throw new Error(`Audit checkpoint ${checkpoint.id} has an invalid signature; run npm run audit -- verify`);
+        }
+
+        const signature = sign({ ...checkpoint, prev_signature: prevSignature });
+        await db.run(
+            'UPDATE audit_checkpoints SET signature = ?, prev_signature = ? WHERE id = ?',
+            [signature, prevSignature, checkpoint.id]
+        );
+        prevSignature = signature;
+    }
+}
+
+module.exports = {
+    description: 'Audit checkpoint chain',
+
+    async up(db) {
+        await db.ensureColumn('audit_checkpoints', 'prev_signature', 'TEXT');
+        await resign(db, chainedSignature, checkpoint => checkpoint.signature === legacySignature(checkpoint));
+    },
+
+    async down(db) {
+        await resign(db, legacySignature, checkpoint => checkpoint.signature === chainedSignature(checkpoint));
+        await db.exec('ALTER TABLE audit_checkpoints DROP COLUMN prev_signature;');
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Money Helpers
+ * Amounts are stored and computed as integer minor units (qindarka/cents) so sums never drift;
+ * they are converted to decimal amounts only when they leave the API.
+ */
+
+const MINOR_UNITS = 100;
+const DECIMALS = 2;
+
+class Money {
+    /**
+     * Convert a decimal amount (number or numeric string) to integer minor units
+     * Returns NaN when the value is not numeric
+     */
+    static toMinor(amount) {
+        if (typeof amount === 'string') {
+            amount = amount.trim();
+        }
+
+        if (amount === '' || amount === null || amount === undefined || typeof amount === 'boolean') {
+            return NaN;
+        }
+
+        const value = Number(amount);
+        if (!Number.isFinite(value)) {
+            return NaN;
+        }
+
+        // toPrecision drops binary noise such as 1.005 * 100 = 100.49999999999999
+        return Money.round(Number((value * MINOR_UNITS).toPrecision(15)));
+    }
+
+    /**
+     * Convert minor units to a decimal amount for JSON responses (15050 -> 150.5)
+     */
+    static toMajor(minor) {
+        return minor / MINOR_UNITS;
+    }
+
+    /**
+     * Format minor units as a fixed-point string for text output (15050 -> "150.50")
+     */
+    static format(minor) {
+        const sign = minor < 0 ? '-' : '';
+        const absolute = Math.abs(minor);
+        const major = Math.floor(absolute / MINOR_UNITS);
+        const fraction = String(absolute % MINOR_UNITS).padStart(DECIMALS, '0');
+
+        return `${sign}${major}.${fraction}`;
+    }
+
+    /**
+     * Round a computed value (after a multiplication or division) to whole minor units,
+     * half away from zero
+     */
+    static round(value) {
+        return Math.sign(value) * Math.round(Math.abs(value));
+    }
+
+    /**
+     * Percentage of an amount in minor units (20% of 10000 -> 2000)
+     */
+    static percentOf(minor, percent) {
+        return Money.round(minor * percent / 100);
+    }
+
+    /**
+     * Sum a list of minor-unit amounts
+     */
+    static sum(amounts) {
+        return amounts.reduce((total, amount) => total + (amount || 0), 0);
+    }
+}
+
+Money.MINOR_UNITS = MINOR_UNITS;
+
+module.exports = Money;
@@ -21,11 +21,15 @@ class RateLimiter {
             '/auth/forgot-password': { requests: 3, window: 600000 }, // 3 attempts per 10 minutes
             
             // Financial endpoints (very restrictive)
+            '/transaction/export': { requests: 10, window: 60000 }, // 10 exports per minute
             '/transaction': { requests: 50, window: 60000 }, // 50 requests per minute
             '/user/balance': { requests: 10, window: 60000 }, // 10 requests per minute
             
             // Profile endpoints
             '/profile': { requests: 20, window: 60000 }, // 20 requests per minute
+            
+            // Report endpoints (load a full date range per request)
+            '/report': { requests: 20, window: 60000 }, // 20 requests per minute
         };
         
         // Cleanup expired entries every 5 minutes
@@ -0,0 +1,257 @@
+/**
+ * Recurring Transaction Scheduler
+ * Materializes due occurrences of recurring rules into the transactions table
+ */
+
+const config = require('./config');
+const Validators = require('./validators');
+const SettingsManager = require('./settingsManager');
+const Money = require('./money');
+const AuditActions = require('./auditActions');
+
+class RecurringScheduler {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the background job (runs once immediately to catch up after downtime)
+     */
+    start(interval = config.recurring.schedulerInterval) {
+        if (this.timer) {
+            return;
+        }
+
+        this.runDueRules().catch(err => console.error('Recurring scheduler run failed:', err));
+        this.timer = setInterval(() => {
+            this.runDueRules().catch(err => console.error('Recurring scheduler run failed:', err));
+        }, interval);
+    }
+
+    /**
+     * Stop the background job
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Materialize every rule that has a due occurrence
+     */
+    async runDueRules() {
+        // Skip if the previous run is still in progress
+        if (this.isRunning) {
+            return 0;
+        }
+
+        this.isRunning = true;
+        try {
+            // Timezones run up to 14 hours ahead of UTC, so fetch anything due by tomorrow
+            // and let each rule decide against its owner's own "today"
+            const horizon = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+            const rules = await this.databaseManager.all(`
+                SELECT * FROM recurring_transactions
+                WHERE is_active = 1 AND next_occurrence_date IS NOT NULL AND next_occurrence_date <= ?
+                ORDER BY next_occurrence_date ASC
+            `, [horizon]);
+
+            const todayByUser = new Map();
+            let created = 0;
+
+            for (const rule of rules) {
+                if (!todayByUser.has(rule.user_id)) {
+                    const preferences = await SettingsManager.getPreferences(this.databaseManager, rule.user_id);
+                    todayByUser.set(rule.user_id, SettingsManager.getToday(preferences.timezone));
+                }
+
+                try {
+                    created += await this.materializeRule(rule, todayByUser.get(rule.user_id));
+                } catch (error) {
+                    console.error(`Failed to materialize recurring rule ${rule.id}:`, error);
+                }
+            }
+
+            return created;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Materialize due occurrences of a single rule by ID
+     */
+    async processRule(ruleId) {
+        const rule = await this.databaseManager.get(
+            'SELECT * FROM recurring_transactions WHERE id = ?',
+            [ruleId]
+        );
+
+        if (!rule || !rule.is_active || !rule.next_occurrence_date) {
+            return 0;
+        }
+
+        const preferences = await SettingsManager.getPreferences(this.databaseManager, rule.user_id);
+        return this.materializeRule(rule, SettingsManager.getToday(preferences.timezone));
+    }
+
+    /**
+     * Create transactions for every occurrence of a rule due on or before `today`.
+     * Each occurrence is recorded in recurring_occurrences, so re-running never duplicates.
+     */
+    async materializeRule(rule, today) {
+        if (!rule.next_occurrence_date || rule.next_occurrence_date > today) {
+            return 0;
+        }
+
+        // An archived account takes no new transactions, so its rules are paused until resumed
+        const account = await this.databaseManager.get(
+            'SELECT name, is_archived FROM accounts WHERE id = ?',
+            [rule.account_id]
+        );
+        if (account && account.is_archived) {
+            await this.databaseManager.run(
+                'UPDATE recurring_transactions SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [rule.id]
+            );
+            await this.databaseManager.logAuditEvent(
+                rule.user_id,
+                AuditActions.RECURRING_RULE_PAUSED,
+                `Paused recurring rule ${rule.id}: account ${account.name} is archived`
+            );
+            return 0;
+        }
+
+        let created = 0;
+        let occurrenceCount = rule.occurrence_count;
+        let occurrenceDate = rule.next_occurrence_date;
+
+        while (occurrenceDate && occurrenceDate <= today && created < config.recurring.maxCatchUpPerRun) {
+            const nextCount = occurrenceCount + 1;
+            const nextDate = RecurringScheduler.getNextOccurrenceDate(rule, nextCount);
+
+            const inserted = await this.databaseManager.transaction(async () => {
+                const existing = await this.databaseManager.get(
+                    'SELECT 1 FROM recurring_occurrences WHERE recurring_id = ? AND occurrence_date = ?',
+                    [rule.id, occurrenceDate]
+                );
+
+                if (!existing) {
+                    const transactionId = Validators.generateSecureId();
+
+                    await this.databaseManager.run(`
+                        INSERT INTO transactions (id, user_id, account_id, amount, type, category, description, currency, transaction_date)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [transactionId, rule.user_id, rule.account_id, rule.amount, rule.type, rule.category, rule.description, rule.currency, occurrenceDate]);
+
+                    await this.databaseManager.run(`
+                        INSERT INTO recurring_occurrences (recurring_id, occurrence_date, transaction_id)
+                        VALUES (?, ?, ?)
+                    `, [rule.id, occurrenceDate, transactionId]);
+                }
+
+                await this.databaseManager.run(`
+                    UPDATE recurring_transactions
+                    SET occurrence_count = ?, next_occurrence_date = ?, last_run_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [nextCount, nextDate, rule.id]);
+
+                return !existing;
+            });
+
+            if (inserted) {
+                created++;
+                await this.databaseManager.logAuditEvent(
+                    rule.user_id,
+                    AuditActions.RECURRING_TRANSACTION_CREATED,
+                    `Created ${rule.type} transaction: ${Money.format(rule.amount)} ${rule.currency} in ${rule.category} from recurring rule ${rule.id} for ${occurrenceDate}`
+                );
+            }
+
+            occurrenceCount = nextCount;
+            occurrenceDate = nextDate;
+        }
+
+        return created;
+    }
+
+    /**
+     * Skip occurrences before `today` without materializing them (used when a paused rule resumes)
+     * Returns the new occurrence count and next occurrence date
+     */
+    static skipPastOccurrences(rule, today) {
+        let occurrenceCount = rule.occurrence_count;
+        let occurrenceDate = rule.next_occurrence_date;
+
+        while (occurrenceDate && occurrenceDate < today) {
+            occurrenceCount++;
+            occurrenceDate = RecurringScheduler.getNextOccurrenceDate(rule, occurrenceCount);
+        }
+
+        return { occurrenceCount, nextOccurrenceDate: occurrenceDate };
+    }
+
+    /**
+     * Get the date of occurrence number `index` (0-based), or null once the rule has ended
+     */
+    static getNextOccurrenceDate(rule, index) {
+        if (rule.max_occurrences && index >= rule.max_occurrences) {
+            return null;
+        }
+
+        const date = RecurringScheduler.getOccurrenceDate(rule.start_date, rule.frequency, rule.interval_count, index);
+
+        if (rule.end_date && date > rule.end_date) {
+            return null;
+        }
+
+        return date;
+    }
+
+    /**
+     * Compute occurrence number `index` from the start date.
+     * Always computed from the anchor date so month-end rules (e.g. the 31st) do not drift.
+     */
+    static getOccurrenceDate(startDate, frequency, interval, index) {
+        const [year, month, day] = startDate.split('-').map(Number);
+        const steps = index * interval;
+        let date;
+
+        switch (frequency) {
+            case 'daily':
+                date = new Date(Date.UTC(year, month - 1, day + steps));
+                break;
+
+            case 'weekly':
+                date = new Date(Date.UTC(year, month - 1, day + steps * 7));
+                break;
+
+            case 'monthly':
+                date = RecurringScheduler.clampedDate(year, month - 1 + steps, day);
+                break;
+
+            case 'yearly':
+                date = RecurringScheduler.clampedDate(year + steps, month - 1, day);
+                break;
+
+            default:
+                throw new Error(`Unsupported frequency: ${frequency}`);
+        }
+
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Build a UTC date, clamping the day to the last day of the month
+     */
+    static clampedDate(year, monthIndex, day) {
+        const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay)));
+    }
+}
+
+module.exports = RecurringScheduler;
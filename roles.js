@@ -0,0 +1,74 @@
+/**
+ * Role management command (e.g. to appoint the first administrator)
+ * Usage: npm run roles -- [list <email> | grant <email> <role> | revoke <email> <role>]
+ *
+ *   list         show the roles of a user
+ *   grant        grant a role (user, support, admin)
+ *   revoke       revoke a role
+ */
+
+const DatabaseManager = require('./databaseManager');
+const AccessControl = require('./accessControl');
+const AuditActions = require('./auditActions');
+
+function parseArgs(argv) {
+    const [command, email, role] = argv;
+
+    if (!['list', 'grant', 'revoke'].includes(command)) {
+        throw new Error(`Unknown command: ${command || '(none)'}`);
+    }
+
+    if (!email || (command !== 'list' && !role)) {
+        throw new Error(`Usage: npm run roles -- ${command} <email>${command === 'list' ? '' : ' <role>'}`);
+    }
+
+    return { command, email: email.toLowerCase(), role };
+}
+
+async function main() {
+    const { command, email, role } = parseArgs(process.argv.slice(2));
+    const databaseManager = new DatabaseManager();
+    await databaseManager.connect();
+
+    try {
+        const user = await databaseManager.get('SELECT id FROM users WHERE email = ?', [email]);
+        if (!user) {
+            throw new Error(`No user with email ${email}`);
+        }
+
+        switch (command) {
+            case 'list': {
+                const roles = await AccessControl.getUserRoles(databaseManager, user.id);
+                for (const userRole of roles) {
+                    console.log(`${userRole.name.padEnd(10)} granted ${userRole.granted_at}`);
+                }
+                break;
+            }
+
+            case 'grant': {
+                const granted = await AccessControl.grantRole(databaseManager, user.id, role);
+                if (granted) {
+                    await databaseManager.logAuditEvent(user.id, AuditActions.ROLE_GRANTED, `Granted role ${role} from the command line`);
+                }
+                console.log(granted ? `✅ Granted ${role} to ${email}` : `✅ ${email} already has ${role}`);
+                break;
+            }
+
+            case 'revoke': {
+                const revoked = await AccessControl.revokeRole(databaseManager, user.id, role);
+                if (revoked) {
+                    await databaseManager.logAuditEvent(user.id, AuditActions.ROLE_REVOKED, `Revoked role ${role} from the command line`);
+                }
+                console.log(revoked ? `✅ Revoked ${role} from ${email}` : `✅ ${email} does not have ${role}`);
+                break;
+            }
+        }
+    } finally {
+        await databaseManager.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Role command failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,314 @@
+/**
+ * Account Routes Handler
+ * Manages the accounts (cash, bank, card, savings) transactions are recorded in and reports their balances
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const AccountManager = require('../accountManager');
+const Money = require('../money');
+const AuditActions = require('../auditActions');
+
+class AccountRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all account routes
+            authMiddleware.requireAuth(req, res, async () => {
+                switch (pathname) {
+                    case '/account':
+                        if (method === 'POST') {
+                            return await this.createAccount(req, res, { databaseManager });
+                        } else if (method === 'GET') {
+                            return await this.getAccounts(req, res, { databaseManager, parsedUrl });
+                        }
+                        break;
+
+                    default:
+                        // Handle account by ID
+                        if (pathname.startsWith('/account/')) {
+                            const accountId = pathname.split('/')[2];
+                            if (method === 'GET') {
+                                return await this.getAccount(req, res, { databaseManager, accountId });
+                            } else if (method === 'PUT') {
+                                return await this.updateAccount(req, res, { databaseManager, accountId });
+                            } else if (method === 'DELETE') {
+                                return await this.deleteAccount(req, res, { databaseManager, accountId });
+                            }
+                        }
+                }
+
+                return this.sendError(res, 404, 'Account endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async createAccount(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { name, type, openingBalance } = req.body;
+
+            // Accounts default to the user's preferred currency
+            const currency = req.body.currency || (await SettingsManager.getPreferences(databaseManager, userId)).currency;
+
+            const accountValidation = Validators.validateAccount(name, type, currency, openingBalance);
+            if (!accountValidation.valid) {
+                return this.sendError(res, 400, accountValidation.message);
+            }
+
+            const account = accountValidation.sanitized;
+
+            const existingAccount = await databaseManager.get(
+                'SELECT id FROM accounts WHERE user_id = ? AND name = ?',
+                [userId, account.name]
+            );
+
+            if (existingAccount) {
+                return this.sendError(res, 409, `An account named ${account.name} already exists`);
+            }
+
+            const accountId = Validators.generateSecureId();
+
+            await databaseManager.run(`
+                INSERT INTO accounts (id, user_id, name, type, currency, opening_balance)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [accountId, userId, account.name, account.type, account.currency, account.openingBalance]);
+
+            // Log account creation
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.ACCOUNT_CREATED,
+                `Created ${account.type} account ${account.name} (${account.currency})`,
+                req
+            );
+
+            const [created] = await AccountManager.getAccountsWithBalances(databaseManager, userId, { accountId });
+
+            this.sendSuccess(res, 201, {
+                message: 'Account created successfully',
+                account: this.formatAccount(created)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to create account');
+        }
+    }
+
+    async getAccounts(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const userId = req.user.userId;
+            const includeArchived = parsedUrl.query.includeArchived === 'true';
+
+            const accounts = await AccountManager.getAccountsWithBalances(databaseManager, userId, { includeArchived });
+
+            this.sendSuccess(res, 200, {
+                accounts: accounts.map(a => this.formatAccount(a))
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to get accounts');
+        }
+    }
+
+    async getAccount(req, res, { databaseManager, accountId }) {
+        try {
+            const userId = req.user.userId;
+
+            const [account] = await AccountManager.getAccountsWithBalances(databaseManager, userId, { accountId });
+
+            if (!account) {
+                return this.sendError(res, 404, 'Account not found');
+            }
+
+            const { count } = await databaseManager.get(
+                'SELECT COUNT(*) AS count FROM transactions WHERE account_id = ? AND user_id = ?',
+                [accountId, userId]
+            );
+
+            this.sendSuccess(res, 200, {
+                account: {
+                    ...this.formatAccount(account),
+                    transactionCount: count
+                }
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to get account');
+        }
+    }
+
+    async updateAccount(req, res, { databaseManager, accountId }) {
+        try {
+            const userId = req.user.userId;
+            const existingAccount = await AccountManager.getAccount(databaseManager, userId, accountId);
+
+            if (!existingAccount) {
+                return this.sendError(res, 404, 'Account not found');
+            }
+
+            const {
+                name = existingAccount.name,
+                type = existingAccount.type,
+                currency = existingAccount.currency,
+                openingBalance = Money.toMajor(existingAccount.opening_balance),
+                isArchived = !!existingAccount.is_archived
+            } = req.body;
+
+            const accountValidation = Validators.validateAccount(name, type, currency, openingBalance);
+            if (!accountValidation.valid) {
+                return this.sendError(res, 400, accountValidation.message);
+            }
+
+            if (typeof isArchived !== 'boolean') {
+                return this.sendError(res, 400, 'isArchived must be a boolean');
+            }
+
+            const account = accountValidation.sanitized;
+
+            // The balance is kept in the account currency, so it is fixed once the account is used
+            if (account.currency !== existingAccount.currency && await this.isInUse(databaseManager, accountId)) {
+                return this.sendError(res, 409, 'The currency of an account with transactions cannot be changed');
+            }
+
+            const conflictingAccount = await databaseManager.get(
+                'SELECT id FROM accounts WHERE user_id = ? AND name = ? AND id != ?',
+                [userId, account.name, accountId]
+            );
+
+            if (conflictingAccount) {
+                return this.sendError(res, 409, `An account named ${account.name} already exists`);
+            }
+
+            await databaseManager.run(`
+                UPDATE accounts
+                SET name = ?, type = ?, currency = ?, opening_balance = ?, is_archived = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `, [account.name, account.type, account.currency, account.openingBalance, isArchived ? 1 : 0, accountId, userId]);
+
+            // Log account update
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.ACCOUNT_UPDATED,
+                `Updated account ${account.name}${isArchived !== !!existingAccount.is_archived ? (isArchived ? ' (archived)' : ' (restored)') : ''}`,
+                req
+            );
+
+            const [updated] = await AccountManager.getAccountsWithBalances(databaseManager, userId, { accountId });
+
+            this.sendSuccess(res, 200, {
+                message: 'Account updated successfully',
+                account: this.formatAccount(updated)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to update account');
+        }
+    }
+
+    async deleteAccount(req, res, { databaseManager, accountId }) {
+        try {
+            const userId = req.user.userId;
+            const existingAccount = await AccountManager.getAccount(databaseManager, userId, accountId);
+
+            if (!existingAccount) {
+                return this.sendError(res, 404, 'Account not found');
+            }
+
+            // Deleting would orphan the history; archiving hides the account instead
+            if (await this.isInUse(databaseManager, accountId)) {
+                return this.sendError(res, 409, 'Accounts with transactions or recurring transactions cannot be deleted; archive the account instead');
+            }
+
+            await databaseManager.run(
+                'DELETE FROM accounts WHERE id = ? AND user_id = ?',
+                [accountId, userId]
+            );
+
+            // Log account deletion
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.ACCOUNT_DELETED,
+                `Deleted account ${existingAccount.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Account deleted successfully'
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to delete account');
+        }
+    }
+
+    async isInUse(databaseManager, accountId) {
+        const used = await databaseManager.get(`
+            SELECT 1 FROM transactions WHERE account_id = ?
+            UNION ALL
+            SELECT 1 FROM recurring_transactions WHERE account_id = ?
+            LIMIT 1
+        `, [accountId, accountId]);
+
+        return !!used;
+    }
+
+    /**
+     * Shape an account row for API responses (amounts as decimals)
+     */
+    formatAccount(account) {
+        return {
+            id: account.id,
+            name: account.name,
+            type: account.type,
+            currency: account.currency,
+            openingBalance: Money.toMajor(account.opening_balance),
+            balance: Money.toMajor(account.balance),
+            isArchived: !!account.is_archived,
+            createdAt: account.created_at,
+            updatedAt: account.updated_at
+        };
+    }
+
+    /**
+     * Map validation, conflict and missing exchange rate errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new AccountRoutes();
@@ -0,0 +1,527 @@
+/**
+ * Admin Routes Handler
+ * User management, platform statistics, audit log, role management and exchange rates
+ * Each endpoint requires a permission granted through a role rather than `requireAdmin`,
+ * so the support role can read users, statistics and the audit log without changing anything
+ */
+
+const config = require('../config');
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const AccessControl = require('../accessControl');
+const CurrencyConverter = require('../currencyConverter');
+const AuditActions = require('../auditActions');
+
+class AdminRoutes {
+    async handle(req, res, context) {
+        const { sessionManager, authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        // Run a handler only if the user has the permission
+        const withPermission = (permission, handler) =>
+            authMiddleware.requirePermission(permission)(req, res, handler);
+
+        try {
+            switch (pathname) {
+                case '/admin/users':
+                    if (method === 'GET') {
+                        return await withPermission('users.read', () =>
+                            this.searchUsers(req, res, { databaseManager, parsedUrl }));
+                    }
+                    break;
+
+                case '/admin/stats':
+                    if (method === 'GET') {
+                        return await withPermission('stats.read', () =>
+                            this.getStats(req, res, { sessionManager, databaseManager }));
+                    }
+                    break;
+
+                case '/admin/audit-log':
+                    if (method === 'GET') {
+                        return await withPermission('audit.read', () =>
+                            this.getAuditLog(req, res, { databaseManager, parsedUrl }));
+                    }
+                    break;
+
+                case '/admin/roles':
+                    if (method === 'GET') {
+                        return await withPermission('roles.manage', () =>
+                            this.listRoles(req, res, { databaseManager }));
+                    }
+                    break;
+
+                case '/admin/exchange-rates':
+                    if (method === 'GET') {
+                        return await withPermission('rates.manage', () =>
+                            this.getExchangeRates(req, res, { databaseManager }));
+                    } else if (method === 'PUT') {
+                        return await withPermission('rates.manage', () =>
+                            this.setExchangeRates(req, res, { databaseManager }));
+                    }
+                    break;
+
+                default:
+                    // Handle a user: /admin/users/:id[/action | /roles[/:role]]
+                    if (pathname.startsWith('/admin/users/')) {
+                        const [, , , userId, resource, role] = pathname.split('/');
+
+                        if (!resource && method === 'GET') {
+                            return await withPermission('users.read', () =>
+                                this.getUser(req, res, { sessionManager, databaseManager, userId }));
+                        } else if (resource === 'deactivate' && method === 'POST') {
+                            return await withPermission('users.manage', () =>
+                                this.setUserActive(req, res, { sessionManager, databaseManager, userId, active: false }));
+                        } else if (resource === 'reactivate' && method === 'POST') {
+                            return await withPermission('users.manage', () =>
+                                this.setUserActive(req, res, { sessionManager, databaseManager, userId, active: true }));
+                        } else if (resource === 'logout' && method === 'POST') {
+                            return await withPermission('users.manage', () =>
+                                this.forceLogout(req, res, { sessionManager, databaseManager, userId }));
+                        } else if (resource === 'roles' && !role) {
+                            if (method === 'GET') {
+                                return await withPermission('roles.manage', () =>
+                                    this.getUserRoles(req, res, { databaseManager, userId }));
+                            } else if (method === 'POST') {
+                                return await withPermission('roles.manage', () =>
+                                    this.grantRole(req, res, { databaseManager, userId }));
+                            }
+                        } else if (resource === 'roles' && method === 'DELETE') {
+                            return await withPermission('roles.manage', () =>
+                                this.revokeRole(req, res, { databaseManager, userId, role: decodeURIComponent(role) }));
+                        }
+                    }
+            }
+
+            return this.sendError(res, 404, 'Admin endpoint not found');
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    /**
+     * Search users by email or name; filter by status=active|inactive
+     */
+    async searchUsers(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const { q, status, page, limit } = parsedUrl.query;
+
+            const pagination = Validators.validatePagination(page, limit);
+            if (!pagination.valid) {
+                return this.sendError(res, 400, pagination.message);
+            }
+
+            const conditions = [];
+            const params = [];
+
+            if (q) {
+                const pattern = `%${String(q).trim().toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+                conditions.push("(LOWER(email) LIKE ? ESCAPE '\\' OR LOWER(full_name) LIKE ? ESCAPE '\\')");
+                params.push(pattern, pattern);
+            }
+
+            if (status !== undefined) {
+                if (!['active', 'inactive'].includes(status)) {
+                    return this.sendError(res, 400, 'Status must be active or inactive');
+                }
+                conditions.push('is_active = ?');
+                params.push(status === 'active' ? 1 : 0);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const { limit: limitNum, offset } = pagination.sanitized;
+
+            const users = await databaseManager.all(`
+                SELECT id, email, full_name, is_active, created_at, last_login, locked_until
+                FROM users
+                ${where}
+                ORDER BY created_at DESC, email
+                LIMIT ? OFFSET ?
+            `, [...params, limitNum, offset]);
+
+            const { total } = await databaseManager.get(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+
+            this.sendSuccess(res, 200, {
+                users: users.map(user => this.formatUser(user)),
+                pagination: {
+                    page: pagination.sanitized.page,
+                    limit: limitNum,
+                    total,
+                    pages: Math.ceil(total / limitNum)
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to search users');
+        }
+    }
+
+    async getUser(req, res, { sessionManager, databaseManager, userId }) {
+        try {
+            const user = await databaseManager.get(`
+                SELECT u.id, u.email, u.full_name, u.is_active, u.created_at, u.last_login, u.locked_until,
+                       u.failed_login_attempts, m.enabled_at AS mfa_enabled_at
+                FROM users u
+                LEFT JOIN user_mfa m ON m.user_id = u.id
+                WHERE u.id = ?
+            `, [userId]);
+
+            if (!user) {
+                return this.sendError(res, 404, 'User not found');
+            }
+
+            const roles = await AccessControl.getUserRoles(databaseManager, userId);
+            const sessions = await sessionManager.listSessions(userId);
+
+            this.sendSuccess(res, 200, {
+                user: {
+                    ...this.formatUser(user),
+                    failedLoginAttempts: user.failed_login_attempts,
+                    twoFactorEnabled: !!user.mfa_enabled_at,
+                    roles: roles.map(role => role.name),
+                    activeSessions: sessions.length
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve user');
+        }
+    }
+
+    /**
+     * Deactivate (signing the user out everywhere) or reactivate an account
+     */
+    async setUserActive(req, res, { sessionManager, databaseManager, userId, active }) {
+        try {
+            if (userId === req.user.userId) {
+                return this.sendError(res, 400, 'You cannot change the status of your own account');
+            }
+
+            const user = await this.findUser(databaseManager, userId);
+            if (!user) {
+                return this.sendError(res, 404, 'User not found');
+            }
+
+            const changed = await AccessControl.setActive(databaseManager, userId, active);
+
+            if (!changed) {
+                return this.sendError(res, 409, `User is already ${active ? 'active' : 'deactivated'}`);
+            }
+
+            if (!active) {
+                await sessionManager.revokeUserSessions(userId);
+            }
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                active ? AuditActions.USER_REACTIVATED : AuditActions.USER_DEACTIVATED,
+                `${active ? 'Reactivated' : 'Deactivated'} user ${userId}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: active ? 'User reactivated' : 'User deactivated and signed out'
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to update user status');
+        }
+    }
+
+    /**
+     * Sign a user out of every session
+     */
+    async forceLogout(req, res, { sessionManager, databaseManager, userId }) {
+        try {
+            if (!(await this.findUser(databaseManager, userId))) {
+                return this.sendError(res, 404, 'User not found');
+            }
+
+            const revokedSessions = await sessionManager.revokeUserSessions(userId);
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                AuditActions.USER_FORCE_LOGOUT,
+                `Signed user ${userId} out of ${revokedSessions} session(s)`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'User signed out of all sessions',
+                revokedSessions
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to sign out user');
+        }
+    }
+
+    async getStats(req, res, { sessionManager, databaseManager }) {
+        try {
+            this.sendSuccess(res, 200, {
+                stats: await databaseManager.getStats(),
+                sessions: sessionManager.getStats()
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve statistics');
+        }
+    }
+
+    /**
+     * Browse the audit log; filters: userId, action (comma separated), from/to (YYYY-MM-DD)
+     */
+    async getAuditLog(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const { userId, action, from, to, page, limit } = parsedUrl.query;
+
+            const pagination = Validators.validatePagination(page, limit);
+            if (!pagination.valid) {
+                return this.sendError(res, 400, pagination.message);
+            }
+
+            for (const date of [from, to]) {
+                if (date !== undefined && !Validators.isValidDateString(date)) {
+                    return this.sendError(res, 400, 'Dates must be in YYYY-MM-DD format');
+                }
+            }
+
+            const actions = action ? String(action).split(',').map(a => a.trim().toUpperCase()).filter(Boolean) : [];
+            const { limit: limitNum, offset } = pagination.sanitized;
+
+            const { entries, total } = await databaseManager.getAuditLog(
+                { userId, actions, from, to },
+                { limit: limitNum, offset }
+            );
+
+            this.sendSuccess(res, 200, {
+                entries: entries.map(entry => ({
+                    id: entry.id,
+                    userId: entry.user_id,
+                    action: entry.action,
+                    details: entry.details,
+                    ipAddress: entry.ip_address,
+                    userAgent: entry.user_agent,
+                    createdAt: entry.created_at
+                })),
+                pagination: {
+                    page: pagination.sanitized.page,
+                    limit: limitNum,
+                    total,
+                    pages: Math.ceil(total / limitNum)
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve audit log');
+        }
+    }
+
+    async listRoles(req, res, { databaseManager }) {
+        try {
+            this.sendSuccess(res, 200, {
+                roles: await AccessControl.listRoles(databaseManager)
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve roles');
+        }
+    }
+
+    async getUserRoles(req, res, { databaseManager, userId }) {
+        try {
+            if (!(await this.findUser(databaseManager, userId))) {
+                return this.sendError(res, 404, 'User not found');
+            }
+
+            const roles = await AccessControl.getUserRoles(databaseManager, userId);
+
+            this.sendSuccess(res, 200, {
+                userId,
+                roles: roles.map(role => ({
+                    name: role.name,
+                    grantedBy: role.granted_by,
+                    grantedAt: role.granted_at
+                }))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve user roles');
+        }
+    }
+
+    async grantRole(req, res, { databaseManager, userId }) {
+        try {
+            ErrorHandler.validateUserInput(req.body, ['role']);
+
+            if (!(await this.findUser(databaseManager, userId))) {
+                return this.sendError(res, 404, 'User not found');
+            }
+
+            const role = String(req.body.role).trim();
+            const granted = await AccessControl.grantRole(databaseManager, userId, role, req.user.userId);
+
+            if (!granted) {
+                return this.sendError(res, 409, `User already has the ${role} role`);
+            }
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                AuditActions.ROLE_GRANTED,
+                `Granted role ${role} to user ${userId}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: `Role ${role} granted`
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to grant role');
+        }
+    }
+
+    async revokeRole(req, res, { databaseManager, userId, role }) {
+        try {
+            if (!(await this.findUser(databaseManager, userId))) {
+                return this.sendError(res, 404, 'User not found');
+            }
+
+            const revoked = await AccessControl.revokeRole(databaseManager, userId, role);
+
+            if (!revoked) {
+                return this.sendError(res, 404, `User does not have the ${role} role`);
+            }
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                AuditActions.ROLE_REVOKED,
+                `Revoked role ${role} from user ${userId}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: `Role ${role} revoked`
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to revoke role');
+        }
+    }
+
+    formatUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            fullName: user.full_name,
+            isActive: !!user.is_active,
+            lockedUntil: user.locked_until && new Date(user.locked_until) > new Date() ? user.locked_until : null,
+            createdAt: user.created_at,
+            lastLogin: user.last_login
+        };
+    }
+
+    async getExchangeRates(req, res, { databaseManager }) {
+        try {
+            const rates = await databaseManager.all('SELECT * FROM exchange_rates ORDER BY currency');
+
+            this.sendSuccess(res, 200, {
+                base: config.currency.base,
+                rates: rates.map(rate => ({
+                    currency: rate.currency,
+                    rate: rate.rate,
+                    source: rate.source,
+                    updatedAt: rate.updated_at
+                }))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve exchange rates');
+        }
+    }
+
+    /**
+     * Store rates: { "rates": { "EUR": 100.25 } }, each the price of one unit in the base currency
+     * Currencies that are left out keep their stored rate
+     */
+    async setExchangeRates(req, res, { databaseManager }) {
+        try {
+            ErrorHandler.validateUserInput(req.body, ['rates']);
+
+            if (req.body.rates && typeof req.body.rates === 'object' && Object.keys(req.body.rates).length === 0) {
+                return this.sendError(res, 400, 'No exchange rates provided');
+            }
+
+            const updated = await CurrencyConverter.setRates(databaseManager, req.body.rates, 'admin');
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                AuditActions.EXCHANGE_RATES_UPDATED,
+                `Set exchange rates: ${Object.entries(req.body.rates).map(([currency, rate]) => `${currency} ${rate}`).join(', ')}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Exchange rates updated',
+                updated
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to update exchange rates');
+        }
+    }
+
+    async findUser(databaseManager, userId) {
+        if (!userId) {
+            return null;
+        }
+
+        return databaseManager.get('SELECT id FROM users WHERE id = ?', [userId]);
+    }
+
+    /**
+     * Map validation and conflict errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new AdminRoutes();
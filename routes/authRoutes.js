@@ -1,19 +1,25 @@
 /**
  * Authentication Routes Handler
- * Handles login, register, logout, and password reset functionality
+ * Handles login (with 2FA and lockout), register (single-shot and multi-step), logout, session management, and password reset functionality
  */
 
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const Validators = require('../validators');
 const ErrorHandler = require('../errorHandler');
 const config = require('../config');
+const Money = require('../money');
+const TwoFactor = require('../twoFactor');
+const AccessControl = require('../accessControl');
+const AuditChain = require('../auditChain');
+const AuditActions = require('../auditActions');
 
 class AuthRoutes {
     /**
      * Handle authentication routes
      */
     async handle(req, res, context) {
-        const { sessionManager, authMiddleware, databaseManager, parsedUrl } = context;
+        const { sessionManager, authMiddleware, databaseManager, emailService, parsedUrl } = context;
         const pathname = parsedUrl.pathname;
         const method = req.method.toUpperCase();
 
@@ -26,9 +32,57 @@ class AuthRoutes {
                     }
                     break;
 
+                case '/auth/register/step1':
+                    if (method === 'POST') {
+                        return await this.registerStep1(req, res, { databaseManager });
+                    }
+                    break;
+
+                case '/auth/register/step2':
+                    if (method === 'POST') {
+                        return await this.registerStep2(req, res, { databaseManager });
+                    }
+                    break;
+
+                case '/auth/register/step3':
+                    if (method === 'POST') {
+                        return await this.registerStep3(req, res, { databaseManager, emailService });
+                    }
+                    break;
+
+                case '/auth/register/resend-code':
+                    if (method === 'POST') {
+                        return await this.resendVerificationCode(req, res, { databaseManager, emailService });
+                    }
+                    break;
+
+                case '/auth/register/resume':
+                    if (method === 'POST') {
+                        return await this.resumeRegistration(req, res, { databaseManager });
+                    }
+                    break;
+
+                case '/auth/register/verify':
+                    if (method === 'POST') {
+                        return await this.verifyRegistration(req, res, { sessionManager, databaseManager });
+                    }
+                    break;
+
                 case '/auth/login':
                     if (method === 'POST') {
-                        return await this.login(req, res, { sessionManager, databaseManager });
+                        return await this.login(req, res, { sessionManager, databaseManager, emailService });
+                    }
+                    break;
+
+                case '/auth/login/2fa':
+                    if (method === 'POST') {
+                        return await this.loginWithSecondFactor(req, res, { sessionManager, databaseManager, emailService });
+                    }
+                    break;
+
+                case '/auth/unlock':
+                    if (method === 'POST') {
+                        return await this.unlockAccount(req, res, { databaseManager });
                     }
                     break;
 
@@ -40,23 +94,43 @@ class AuthRoutes {
 
                 case '/auth/refresh':
                     if (method === 'POST') {
-                        return await this.refreshToken(req, res, { sessionManager, authMiddleware });
+                        return await this.refreshToken(req, res, { sessionManager, databaseManager });
+                    }
+                    break;
+
+                case '/auth/logout-all':
+                    if (method === 'POST') {
+                        return await authMiddleware.requireAuth(req, res, () =>
+                            this.logoutAll(req, res, { sessionManager, databaseManager }));
+                    }
+                    break;
+
+                case '/auth/sessions':
+                    if (method === 'GET') {
+                        return await authMiddleware.requireAuth(req, res, () =>
+                            this.listSessions(req, res, { sessionManager }));
                     }
                     break;
 
                 case '/auth/forgot-password':
                     if (method === 'POST') {
-                        return await this.forgotPassword(req, res, { databaseManager });
+                        return await this.forgotPassword(req, res, { databaseManager, emailService });
                     }
                     break;
 
                 case '/auth/reset-password':
                     if (method === 'POST') {
-                        return await this.resetPassword(req, res, { databaseManager });
+                        return await this.resetPassword(req, res, { sessionManager, databaseManager });
                     }
                     break;
 
                 default:
+                    // Handle session by ID
+                    if (pathname.startsWith('/auth/sessions/') && method === 'DELETE') {
+                        const sessionId = pathname.split('/')[3];
+                        return await authMiddleware.requireAuth(req, res, () =>
+                            this.revokeSession(req, res, { sessionManager, databaseManager, sessionId }));
+                    }
                     return this.sendError(res, 404, 'Authentication endpoint not found');
             }
 
@@ -131,22 +205,26 @@ class AuthRoutes {
                 statusValidation.sanitized
             ]);
 
+            await AccessControl.grantRole(databaseManager, userId, 'user');
+
             // Log registration event
             await databaseManager.logAuditEvent(
                 userId,
-                'USER_REGISTERED',
+                AuditActions.USER_REGISTERED,
                 'New user registration',
                 req
             );
 
             // Create session
-            const session = sessionManager.createSession(userId, emailValidation.sanitized);
+            const session = await sessionManager.issueTokens(userId, emailValidation.sanitized, req);
 
             this.sendSuccess(res, 201, {
                 message: 'Registration successful',
                 userId: userId,
                 token: session.token,
                 expiresAt: session.expiresAt,
+                refreshToken: session.refreshToken,
+                refreshExpiresAt: session.refreshExpiresAt,
                 user: {
                     email: emailValidation.sanitized,
                     fullName: nameValidation.sanitized,
@@ -160,10 +238,405 @@ class AuthRoutes {
         }
     }
 
+    /**
+     * Multi-step registration, step 1: name and date of birth
+     * Starts a registration session that can be resumed until it expires
+     */
+    async registerStep1(req, res, { databaseManager }) {
+        try {
+            const { firstName, lastName, day, month, year } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['firstName', 'lastName', 'day', 'month', 'year']);
+
+            const firstNameValidation = Validators.validateName(firstName);
+            if (!firstNameValidation.valid) {
+                return this.sendError(res, 400, firstNameValidation.message);
+            }
+
+            const lastNameValidation = Validators.validateName(lastName);
+            if (!lastNameValidation.valid) {
+                return this.sendError(res, 400, lastNameValidation.message);
+            }
+
+            const dobValidation = Validators.validateDateOfBirth(parseInt(day), parseInt(month), parseInt(year));
+            if (!dobValidation.valid) {
+                return this.sendError(res, 400, dobValidation.message);
+            }
+
+            // Drop abandoned registrations
+            await databaseManager.run(
+                'DELETE FROM registration_sessions WHERE expires_at <= ?',
+                [new Date().toISOString()]
+            );
+
+            // The client keeps the id; only its hash is stored
+            const registrationId = 'reg_' + Validators.generateSecureId(16);
+            const expiresAt = new Date(Date.now() + config.security.registrationSessionExpiry);
+
+            await databaseManager.run(`
+                INSERT INTO registration_sessions (id, first_name, last_name, date_of_birth, expires_at)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                Validators.hashToken(registrationId),
+                firstNameValidation.sanitized,
+                lastNameValidation.sanitized,
+                dobValidation.sanitized,
+                expiresAt.toISOString()
+            ]);
+
+            await databaseManager.logAuditEvent(null, AuditActions.REGISTRATION_STARTED, 'Multi-step registration started', req);
+
+            this.sendSuccess(res, 201, {
+                message: 'Step 1 completed successfully',
+                registrationId,
+                step: 1,
+                expiresAt
+            });
+
+        } catch (error) {
+            return this.handleRegistrationError(error, req, res);
+        }
+    }
+
+    /**
+     * Multi-step registration, step 2: employment status and optional job/salary
+     */
+    async registerStep2(req, res, { databaseManager }) {
+        try {
+            const { registrationId, employmentStatus, jobTitle, monthlySalary } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['registrationId', 'employmentStatus']);
+
+            const registration = await this.getRegistration(databaseManager, registrationId);
+            if (!registration) {
+                return this.sendError(res, 404, 'Registration session not found or expired');
+            }
+
+            const statusValidation = Validators.validateEmploymentStatus(employmentStatus);
+            if (!statusValidation.valid) {
+                return this.sendError(res, 400, statusValidation.message);
+            }
+
+            // Job title and salary are optional, but must be valid when given
+            let profile = { jobTitle: null, monthlySalary: null };
+            if (jobTitle || monthlySalary) {
+                const profileValidation = Validators.validateUserProfile(jobTitle, monthlySalary, 20);
+                if (!profileValidation.valid) {
+                    return this.sendError(res, 400, profileValidation.message);
+                }
+                profile = profileValidation.sanitized;
+            }
+
+            await databaseManager.run(`
+                UPDATE registration_sessions
+                SET employment_status = ?, job_title = ?, monthly_salary = ?,
+                    step = MAX(step, 2), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [statusValidation.sanitized, profile.jobTitle, profile.monthlySalary, registration.id]);
+
+            this.sendSuccess(res, 200, {
+                message: 'Step 2 completed successfully',
+                step: Math.max(registration.step, 2)
+            });
+
+        } catch (error) {
+            return this.handleRegistrationError(error, req, res);
+        }
+    }
+
+    /**
+     * Multi-step registration, step 3: email and password; sends the verification code
+     */
+    async registerStep3(req, res, { databaseManager, emailService }) {
+        try {
+            const { registrationId, email, password, confirmPassword } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['registrationId', 'email', 'password', 'confirmPassword']);
+
+            const registration = await this.getRegistration(databaseManager, registrationId);
+            if (!registration) {
+                return this.sendError(res, 404, 'Registration session not found or expired');
+            }
+
+            if (registration.step < 2) {
+                return this.sendError(res, 409, 'Complete step 2 first');
+            }
+
+            const emailValidation = Validators.validateEmail(email);
+            if (!emailValidation.valid) {
+                return this.sendError(res, 400, emailValidation.message);
+            }
+
+            const passwordValidation = Validators.validatePassword(password);
+            if (!passwordValidation.valid) {
+                return this.sendError(res, 400, passwordValidation.message);
+            }
+
+            if (password !== confirmPassword) {
+                return this.sendError(res, 400, 'Passwords do not match');
+            }
+
+            const existingUser = await databaseManager.get(
+                'SELECT id FROM users WHERE email = ?',
+                [emailValidation.sanitized]
+            );
+
+            if (existingUser) {
+                return this.sendError(res, 409, 'Email already registered');
+            }
+
+            // The password is hashed right away; the plain text is never stored
+            const hashedPassword = await bcrypt.hash(password, config.security.bcryptRounds);
+
+            await databaseManager.run(`
+                UPDATE registration_sessions
+                SET email = ?, password_hash = ?, step = 3, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [emailValidation.sanitized, hashedPassword, registration.id]);
+
+            const sent = await this.sendVerificationCode(databaseManager, emailService, registration.id, emailValidation.sanitized);
+            if (!sent) {
+                return this.sendError(res, 502, 'Failed to send verification email, please request a new code');
+            }
+
+            this.sendSuccess(res, 200, {
+                message: 'Verification code sent to your email',
+                step: 3
+            });
+
+        } catch (error) {
+            return this.handleRegistrationError(error, req, res);
+        }
+    }
+
+    /**
+     * Send a new verification code for a registration that reached step 3
+     */
+    async resendVerificationCode(req, res, { databaseManager, emailService }) {
+        try {
+            const { registrationId } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['registrationId']);
+
+            const registration = await this.getRegistration(databaseManager, registrationId);
+            if (!registration) {
+                return this.sendError(res, 404, 'Registration session not found or expired');
+            }
+
+            if (registration.step < 3) {
+                return this.sendError(res, 409, 'Complete step 3 first');
+            }
+
+            const sent = await this.sendVerificationCode(databaseManager, emailService, registration.id, registration.email);
+            if (!sent) {
+                return this.sendError(res, 502, 'Failed to send verification email, please try again');
+            }
+
+            this.sendSuccess(res, 200, {
+                message: 'Verification code sent to your email'
+            });
+
+        } catch (error) {
+            return this.handleRegistrationError(error, req, res);
+        }
+    }
+
+    /**
+     * Return the progress of a registration so the client can continue where it left off
+     */
+    async resumeRegistration(req, res, { databaseManager }) {
+        try {
+            const { registrationId } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['registrationId']);
+
+            const registration = await this.getRegistration(databaseManager, registrationId);
+            if (!registration) {
+                return this.sendError(res, 404, 'Registration session not found or expired');
+            }
+
+            this.sendSuccess(res, 200, {
+                step: registration.step,
+                nextStep: registration.step < 3 ? `step${registration.step + 1}` : 'verify',
+                expiresAt: registration.expires_at,
+                registration: {
+                    firstName: registration.first_name,
+                    lastName: registration.last_name,
+                    dateOfBirth: registration.date_of_birth,
+                    employmentStatus: registration.employment_status,
+                    jobTitle: registration.job_title,
+                    monthlySalary: registration.monthly_salary === null ? null : Money.toMajor(registration.monthly_salary),
+                    email: registration.email
+                }
+            });
+
+        } catch (error) {
+            return this.handleRegistrationError(error, req, res);
+        }
+    }
+
+    /**
+     * Multi-step registration, step 4: verify the email code and create the account
+     */
+    async verifyRegistration(req, res, { sessionManager, databaseManager }) {
+        try {
+            const { registrationId, verificationCode } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['registrationId', 'verificationCode']);
+
+            const registration = await this.getRegistration(databaseManager, registrationId);
+            if (!registration) {
+                return this.sendError(res, 404, 'Registration session not found or expired');
+            }
+
+            if (registration.step < 3 || !registration.verification_code_hash) {
+                return this.sendError(res, 409, 'Complete step 3 first');
+            }
+
+            if (registration.verification_attempts >= config.security.maxVerificationAttempts) {
+                return this.sendError(res, 429, 'Too many invalid codes, please request a new code');
+            }
+
+            if (new Date(registration.code_expires_at) <= new Date()) {
+                return this.sendError(res, 400, 'Verification code expired, please request a new code');
+            }
+
+            const codeHash = this.hashVerificationCode(registration.id, verificationCode);
+            if (codeHash !== registration.verification_code_hash) {
+                await databaseManager.run(
+                    'UPDATE registration_sessions SET verification_attempts = verification_attempts + 1 WHERE id = ?',
+                    [registration.id]
+                );
+                await databaseManager.logAuditEvent(null, AuditActions.REGISTRATION_VERIFICATION_FAILED, 'Invalid verification code', req);
+
+                return this.sendError(res, 400, 'Invalid verification code');
+            }
+
+            const userId = Validators.generateSecureId();
+            const fullName = `${registration.first_name} ${registration.last_name}`;
+
+            const created = await databaseManager.transaction(async () => {
+                // The email may have been registered since step 3
+                const existingUser = await databaseManager.get(
+                    'SELECT id FROM users WHERE email = ?',
+                    [registration.email]
+                );
+
+                if (existingUser) {
+                    return false;
+                }
+
+                await databaseManager.run(`
+                    INSERT INTO users (id, email, password_hash, full_name, date_of_birth, employment_status)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [
+                    userId,
+                    registration.email,
+                    registration.password_hash,
+                    fullName,
+                    registration.date_of_birth,
+                    registration.employment_status
+                ]);
+
+                await AccessControl.grantRole(databaseManager, userId, 'user');
+
+                await databaseManager.run(`
+                    INSERT INTO user_profiles (id, user_id, job_title, monthly_salary)
+                    VALUES (?, ?, ?, ?)
+                `, [Validators.generateSecureId(), userId, registration.job_title, registration.monthly_salary]);
+
+                await databaseManager.run('DELETE FROM registration_sessions WHERE id = ?', [registration.id]);
+
+                return true;
+            });
+
+            if (!created) {
+                return this.sendError(res, 409, 'Email already registered');
+            }
+
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.USER_REGISTERED,
+                'New user registration (multi-step, email verified)',
+                req
+            );
+
+            const session = await sessionManager.issueTokens(userId, registration.email, req);
+
+            this.sendSuccess(res, 201, {
+                message: config.messages.al.registerSuccess,
+                userId: userId,
+                token: session.token,
+                expiresAt: session.expiresAt,
+                refreshToken: session.refreshToken,
+                refreshExpiresAt: session.refreshExpiresAt,
+                user: {
+                    email: registration.email,
+                    fullName: fullName,
+                    employmentStatus: registration.employment_status
+                }
+            });
+
+        } catch (error) {
+            return this.handleRegistrationError(error, req, res);
+        }
+    }
+
+    /**
+     * Load an unexpired registration session by the id held by the client
+     */
+    async getRegistration(databaseManager, registrationId) {
+        if (typeof registrationId !== 'string') {
+            return null;
+        }
+
+        return databaseManager.get(
+            'SELECT * FROM registration_sessions WHERE id = ? AND expires_at > ?',
+            [Validators.hashToken(registrationId), new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Store a fresh 6-digit code (hashed) for a registration and email it
+     */
+    async sendVerificationCode(databaseManager, emailService, id, email) {
+        const code = crypto.randomInt(100000, 1000000).toString();
+        const codeExpiresAt = new Date(Date.now() + config.email.verificationCodeExpiry);
+
+        await databaseManager.run(`
+            UPDATE registration_sessions
+            SET verification_code_hash = ?, code_expires_at = ?, verification_attempts = 0,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [this.hashVerificationCode(id, code), codeExpiresAt.toISOString(), id]);
+
+        return emailService.sendVerificationCode(email, code);
+    }
+
+    /**
+     * Codes are hashed together with their registration so equal codes do not share a hash
+     */
+    hashVerificationCode(id, code) {
+        return Validators.hashToken(`${id}:${String(code).trim()}`);
+    }
+
+    /**
+     * Map validation errors to their status code; anything else is a 500
+     */
+    handleRegistrationError(error, req, res) {
+        ErrorHandler.logError(error, req);
+
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        return this.sendError(res, 500, 'Registration failed');
+    }
+
     /**
      * User login
      */
-    async login(req, res, { sessionManager, databaseManager }) {
+    async login(req, res, { sessionManager, databaseManager, emailService }) {
         try {
             const { email, password } = req.body;
 
@@ -178,7 +651,9 @@ class AuthRoutes {
 
             // Find user
             const user = await databaseManager.get(
-                'SELECT id, email, password_hash, full_name, employment_status, is_active FROM users WHERE email = ?',
+                `SELECT id, email, password_hash, full_name, employment_status, is_active,
+                        failed_login_attempts, last_failed_login_at, locked_until
+                 FROM users WHERE email = ?`,
                 [emailValidation.sanitized]
             );
 
@@ -190,75 +665,427 @@ class AuthRoutes {
                 return this.sendError(res, 401, 'Account is deactivated');
             }
 
+            // While locked (or delayed after failed logins) the password is not even checked;
+            // the answer is the same as for an unknown email so it does not reveal the account
+            if (this.getLoginRetryAfter(user) > 0) {
+                await this.logBlockedLogin(req, user, { databaseManager });
+                return this.sendError(res, 401, 'Invalid credentials');
+            }
+
             // Verify password
             const passwordMatch = await bcrypt.compare(password, user.password_hash);
             if (!passwordMatch) {
                 // Log failed login attempt
                 await databaseManager.logAuditEvent(
                     user.id,
-                    'LOGIN_FAILED',
+                    AuditActions.LOGIN_FAILED,
                     'Invalid password attempt',
                     req
                 );
 
+                await this.recordFailedLogin(req, user, { databaseManager, emailService });
                 return this.sendError(res, 401, 'Invalid credentials');
             }
 
-            // Update last login
+            // With 2FA enabled the password alone does not start a session
+            if (await TwoFactor.isEnabled(databaseManager, user.id)) {
+                return await this.requireSecondFactor(req, res, user, { databaseManager });
+            }
+
+            return await this.completeLogin(req, res, user, 'User logged in successfully', { sessionManager, databaseManager });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Login failed');
+        }
+    }
+
+    /**
+     * Answer a login whose password was accepted with a short-lived 2FA challenge
+     */
+    async requireSecondFactor(req, res, user, { databaseManager }) {
+        const mfaToken = Validators.generateSecureId();
+        const mfaExpiresAt = new Date(Date.now() + config.security.mfaChallengeExpiry);
+
+        await databaseManager.run(
+            'INSERT INTO mfa_challenges (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+            [Validators.hashToken(mfaToken), user.id, mfaExpiresAt.toISOString()]
+        );
+
+        await databaseManager.logAuditEvent(
+            user.id,
+            AuditActions.LOGIN_MFA_REQUIRED,
+            'Password accepted; waiting for 2FA code',
+            req
+        );
+
+        this.sendSuccess(res, 200, {
+            message: '2FA code required',
+            mfaRequired: true,
+            mfaToken,
+            mfaExpiresAt
+        });
+    }
+
+    /**
+     * Second login step: exchange the 2FA challenge and a code (or a recovery code) for a session
+     */
+    async loginWithSecondFactor(req, res, { sessionManager, databaseManager, emailService }) {
+        try {
+            const { mfaToken, code, recoveryCode } = req.body;
+
+            if (!mfaToken || typeof mfaToken !== 'string') {
+                return this.sendError(res, 400, '2FA token is required');
+            }
+
+            if (!code && !recoveryCode) {
+                return this.sendError(res, 400, 'Code or recovery code is required');
+            }
+
+            const tokenHash = Validators.hashToken(mfaToken);
+            const challenge = await databaseManager.get(
+                'SELECT user_id, attempts, expires_at, used_at FROM mfa_challenges WHERE token_hash = ?',
+                [tokenHash]
+            );
+
+            if (!challenge || challenge.used_at || new Date(challenge.expires_at) <= new Date()
+                || challenge.attempts >= config.security.maxMfaAttempts) {
+                return this.sendError(res, 401, '2FA challenge expired; please log in again');
+            }
+
+            const user = await databaseManager.get(
+                `SELECT id, email, full_name, employment_status,
+                        failed_login_attempts, last_failed_login_at, locked_until
+                 FROM users WHERE id = ? AND is_active = 1`,
+                [challenge.user_id]
+            );
+            const enrollment = user ? await TwoFactor.getEnrollment(databaseManager, user.id) : null;
+
+            if (!enrollment || !enrollment.enabled_at) {
+                return this.sendError(res, 401, '2FA challenge expired; please log in again');
+            }
+
+            if (this.getLoginRetryAfter(user) > 0) {
+                return await this.rejectLockedLogin(req, res, user, { databaseManager });
+            }
+
+            const method = await TwoFactor.verifySecondFactor(databaseManager, enrollment, { code, recoveryCode });
+            if (!method) {
+                await databaseManager.run(
+                    'UPDATE mfa_challenges SET attempts = attempts + 1 WHERE token_hash = ?',
+                    [tokenHash]
+                );
+                await databaseManager.logAuditEvent(user.id, AuditActions.MFA_FAILED, 'Invalid 2FA code at login', req);
+
+                // Wrong codes count as failed logins, so new challenges cannot be used to guess codes
+                await this.recordFailedLogin(req, user, { databaseManager, emailService });
+                return this.sendError(res, 401, 'Invalid verification code');
+            }
+
+            // Claim the challenge so it cannot start a second session
+            const claimed = await databaseManager.run(
+                'UPDATE mfa_challenges SET used_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND used_at IS NULL',
+                [tokenHash]
+            );
+
+            if (claimed.changes === 0) {
+                return this.sendError(res, 401, '2FA challenge expired; please log in again');
+            }
+
+            const details = method === 'recovery_code'
+                ? 'User logged in with a 2FA recovery code'
+                : 'User logged in with 2FA';
+
+            return await this.completeLogin(req, res, user, details, { sessionManager, databaseManager });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Login failed');
+        }
+    }
+
+    /**
+     * Issue the session of a successful login
+     */
+    async completeLogin(req, res, user, details, { sessionManager, databaseManager }) {
+        // Update last login and forget earlier failed attempts
+        await databaseManager.run(`
+            UPDATE users
+            SET last_login = CURRENT_TIMESTAMP, failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+            WHERE id = ?
+        `, [user.id]);
+
+        // Create session
+        const session = await sessionManager.issueTokens(user.id, user.email, req);
+
+        // Log successful login
+        await databaseManager.logAuditEvent(
+            user.id,
+            AuditActions.LOGIN_SUCCESS,
+            details,
+            req
+        );
+
+        this.sendSuccess(res, 200, {
+            message: 'Login successful',
+            userId: user.id,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            refreshToken: session.refreshToken,
+            refreshExpiresAt: session.refreshExpiresAt,
+            user: {
+                email: user.email,
+                fullName: user.full_name,
+                employmentStatus: user.employment_status
+            }
+        });
+    }
+
+    /**
+     * Seconds until the user may try to log in again (0 when not locked)
+     */
+    getLoginRetryAfter(user) {
+        if (!user.locked_until) {
+            return 0;
+        }
+
+        return Math.max(0, Math.ceil((new Date(user.locked_until) - Date.now()) / 1000));
+    }
+
+    async rejectLockedLogin(req, res, user, { databaseManager }) {
+        await this.logBlockedLogin(req, user, { databaseManager });
+
+        res.setHeader('Retry-After', String(this.getLoginRetryAfter(user)));
+        return this.sendError(res, 429, 'Too many failed login attempts. Please try again later');
+    }
+
+    /**
+     * Audit the first attempt refused during a lock; later ones would only fill the audit log
+     */
+    async logBlockedLogin(req, user, { databaseManager }) {
+        const lockedSince = AuditChain.timestamp(new Date(user.last_failed_login_at));
+        const logged = await databaseManager.get(
+            "SELECT 1 FROM audit_log WHERE user_id = ? AND action = 'LOGIN_BLOCKED' AND created_at >= ?",
+            [user.id, lockedSince]
+        );
+
+        if (!logged) {
+            await databaseManager.logAuditEvent(
+                user.id,
+                AuditActions.LOGIN_BLOCKED,
+                'Login attempt while the account is locked',
+                req
+            );
+        }
+    }
+
+    /**
+     * Count a failed login and delay the next attempt: the delay doubles with every failure
+     * past `loginDelayThreshold`, and `maxFailedLogins` locks the account and emails an unlock link
+     */
+    async recordFailedLogin(req, user, { databaseManager, emailService }) {
+        const now = new Date();
+        const windowStart = new Date(now.getTime() - config.security.failedLoginWindow);
+
+        // Failures outside the window start a new count
+        await databaseManager.run(`
+            UPDATE users
+            SET failed_login_attempts = CASE
+                    WHEN last_failed_login_at > ? THEN failed_login_attempts + 1
+                    ELSE 1
+                END,
+                last_failed_login_at = ?
+            WHERE id = ?
+        `, [windowStart.toISOString(), now.toISOString(), user.id]);
+
+        const { failed_login_attempts: attempts } = await databaseManager.get(
+            'SELECT failed_login_attempts FROM users WHERE id = ?',
+            [user.id]
+        );
+
+        const { loginDelayThreshold, loginDelayBase, maxFailedLogins, accountLockoutDuration } = config.security;
+        const locked = attempts >= maxFailedLogins;
+
+        if (attempts < loginDelayThreshold) {
+            return;
+        }
+
+        const delay = locked
+            ? accountLockoutDuration
+            : Math.min(loginDelayBase * 2 ** (attempts - loginDelayThreshold), accountLockoutDuration);
+
+        await databaseManager.run(
+            'UPDATE users SET locked_until = ? WHERE id = ?',
+            [new Date(now.getTime() + delay).toISOString(), user.id]
+        );
+
+        if (locked) {
+            await this.sendUnlockLink(req, user, { databaseManager, emailService });
+        }
+    }
+
+    /**
+     * Notify the owner of a lockout with a single-use unlock link
+     */
+    async sendUnlockLink(req, user, { databaseManager, emailService }) {
+        const unlockToken = Validators.generateSecureId();
+        const expiresAt = new Date(Date.now() + config.security.unlockTokenExpiry);
+
+        // A new lockout replaces any earlier unused link
+        await databaseManager.transaction(async () => {
             await databaseManager.run(
-                'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+                'DELETE FROM account_unlock_tokens WHERE user_id = ? AND used_at IS NULL',
                 [user.id]
             );
+            await databaseManager.run(
+                'INSERT INTO account_unlock_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+                [Validators.hashToken(unlockToken), user.id, expiresAt.toISOString()]
+            );
+        });
+
+        await databaseManager.logAuditEvent(
+            user.id,
+            AuditActions.ACCOUNT_LOCKED,
+            `Account locked for ${config.security.accountLockoutDuration / 60000} minutes after repeated failed logins`,
+            req
+        );
+
+        // Not awaited, so the failed login is answered as fast as any other
+        const unlockLink = `${config.email.accountUnlockUrl}?token=${unlockToken}`;
+        emailService.sendAccountLocked(user.email, unlockLink, config.security.accountLockoutDuration / 60000)
+            .then((sent) => {
+                if (!sent) {
+                    console.error(`Account lockout email for user ${user.id} could not be sent`);
+                }
+            });
+    }
 
-            // Create session
-            const session = sessionManager.createSession(user.id, user.email);
+    /**
+     * Unlock an account with the link from the lockout email
+     */
+    async unlockAccount(req, res, { databaseManager }) {
+        try {
+            const { token } = req.body;
+
+            if (!token || typeof token !== 'string') {
+                return this.sendError(res, 400, 'Unlock token is required');
+            }
+
+            const tokenHash = Validators.hashToken(token);
+            const record = await databaseManager.get(
+                'SELECT user_id FROM account_unlock_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+                [tokenHash, new Date().toISOString()]
+            );
+
+            if (!record) {
+                return this.sendError(res, 400, 'Invalid or expired unlock link');
+            }
+
+            const unlocked = await databaseManager.transaction(async () => {
+                const result = await databaseManager.run(
+                    'UPDATE account_unlock_tokens SET used_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND used_at IS NULL',
+                    [tokenHash]
+                );
+
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                await databaseManager.run(
+                    'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+                    [record.user_id]
+                );
+
+                return true;
+            });
+
+            if (!unlocked) {
+                return this.sendError(res, 400, 'Invalid or expired unlock link');
+            }
 
-            // Log successful login
             await databaseManager.logAuditEvent(
-                user.id,
-                'LOGIN_SUCCESS',
-                'User logged in successfully',
+                record.user_id,
+                AuditActions.ACCOUNT_UNLOCKED,
+                'Account unlocked via email link',
                 req
             );
 
             this.sendSuccess(res, 200, {
-                message: 'Login successful',
-                userId: user.id,
-                token: session.token,
-                expiresAt: session.expiresAt,
-                user: {
-                    email: user.email,
-                    fullName: user.full_name,
-                    employmentStatus: user.employment_status
-                }
+                message: 'Account unlocked. You can log in again'
             });
 
         } catch (error) {
             ErrorHandler.logError(error, req);
-            return this.sendError(res, 500, 'Login failed');
+            return this.sendError(res, 500, 'Account unlock failed');
         }
     }
 
     /**
      * User logout
+     * Revokes the access token and the refresh tokens of its session; a refresh token
+     * in the body is accepted too, so a client whose access token expired can still log out
      */
     async logout(req, res, { sessionManager, authMiddleware, databaseManager }) {
         try {
-            // Use auth middleware to validate token
-            authMiddleware.logout(req, res, async () => {
-                if (req.user) {
-                    // Log logout event
-                    await databaseManager.logAuditEvent(
-                        req.user.userId,
-                        'LOGOUT',
-                        'User logged out successfully',
-                        req
-                    );
+            // Read the session before the middleware blacklists the token
+            const token = authMiddleware.extractToken(req);
+            const session = token ? await sessionManager.validateSession(token) : null;
+            const { refreshToken } = req.body || {};
+
+            await authMiddleware.logout(req, res, async () => {
+                try {
+                    let userId = session ? session.userId : null;
+
+                    if (session && session.sessionId) {
+                        await sessionManager.revokeSession(session.sessionId);
+                    }
+
+                    if (refreshToken) {
+                        userId = (await sessionManager.revokeRefreshToken(refreshToken)) || userId;
+                    }
+
+                    if (userId) {
+                        // Log logout event
+                        await databaseManager.logAuditEvent(
+                            userId,
+                            AuditActions.LOGOUT,
+                            'User logged out successfully',
+                            req
+                        );
+                    }
+
+                    this.sendSuccess(res, 200, {
+                        message: 'Logout successful'
+                    });
+                } catch (error) {
+                    ErrorHandler.logError(error, req);
+                    return this.sendError(res, 500, 'Logout failed');
                 }
+            });
 
-                this.sendSuccess(res, 200, {
-                    message: 'Logout successful'
-                });
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Logout failed');
+        }
+    }
+
+    /**
+     * Sign out of every session of the current user
+     */
+    async logoutAll(req, res, { sessionManager, databaseManager }) {
+        try {
+            const revokedSessions = await sessionManager.revokeUserSessions(req.user.userId);
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                AuditActions.LOGOUT_ALL,
+                `Signed out of ${revokedSessions} session(s)`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Signed out of all sessions',
+                revokedSessions
             });
 
         } catch (error) {
@@ -268,20 +1095,101 @@ class AuthRoutes {
     }
 
     /**
-     * Refresh authentication token
+     * List the active sessions of the current user
      */
-    async refreshToken(req, res, { sessionManager, authMiddleware }) {
+    async listSessions(req, res, { sessionManager }) {
         try {
-            // Use auth middleware to refresh token
-            authMiddleware.refreshToken(req, res, () => {
-                this.sendSuccess(res, 200, {
-                    message: 'Token refreshed successfully',
-                    newToken: res.getHeader('X-New-Token'),
-                    expiresAt: res.getHeader('X-Token-Expires')
-                });
+            const currentSessionId = req.user.session.sessionId;
+            const sessions = await sessionManager.listSessions(req.user.userId);
+
+            this.sendSuccess(res, 200, {
+                sessions: sessions.map(session => ({
+                    id: session.id,
+                    userAgent: session.user_agent,
+                    ipAddress: session.ip_address,
+                    createdAt: session.created_at,
+                    lastSeenAt: session.last_seen_at,
+                    expiresAt: session.expires_at,
+                    current: session.id === currentSessionId
+                }))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve sessions');
+        }
+    }
+
+    /**
+     * Sign out a single session of the current user (e.g. a lost device)
+     */
+    async revokeSession(req, res, { sessionManager, databaseManager, sessionId }) {
+        try {
+            const session = sessionId ? await databaseManager.get(
+                'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [sessionId, req.user.userId]
+            ) : null;
+
+            if (!session) {
+                return this.sendError(res, 404, 'Session not found');
+            }
+
+            await sessionManager.revokeSession(session.id);
+
+            await databaseManager.logAuditEvent(
+                req.user.userId,
+                AuditActions.SESSION_REVOKED,
+                `Session ${session.id} signed out`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Session signed out',
+                current: session.id === req.user.session.sessionId
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to sign out session');
+        }
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and refresh token
+     */
+    async refreshToken(req, res, { sessionManager, databaseManager }) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken || typeof refreshToken !== 'string') {
+                return this.sendError(res, 400, 'Refresh token is required');
+            }
+
+            const session = await sessionManager.rotateRefreshToken(refreshToken);
+
+            this.sendSuccess(res, 200, {
+                message: 'Token refreshed successfully',
+                token: session.token,
+                expiresAt: session.expiresAt,
+                refreshToken: session.refreshToken,
+                refreshExpiresAt: session.refreshExpiresAt
             });
 
         } catch (error) {
+            if (error.errorCode === 'REFRESH_TOKEN_REUSED') {
+                await databaseManager.logAuditEvent(
+                    error.userId,
+                    AuditActions.REFRESH_TOKEN_REUSE_DETECTED,
+                    `Rotated refresh token presented again; session ${error.familyId} revoked`,
+                    req
+                );
+                return this.sendError(res, 401, error.message);
+            }
+
+            if (error.errorCode === 'INVALID_REFRESH_TOKEN') {
+                return this.sendError(res, 401, error.message);
+            }
+
             ErrorHandler.logError(error, req);
             return this.sendError(res, 500, 'Token refresh failed');
         }
@@ -290,7 +1198,7 @@ class AuthRoutes {
     /**
      * Forgot password request
      */
-    async forgotPassword(req, res, { databaseManager }) {
+    async forgotPassword(req, res, { databaseManager, emailService }) {
         try {
             const { email } = req.body;
 
@@ -316,26 +1224,38 @@ class AuthRoutes {
                 });
             }
 
-            // Generate reset token (in a real app, you'd send this via email)
+            // Single-use token; only its hash is stored
             const resetToken = Validators.generateSecureId();
-            const resetExpires = new Date(Date.now() + 3600000); // 1 hour
+            const resetExpires = new Date(Date.now() + config.security.passwordResetExpiry);
 
-            // Store reset token (in a real app, you'd have a password_resets table)
-            await databaseManager.run(`
-                INSERT OR REPLACE INTO password_resets (user_id, reset_token, expires_at)
-                VALUES (?, ?, ?)
-            `, [user.id, resetToken, resetExpires.toISOString()]);
+            // A new request replaces any earlier unused token
+            await databaseManager.transaction(async () => {
+                await databaseManager.run(
+                    'DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL',
+                    [user.id]
+                );
+                await databaseManager.run(`
+                    INSERT INTO password_resets (token_hash, user_id, expires_at)
+                    VALUES (?, ?, ?)
+                `, [Validators.hashToken(resetToken), user.id, resetExpires.toISOString()]);
+            });
 
             // Log password reset request
             await databaseManager.logAuditEvent(
                 user.id,
-                'PASSWORD_RESET_REQUESTED',
+                AuditActions.PASSWORD_RESET_REQUESTED,
                 'Password reset requested',
                 req
             );
 
-            // In production, send email here
-            console.log(`Password reset token for ${user.email}: ${resetToken}`);
+            // Not awaited, so the response time does not reveal whether the email exists
+            const resetLink = `${config.email.passwordResetUrl}?token=${resetToken}`;
+            emailService.sendPasswordReset(user.email, resetLink, config.security.passwordResetExpiry / 60000)
+                .then((sent) => {
+                    if (!sent) {
+                        console.error(`Password reset email for user ${user.id} could not be sent`);
+                    }
+                });
 
             this.sendSuccess(res, 200, {
                 message: 'If the email exists, a password reset link has been sent'
@@ -350,7 +1270,7 @@ class AuthRoutes {
     /**
      * Reset password with token
      */
-    async resetPassword(req, res, { databaseManager }) {
+    async resetPassword(req, res, { sessionManager, databaseManager }) {
         try {
             const { token, newPassword } = req.body;
 
@@ -363,41 +1283,67 @@ class AuthRoutes {
                 return this.sendError(res, 400, passwordValidation.message);
             }
 
-            // Find valid reset token
+            // Find an unused reset token for an active user
+            const tokenHash = Validators.hashToken(token);
             const resetRecord = await databaseManager.get(`
-                SELECT user_id, expires_at FROM password_resets 
-                WHERE reset_token = ? AND expires_at > datetime('now')
-            `, [token]);
+                SELECT pr.user_id, pr.expires_at
+                FROM password_resets pr
+                JOIN users u ON u.id = pr.user_id
+                WHERE pr.token_hash = ? AND pr.used_at IS NULL AND u.is_active = 1
+            `, [tokenHash]);
 
-            if (!resetRecord) {
+            if (!resetRecord || new Date(resetRecord.expires_at) <= new Date()) {
                 return this.sendError(res, 400, 'Invalid or expired reset token');
             }
 
             // Hash new password
             const hashedPassword = await bcrypt.hash(newPassword, config.security.bcryptRounds);
 
-            // Update user password
-            await databaseManager.run(
-                'UPDATE users SET password_hash = ? WHERE id = ?',
-                [hashedPassword, resetRecord.user_id]
-            );
+            const consumed = await databaseManager.transaction(async () => {
+                // Mark the token used first so concurrent requests cannot both consume it
+                const result = await databaseManager.run(
+                    'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND used_at IS NULL',
+                    [tokenHash]
+                );
 
-            // Delete used reset token
-            await databaseManager.run(
-                'DELETE FROM password_resets WHERE reset_token = ?',
-                [token]
-            );
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                // Proving control of the email also lifts a lockout
+                await databaseManager.run(`
+                    UPDATE users
+                    SET password_hash = ?, failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [hashedPassword, resetRecord.user_id]);
+
+                // Any other outstanding reset links are no longer needed
+                await databaseManager.run(
+                    'DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL',
+                    [resetRecord.user_id]
+                );
+
+                return true;
+            });
+
+            if (!consumed) {
+                return this.sendError(res, 400, 'Invalid or expired reset token');
+            }
+
+            // Sign the user out everywhere; whoever knew the old password loses access
+            await sessionManager.revokeUserSessions(resetRecord.user_id);
 
             // Log password reset
             await databaseManager.logAuditEvent(
                 resetRecord.user_id,
-                'PASSWORD_RESET_COMPLETED',
-                'Password reset completed',
+                AuditActions.PASSWORD_RESET_COMPLETED,
+                'Password reset completed; all sessions revoked',
                 req
             );
 
             this.sendSuccess(res, 200, {
-                message: 'Password reset successful'
+                message: 'Password reset successful. Please log in with your new password'
             });
 
         } catch (error) {
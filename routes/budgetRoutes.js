@@ -0,0 +1,422 @@
+/**
+ * Budget Routes Handler
+ * Manages per-category budgets and reports spending against them
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const CurrencyConverter = require('../currencyConverter');
+const CategoryManager = require('../categoryManager');
+const Money = require('../money');
+const config = require('../config');
+const AuditActions = require('../auditActions');
+
+class BudgetRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all budget routes
+            authMiddleware.requireAuth(req, res, async () => {
+                switch (pathname) {
+                    case '/budget':
+                        if (method === 'POST') {
+                            return await this.createBudget(req, res, { databaseManager });
+                        } else if (method === 'GET') {
+                            return await this.getBudgets(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/budget/status':
+                        if (method === 'GET') {
+                            return await this.getBudgetStatus(req, res, { databaseManager, parsedUrl });
+                        }
+                        break;
+
+                    default:
+                        // Handle budget by ID
+                        if (pathname.startsWith('/budget/')) {
+                            const budgetId = pathname.split('/')[2];
+                            if (method === 'GET') {
+                                return await this.getBudget(req, res, { databaseManager, budgetId });
+                            } else if (method === 'PUT') {
+                                return await this.updateBudget(req, res, { databaseManager, budgetId });
+                            } else if (method === 'DELETE') {
+                                return await this.deleteBudget(req, res, { databaseManager, budgetId });
+                            }
+                        }
+                }
+
+                return this.sendError(res, 404, 'Budget endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async createBudget(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { category, amount, period } = req.body;
+
+            const categories = await CategoryManager.getUsableNames(databaseManager, userId);
+            const budgetValidation = Validators.validateBudget(category, amount, period, categories);
+            if (!budgetValidation.valid) {
+                return this.sendError(res, 400, budgetValidation.message);
+            }
+
+            const budget = budgetValidation.sanitized;
+
+            // Only one budget per category and period
+            const existingBudget = await databaseManager.get(
+                'SELECT id FROM budgets WHERE user_id = ? AND category = ? AND period = ?',
+                [userId, budget.category, budget.period]
+            );
+
+            if (existingBudget) {
+                return this.sendError(res, 409, `A ${budget.period} budget for ${budget.category} already exists`);
+            }
+
+            const budgetId = Validators.generateSecureId();
+
+            await databaseManager.run(`
+                INSERT INTO budgets (id, user_id, category, amount, period)
+                VALUES (?, ?, ?, ?, ?)
+            `, [budgetId, userId, budget.category, budget.amount, budget.period]);
+
+            // Log budget creation
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.BUDGET_CREATED,
+                `Created ${budget.period} budget: ${Money.format(budget.amount)} for ${budget.category}`,
+                req
+            );
+
+            this.sendSuccess(res, 201, {
+                message: 'Budget created successfully',
+                budget: {
+                    id: budgetId,
+                    ...budget,
+                    amount: Money.toMajor(budget.amount)
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to create budget');
+        }
+    }
+
+    async getBudgets(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            const budgets = await databaseManager.all(`
+                SELECT id, category, amount, period, created_at, updated_at
+                FROM budgets
+                WHERE user_id = ?
+                ORDER BY period, category
+            `, [userId]);
+
+            this.sendSuccess(res, 200, {
+                budgets: budgets.map(b => this.formatBudget(b))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get budgets');
+        }
+    }
+
+    async getBudget(req, res, { databaseManager, budgetId }) {
+        try {
+            const userId = req.user.userId;
+
+            const budget = await databaseManager.get(`
+                SELECT id, category, amount, period, created_at, updated_at
+                FROM budgets
+                WHERE id = ? AND user_id = ?
+            `, [budgetId, userId]);
+
+            if (!budget) {
+                return this.sendError(res, 404, 'Budget not found');
+            }
+
+            this.sendSuccess(res, 200, {
+                budget: this.formatBudget(budget)
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get budget');
+        }
+    }
+
+    async updateBudget(req, res, { databaseManager, budgetId }) {
+        try {
+            const userId = req.user.userId;
+
+            const existingBudget = await databaseManager.get(
+                'SELECT id, category, amount, period FROM budgets WHERE id = ? AND user_id = ?',
+                [budgetId, userId]
+            );
+
+            if (!existingBudget) {
+                return this.sendError(res, 404, 'Budget not found');
+            }
+
+            const {
+                category = existingBudget.category,
+                amount = Money.toMajor(existingBudget.amount),
+                period = existingBudget.period
+            } = req.body;
+
+            // The current category stays valid even if it was archived
+            const categories = await CategoryManager.getUsableNames(databaseManager, userId, {
+                type: 'expense',
+                name: existingBudget.category
+            });
+            const budgetValidation = Validators.validateBudget(category, amount, period, categories);
+            if (!budgetValidation.valid) {
+                return this.sendError(res, 400, budgetValidation.message);
+            }
+
+            const budget = budgetValidation.sanitized;
+
+            // Check the new category/period does not clash with another budget
+            const conflictingBudget = await databaseManager.get(
+                'SELECT id FROM budgets WHERE user_id = ? AND category = ? AND period = ? AND id != ?',
+                [userId, budget.category, budget.period, budgetId]
+            );
+
+            if (conflictingBudget) {
+                return this.sendError(res, 409, `A ${budget.period} budget for ${budget.category} already exists`);
+            }
+
+            await databaseManager.run(`
+                UPDATE budgets
+                SET category = ?, amount = ?, period = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `, [budget.category, budget.amount, budget.period, budgetId, userId]);
+
+            // Log budget update
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.BUDGET_UPDATED,
+                `Updated budget ${budgetId}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Budget updated successfully',
+                budget: {
+                    id: budgetId,
+                    ...budget,
+                    amount: Money.toMajor(budget.amount)
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to update budget');
+        }
+    }
+
+    async deleteBudget(req, res, { databaseManager, budgetId }) {
+        try {
+            const userId = req.user.userId;
+
+            const existingBudget = await databaseManager.get(
+                'SELECT id, category, period FROM budgets WHERE id = ? AND user_id = ?',
+                [budgetId, userId]
+            );
+
+            if (!existingBudget) {
+                return this.sendError(res, 404, 'Budget not found');
+            }
+
+            await databaseManager.run(
+                'DELETE FROM budgets WHERE id = ? AND user_id = ?',
+                [budgetId, userId]
+            );
+
+            // Log budget deletion
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.BUDGET_DELETED,
+                `Deleted ${existingBudget.period} budget for ${existingBudget.category}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Budget deleted successfully'
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to delete budget');
+        }
+    }
+
+    async getBudgetStatus(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const userId = req.user.userId;
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+
+            // Reference date decides the current period (defaults to today in the user's timezone)
+            const referenceDate = parsedUrl.query.date || SettingsManager.getToday(preferences.timezone);
+            if (!Validators.isValidDateString(referenceDate)) {
+                return this.sendError(res, 400, 'Date must be a valid date (YYYY-MM-DD)');
+            }
+
+            const budgets = await databaseManager.all(`
+                SELECT id, category, amount, period
+                FROM budgets
+                WHERE user_id = ?
+                ORDER BY period, category
+            `, [userId]);
+
+            // Sum expenses per category once for every period in use (budgets are in the user's currency)
+            // Spending in a subcategory also counts toward the budget of its parent
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            const parentMap = await CategoryManager.getParentMap(databaseManager, userId);
+            const spentByPeriod = {};
+            for (const period of new Set(budgets.map(b => b.period))) {
+                const range = this.getPeriodRange(period, referenceDate);
+                // Split transactions count toward the budget of each line's category
+                const rows = await databaseManager.all(`
+                    SELECT COALESCE(s.category, t.category) AS category, t.currency, SUM(COALESCE(s.amount, t.amount)) as total
+                    FROM transactions t
+                    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+                    WHERE t.user_id = ? AND t.type = 'expense' AND t.transaction_date >= ? AND t.transaction_date <= ?
+                    GROUP BY COALESCE(s.category, t.category), t.currency
+                `, [userId, range.startDate, range.endDate]);
+
+                const totals = {};
+                for (const row of rows) {
+                    const amount = CurrencyConverter.convert(row.total, row.currency, preferences.currency, rates);
+                    totals[row.category] = (totals[row.category] || 0) + amount;
+
+                    const parent = CategoryManager.rollup(parentMap, 'expense', row.category);
+                    if (parent !== row.category) {
+                        totals[parent] = (totals[parent] || 0) + amount;
+                    }
+                }
+
+                spentByPeriod[period] = { range, totals };
+            }
+
+            const status = budgets.map(budget => {
+                const { range, totals } = spentByPeriod[budget.period];
+                const spent = totals[budget.category] || 0;
+                const percentUsed = (spent / budget.amount) * 100;
+
+                return {
+                    id: budget.id,
+                    category: budget.category,
+                    period: budget.period,
+                    periodStart: range.startDate,
+                    periodEnd: range.endDate,
+                    budget: Money.toMajor(budget.amount),
+                    spent: Money.toMajor(spent),
+                    remaining: Money.toMajor(budget.amount - spent),
+                    percentUsed: parseFloat(percentUsed.toFixed(1)),
+                    status: this.getStatusLabel(percentUsed)
+                };
+            });
+
+            this.sendSuccess(res, 200, {
+                currency: preferences.currency,
+                date: referenceDate,
+                budgets: status,
+                overspent: status.filter(s => s.status === 'over').map(s => s.category)
+            });
+
+        } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get budget status');
+        }
+    }
+
+    /**
+     * Get the start and end date (inclusive) of the period containing `date`
+     */
+    getPeriodRange(period, date) {
+        const [year, month, day] = date.split('-').map(Number);
+        let start;
+        let end;
+
+        if (period === 'weekly') {
+            // Weeks start on Monday
+            const current = new Date(Date.UTC(year, month - 1, day));
+            const offset = (current.getUTCDay() + 6) % 7;
+            start = new Date(Date.UTC(year, month - 1, day - offset));
+            end = new Date(Date.UTC(year, month - 1, day - offset + 6));
+        } else if (period === 'yearly') {
+            start = new Date(Date.UTC(year, 0, 1));
+            end = new Date(Date.UTC(year, 11, 31));
+        } else {
+            start = new Date(Date.UTC(year, month - 1, 1));
+            end = new Date(Date.UTC(year, month, 0));
+        }
+
+        return {
+            startDate: start.toISOString().split('T')[0],
+            endDate: end.toISOString().split('T')[0]
+        };
+    }
+
+    getStatusLabel(percentUsed) {
+        if (percentUsed > 100) {
+            return 'over';
+        }
+
+        if (percentUsed >= config.budget.warningThreshold) {
+            return 'warning';
+        }
+
+        return 'ok';
+    }
+
+    formatBudget(budget) {
+        return {
+            id: budget.id,
+            category: budget.category,
+            amount: Money.toMajor(budget.amount),
+            period: budget.period,
+            createdAt: budget.created_at,
+            updatedAt: budget.updated_at
+        };
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new BudgetRoutes();
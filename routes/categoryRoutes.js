@@ -0,0 +1,424 @@
+/**
+ * Category Routes Handler
+ * Manages the user's transaction categories and their subcategories
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const CategoryManager = require('../categoryManager');
+const AuditActions = require('../auditActions');
+
+class CategoryRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all category routes
+            authMiddleware.requireAuth(req, res, async () => {
+                switch (pathname) {
+                    case '/category':
+                        if (method === 'POST') {
+                            return await this.createCategory(req, res, { databaseManager });
+                        } else if (method === 'GET') {
+                            return await this.getCategories(req, res, { databaseManager, parsedUrl });
+                        }
+                        break;
+
+                    default:
+                        // Handle category by ID
+                        if (pathname.startsWith('/category/')) {
+                            const categoryId = pathname.split('/')[2];
+                            if (method === 'GET') {
+                                return await this.getCategory(req, res, { databaseManager, categoryId });
+                            } else if (method === 'PUT') {
+                                return await this.updateCategory(req, res, { databaseManager, categoryId });
+                            } else if (method === 'DELETE') {
+                                return await this.archiveCategory(req, res, { databaseManager, categoryId });
+                            }
+                        }
+                }
+
+                return this.sendError(res, 404, 'Category endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async createCategory(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { name, type, parentId, icon, color } = req.body;
+
+            const categoryValidation = Validators.validateCategory(name, type, icon, color);
+            if (!categoryValidation.valid) {
+                return this.sendError(res, 400, categoryValidation.message);
+            }
+
+            const category = categoryValidation.sanitized;
+
+            // Seed the defaults first so a user's first category does not replace them
+            await CategoryManager.ensureDefaults(databaseManager, userId);
+
+            const parent = parentId ? await this.requireParent(databaseManager, userId, parentId, category.type) : null;
+
+            const categoryId = await CategoryManager.insertCategory(databaseManager, userId, {
+                ...category,
+                parentId: parent ? parent.id : null
+            });
+
+            if (!categoryId) {
+                return this.sendError(res, 409, `An ${category.type} category named ${category.name} already exists`);
+            }
+
+            // Log category creation
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.CATEGORY_CREATED,
+                `Created ${category.type} category ${parent ? `${parent.name} › ` : ''}${category.name}`,
+                req
+            );
+
+            const created = await this.findCategory(databaseManager, userId, categoryId);
+
+            this.sendSuccess(res, 201, {
+                message: 'Category created successfully',
+                category: this.formatCategory(created)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to create category');
+        }
+    }
+
+    async getCategories(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const userId = req.user.userId;
+            const { type } = parsedUrl.query;
+            const includeArchived = parsedUrl.query.includeArchived === 'true';
+
+            if (type && !['income', 'expense'].includes(type)) {
+                return this.sendError(res, 400, 'Category type must be "income" or "expense"');
+            }
+
+            const rows = await CategoryManager.getCategories(databaseManager, userId, { type, includeArchived });
+
+            // Nest subcategories under their parent (parents come first)
+            const categories = [];
+            const parents = new Map();
+            for (const row of rows) {
+                if (row.parent_id) {
+                    const parent = parents.get(row.parent_id);
+                    if (parent) {
+                        parent.subcategories.push(this.formatCategory(row));
+                    }
+                } else {
+                    const category = { ...this.formatCategory(row), subcategories: [] };
+                    parents.set(row.id, category);
+                    categories.push(category);
+                }
+            }
+
+            this.sendSuccess(res, 200, { categories });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to get categories');
+        }
+    }
+
+    async getCategory(req, res, { databaseManager, categoryId }) {
+        try {
+            const userId = req.user.userId;
+            const category = await this.findCategory(databaseManager, userId, categoryId);
+
+            if (!category) {
+                return this.sendError(res, 404, 'Category not found');
+            }
+
+            const subcategories = await databaseManager.all(`
+                SELECT c.*, p.name AS parent_name
+                FROM categories c
+                JOIN categories p ON p.id = c.parent_id
+                WHERE c.parent_id = ? AND c.user_id = ?
+                ORDER BY c.name
+            `, [categoryId, userId]);
+
+            const { count } = await databaseManager.get(
+                'SELECT COUNT(*) AS count FROM transactions WHERE user_id = ? AND type = ? AND category = ?',
+                [userId, category.type, category.name]
+            );
+
+            this.sendSuccess(res, 200, {
+                category: {
+                    ...this.formatCategory(category),
+                    subcategories: subcategories.map(c => this.formatCategory(c)),
+                    transactionCount: count
+                }
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to get category');
+        }
+    }
+
+    async updateCategory(req, res, { databaseManager, categoryId }) {
+        try {
+            const userId = req.user.userId;
+            const existing = await this.findCategory(databaseManager, userId, categoryId);
+
+            if (!existing) {
+                return this.sendError(res, 404, 'Category not found');
+            }
+
+            const {
+                name = existing.name,
+                parentId = existing.parent_id,
+                icon = existing.icon,
+                color = existing.color,
+                isArchived = !!existing.is_archived
+            } = req.body;
+
+            if (req.body.type !== undefined && req.body.type !== existing.type) {
+                return this.sendError(res, 400, 'The type of a category cannot be changed');
+            }
+
+            const categoryValidation = Validators.validateCategory(name, existing.type, icon, color);
+            if (!categoryValidation.valid) {
+                return this.sendError(res, 400, categoryValidation.message);
+            }
+
+            if (typeof isArchived !== 'boolean') {
+                return this.sendError(res, 400, 'isArchived must be a boolean');
+            }
+
+            const category = categoryValidation.sanitized;
+
+            let parent = null;
+            if (parentId) {
+                if (parentId === categoryId) {
+                    return this.sendError(res, 400, 'A category cannot be its own parent');
+                }
+
+                // Only one level of nesting
+                const child = await databaseManager.get('SELECT 1 FROM categories WHERE parent_id = ? LIMIT 1', [categoryId]);
+                if (child) {
+                    return this.sendError(res, 409, 'A category with subcategories cannot become a subcategory');
+                }
+
+                parent = await this.requireParent(databaseManager, userId, parentId, existing.type, parentId === existing.parent_id);
+
+                if (!isArchived && parent.is_archived) {
+                    return this.sendError(res, 409, `Restore ${parent.name} before its subcategories`);
+                }
+            }
+
+            if (category.name !== existing.name) {
+                const conflicting = await databaseManager.get(
+                    'SELECT id FROM categories WHERE user_id = ? AND type = ? AND name = ? AND id != ?',
+                    [userId, existing.type, category.name, categoryId]
+                );
+
+                if (conflicting) {
+                    return this.sendError(res, 409, `An ${existing.type} category named ${category.name} already exists`);
+                }
+            }
+
+            // Records refer to categories by name, so a rename carries over to them
+            await databaseManager.transaction(async () => {
+                await databaseManager.run(`
+                    UPDATE categories
+                    SET name = ?, parent_id = ?, icon = ?, color = ?, is_archived = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND user_id = ?
+                `, [category.name, parent ? parent.id : null, category.icon, category.color, isArchived ? 1 : 0, categoryId, userId]);
+
+                if (isArchived && !existing.is_archived) {
+                    await this.archiveSubcategories(databaseManager, userId, categoryId);
+                }
+
+                if (category.name !== existing.name) {
+                    await this.renameInRecords(databaseManager, userId, existing.type, existing.name, category.name);
+                }
+            });
+
+            // Log category update
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.CATEGORY_UPDATED,
+                `Updated ${existing.type} category ${category.name !== existing.name ? `${existing.name} → ${category.name}` : category.name}` +
+                    `${isArchived !== !!existing.is_archived ? (isArchived ? ' (archived)' : ' (restored)') : ''}`,
+                req
+            );
+
+            const updated = await this.findCategory(databaseManager, userId, categoryId);
+
+            this.sendSuccess(res, 200, {
+                message: 'Category updated successfully',
+                category: this.formatCategory(updated)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to update category');
+        }
+    }
+
+    async archiveCategory(req, res, { databaseManager, categoryId }) {
+        try {
+            const userId = req.user.userId;
+            const existing = await this.findCategory(databaseManager, userId, categoryId);
+
+            if (!existing) {
+                return this.sendError(res, 404, 'Category not found');
+            }
+
+            // Transactions keep their category; archiving only hides it from new entries
+            await databaseManager.transaction(async () => {
+                await databaseManager.run(
+                    'UPDATE categories SET is_archived = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+                    [categoryId, userId]
+                );
+
+                await this.archiveSubcategories(databaseManager, userId, categoryId);
+            });
+
+            // Log category archiving
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.CATEGORY_ARCHIVED,
+                `Archived ${existing.type} category ${existing.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Category archived successfully'
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to archive category');
+        }
+    }
+
+    async findCategory(databaseManager, userId, categoryId) {
+        return databaseManager.get(`
+            SELECT c.*, p.name AS parent_name
+            FROM categories c
+            LEFT JOIN categories p ON p.id = c.parent_id
+            WHERE c.id = ? AND c.user_id = ?
+        `, [categoryId, userId]);
+    }
+
+    /**
+     * Load the parent for a subcategory: a top-level category of the same user and type.
+     * An archived parent is only accepted when it is the current one.
+     */
+    async requireParent(databaseManager, userId, parentId, type, allowArchived = false) {
+        const parent = await this.findCategory(databaseManager, userId, parentId);
+
+        if (!parent) {
+            throw ErrorHandler.errors.NOT_FOUND('Parent category not found');
+        }
+
+        if (parent.type !== type) {
+            throw ErrorHandler.errors.VALIDATION_ERROR('A subcategory must have the same type as its parent');
+        }
+
+        if (parent.parent_id) {
+            throw ErrorHandler.errors.VALIDATION_ERROR('Subcategories cannot have subcategories of their own');
+        }
+
+        if (parent.is_archived && !allowArchived) {
+            throw ErrorHandler.errors.CONFLICT(`${parent.name} is archived`);
+        }
+
+        return parent;
+    }
+
+    async archiveSubcategories(databaseManager, userId, categoryId) {
+        await databaseManager.run(
+            'UPDATE categories SET is_archived = 1, updated_at = CURRENT_TIMESTAMP WHERE parent_id = ? AND user_id = ? AND is_archived = 0',
+            [categoryId, userId]
+        );
+    }
+
+    async renameInRecords(databaseManager, userId, type, oldName, newName) {
+        await databaseManager.run(
+            'UPDATE transactions SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND type = ? AND category = ?',
+            [newName, userId, type, oldName]
+        );
+
+        await databaseManager.run(
+            'UPDATE recurring_transactions SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND type = ? AND category = ?',
+            [newName, userId, type, oldName]
+        );
+
+        await databaseManager.run(`
+            UPDATE transaction_splits SET category = ?
+            WHERE user_id = ? AND category = ?
+              AND transaction_id IN (SELECT id FROM transactions WHERE user_id = ? AND type = ?)
+        `, [newName, userId, oldName, userId, type]);
+
+        // Budgets only track expenses
+        if (type === 'expense') {
+            await databaseManager.run(
+                'UPDATE budgets SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND category = ?',
+                [newName, userId, oldName]
+            );
+        }
+    }
+
+    /**
+     * Shape a category row for API responses
+     */
+    formatCategory(category) {
+        return {
+            id: category.id,
+            name: category.name,
+            type: category.type,
+            parentId: category.parent_id,
+            parentName: category.parent_name || null,
+            icon: category.icon,
+            color: category.color,
+            isArchived: !!category.is_archived,
+            createdAt: category.created_at,
+            updatedAt: category.updated_at
+        };
+    }
+
+    /**
+     * Map validation, not found and conflict errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new CategoryRoutes();
@@ -0,0 +1,600 @@
+/**
+ * Savings Goal Routes Handler
+ * Manages named savings goals, contributions towards them and progress projections
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const CurrencyConverter = require('../currencyConverter');
+const Money = require('../money');
+const config = require('../config');
+const AuditActions = require('../auditActions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GoalRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all goal routes
+            authMiddleware.requireAuth(req, res, async () => {
+                switch (pathname) {
+                    case '/goal':
+                        if (method === 'POST') {
+                            return await this.createGoal(req, res, { databaseManager });
+                        } else if (method === 'GET') {
+                            return await this.getGoals(req, res, { databaseManager });
+                        }
+                        break;
+
+                    default:
+                        // Handle goal by ID: /goal/:id[/progress | /contributions[/:contributionId]]
+                        if (pathname.startsWith('/goal/')) {
+                            const [, , goalId, resource, contributionId] = pathname.split('/');
+
+                            if (!resource) {
+                                if (method === 'GET') {
+                                    return await this.getGoal(req, res, { databaseManager, goalId });
+                                } else if (method === 'PUT') {
+                                    return await this.updateGoal(req, res, { databaseManager, goalId });
+                                } else if (method === 'DELETE') {
+                                    return await this.deleteGoal(req, res, { databaseManager, goalId });
+                                }
+                            } else if (resource === 'progress' && method === 'GET') {
+                                return await this.getProgress(req, res, { databaseManager, goalId });
+                            } else if (resource === 'contributions' && !contributionId) {
+                                if (method === 'POST') {
+                                    return await this.addContribution(req, res, { databaseManager, goalId });
+                                } else if (method === 'GET') {
+                                    return await this.getContributions(req, res, { databaseManager, goalId });
+                                }
+                            } else if (resource === 'contributions' && method === 'DELETE') {
+                                return await this.deleteContribution(req, res, { databaseManager, goalId, contributionId });
+                            }
+                        }
+                }
+
+                return this.sendError(res, 404, 'Goal endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async createGoal(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { name, targetAmount, deadline } = req.body;
+
+            // Goals default to the user's preferred currency
+            const currency = req.body.currency || (await SettingsManager.getPreferences(databaseManager, userId)).currency;
+
+            const goalValidation = Validators.validateSavingsGoal(name, targetAmount, currency, deadline);
+            if (!goalValidation.valid) {
+                return this.sendError(res, 400, goalValidation.message);
+            }
+
+            const goal = goalValidation.sanitized;
+
+            const existingGoal = await databaseManager.get(
+                'SELECT id FROM savings_goals WHERE user_id = ? AND name = ?',
+                [userId, goal.name]
+            );
+
+            if (existingGoal) {
+                return this.sendError(res, 409, `A goal named ${goal.name} already exists`);
+            }
+
+            const goalId = Validators.generateSecureId();
+
+            await databaseManager.run(`
+                INSERT INTO savings_goals (id, user_id, name, target_amount, currency, deadline)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [goalId, userId, goal.name, goal.targetAmount, goal.currency, goal.deadline]);
+
+            // Log goal creation
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.GOAL_CREATED,
+                `Created savings goal ${goal.name}: ${Money.format(goal.targetAmount)} ${goal.currency}`,
+                req
+            );
+
+            this.sendSuccess(res, 201, {
+                message: 'Savings goal created successfully',
+                goal: this.formatGoal({
+                    id: goalId,
+                    name: goal.name,
+                    target_amount: goal.targetAmount,
+                    currency: goal.currency,
+                    deadline: goal.deadline,
+                    saved: 0
+                })
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to create savings goal');
+        }
+    }
+
+    async getGoals(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            const goals = await databaseManager.all(`
+                SELECT g.id, g.name, g.target_amount, g.currency, g.deadline, g.created_at, g.updated_at,
+                       COALESCE(SUM(c.amount), 0) AS saved
+                FROM savings_goals g
+                LEFT JOIN goal_contributions c ON c.goal_id = g.id
+                WHERE g.user_id = ?
+                GROUP BY g.id
+                ORDER BY g.deadline IS NULL, g.deadline, g.name
+            `, [userId]);
+
+            this.sendSuccess(res, 200, {
+                goals: goals.map(g => this.formatGoal(g))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get savings goals');
+        }
+    }
+
+    async getGoal(req, res, { databaseManager, goalId }) {
+        try {
+            const goal = await this.findGoal(databaseManager, req.user.userId, goalId);
+
+            if (!goal) {
+                return this.sendError(res, 404, 'Savings goal not found');
+            }
+
+            this.sendSuccess(res, 200, {
+                goal: this.formatGoal(goal)
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get savings goal');
+        }
+    }
+
+    async updateGoal(req, res, { databaseManager, goalId }) {
+        try {
+            const userId = req.user.userId;
+            const existingGoal = await this.findGoal(databaseManager, userId, goalId);
+
+            if (!existingGoal) {
+                return this.sendError(res, 404, 'Savings goal not found');
+            }
+
+            const {
+                name = existingGoal.name,
+                targetAmount = Money.toMajor(existingGoal.target_amount),
+                currency = existingGoal.currency,
+                deadline = existingGoal.deadline
+            } = req.body;
+
+            const goalValidation = Validators.validateSavingsGoal(name, targetAmount, currency, deadline);
+            if (!goalValidation.valid) {
+                return this.sendError(res, 400, goalValidation.message);
+            }
+
+            const goal = goalValidation.sanitized;
+
+            // Contributions are stored in the goal currency
+            if (goal.currency !== existingGoal.currency && existingGoal.saved > 0) {
+                return this.sendError(res, 409, 'The currency of a goal with contributions cannot be changed');
+            }
+
+            const conflictingGoal = await databaseManager.get(
+                'SELECT id FROM savings_goals WHERE user_id = ? AND name = ? AND id != ?',
+                [userId, goal.name, goalId]
+            );
+
+            if (conflictingGoal) {
+                return this.sendError(res, 409, `A goal named ${goal.name} already exists`);
+            }
+
+            await databaseManager.run(`
+                UPDATE savings_goals
+                SET name = ?, target_amount = ?, currency = ?, deadline = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `, [goal.name, goal.targetAmount, goal.currency, goal.deadline, goalId, userId]);
+
+            // Log goal update
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.GOAL_UPDATED,
+                `Updated savings goal ${goal.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Savings goal updated successfully',
+                goal: this.formatGoal({
+                    ...existingGoal,
+                    name: goal.name,
+                    target_amount: goal.targetAmount,
+                    currency: goal.currency,
+                    deadline: goal.deadline
+                })
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to update savings goal');
+        }
+    }
+
+    async deleteGoal(req, res, { databaseManager, goalId }) {
+        try {
+            const userId = req.user.userId;
+            const existingGoal = await this.findGoal(databaseManager, userId, goalId);
+
+            if (!existingGoal) {
+                return this.sendError(res, 404, 'Savings goal not found');
+            }
+
+            // Contributions are deleted with the goal; linked transactions are kept
+            await databaseManager.run(
+                'DELETE FROM savings_goals WHERE id = ? AND user_id = ?',
+                [goalId, userId]
+            );
+
+            // Log goal deletion
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.GOAL_DELETED,
+                `Deleted savings goal ${existingGoal.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Savings goal deleted successfully'
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to delete savings goal');
+        }
+    }
+
+    /**
+     * Add a contribution; with a transactionId the amount and date default to the
+     * transaction's (converted to the goal currency)
+     */
+    async addContribution(req, res, { databaseManager, goalId }) {
+        try {
+            const userId = req.user.userId;
+            const goal = await this.findGoal(databaseManager, userId, goalId);
+
+            if (!goal) {
+                return this.sendError(res, 404, 'Savings goal not found');
+            }
+
+            let { amount, date, note, transactionId } = req.body;
+            let transaction = null;
+
+            if (transactionId !== undefined && transactionId !== null) {
+                transaction = await databaseManager.get(
+                    'SELECT id, amount, currency, transaction_date FROM transactions WHERE id = ? AND user_id = ?',
+                    [transactionId, userId]
+                );
+
+                if (!transaction) {
+                    return this.sendError(res, 404, 'Transaction not found');
+                }
+
+                const linkedContribution = await databaseManager.get(
+                    'SELECT goal_id FROM goal_contributions WHERE transaction_id = ?',
+                    [transaction.id]
+                );
+
+                if (linkedContribution) {
+                    return this.sendError(res, 409, 'This transaction is already linked to a savings goal');
+                }
+
+                if (amount === undefined) {
+                    const rates = await CurrencyConverter.getRates(databaseManager);
+                    amount = Money.toMajor(CurrencyConverter.convert(transaction.amount, transaction.currency, goal.currency, rates));
+                }
+                date = date || transaction.transaction_date;
+            }
+
+            if (!date) {
+                const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+                date = SettingsManager.getToday(preferences.timezone);
+            }
+
+            const contributionValidation = Validators.validateGoalContribution(amount, date, note);
+            if (!contributionValidation.valid) {
+                return this.sendError(res, 400, contributionValidation.message);
+            }
+
+            const contribution = contributionValidation.sanitized;
+            const contributionId = Validators.generateSecureId();
+
+            await databaseManager.run(`
+                INSERT INTO goal_contributions (id, goal_id, user_id, amount, contribution_date, transaction_id, note)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                contributionId,
+                goalId,
+                userId,
+                contribution.amount,
+                contribution.date,
+                transaction ? transaction.id : null,
+                contribution.note
+            ]);
+
+            // Log contribution
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.GOAL_CONTRIBUTION_ADDED,
+                `Added ${Money.format(contribution.amount)} ${goal.currency} to savings goal ${goal.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 201, {
+                message: 'Contribution added successfully',
+                contribution: this.formatContribution({
+                    id: contributionId,
+                    amount: contribution.amount,
+                    contribution_date: contribution.date,
+                    transaction_id: transaction ? transaction.id : null,
+                    note: contribution.note
+                }),
+                goal: this.formatGoal({ ...goal, saved: goal.saved + contribution.amount })
+            });
+
+        } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to add contribution');
+        }
+    }
+
+    async getContributions(req, res, { databaseManager, goalId }) {
+        try {
+            const userId = req.user.userId;
+            const goal = await this.findGoal(databaseManager, userId, goalId);
+
+            if (!goal) {
+                return this.sendError(res, 404, 'Savings goal not found');
+            }
+
+            const contributions = await databaseManager.all(`
+                SELECT id, amount, contribution_date, transaction_id, note, created_at
+                FROM goal_contributions
+                WHERE goal_id = ? AND user_id = ?
+                ORDER BY contribution_date DESC, created_at DESC
+            `, [goalId, userId]);
+
+            this.sendSuccess(res, 200, {
+                currency: goal.currency,
+                contributions: contributions.map(c => this.formatContribution(c))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get contributions');
+        }
+    }
+
+    async deleteContribution(req, res, { databaseManager, goalId, contributionId }) {
+        try {
+            const userId = req.user.userId;
+
+            const contribution = await databaseManager.get(`
+                SELECT c.id, c.amount, g.name, g.currency
+                FROM goal_contributions c
+                JOIN savings_goals g ON g.id = c.goal_id
+                WHERE c.id = ? AND c.goal_id = ? AND c.user_id = ?
+            `, [contributionId, goalId, userId]);
+
+            if (!contribution) {
+                return this.sendError(res, 404, 'Contribution not found');
+            }
+
+            await databaseManager.run(
+                'DELETE FROM goal_contributions WHERE id = ? AND user_id = ?',
+                [contributionId, userId]
+            );
+
+            // Log contribution deletion
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.GOAL_CONTRIBUTION_DELETED,
+                `Removed ${Money.format(contribution.amount)} ${contribution.currency} from savings goal ${contribution.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Contribution deleted successfully'
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to delete contribution');
+        }
+    }
+
+    /**
+     * Progress of a goal, with the completion date projected from the saving rate
+     * of the last `config.goals.projectionWindowDays` days
+     */
+    async getProgress(req, res, { databaseManager, goalId }) {
+        try {
+            const userId = req.user.userId;
+            const goal = await this.findGoal(databaseManager, userId, goalId);
+
+            if (!goal) {
+                return this.sendError(res, 404, 'Savings goal not found');
+            }
+
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const today = SettingsManager.getToday(preferences.timezone);
+
+            // The window starts when the goal was created, but covers at least `projectionMinWindowDays`
+            // so a single early deposit is not taken as a daily rate
+            const { projectionWindowDays, projectionMinWindowDays } = config.goals;
+            const createdOn = SettingsManager.formatDate(new Date(`${goal.created_at.replace(' ', 'T')}Z`), preferences.timezone);
+            const windowStart = this.maxDate(
+                this.addDays(today, -(projectionWindowDays - 1)),
+                this.minDate(createdOn, this.addDays(today, -(projectionMinWindowDays - 1)))
+            );
+            const windowDays = this.daysBetween(windowStart, today) + 1;
+
+            const { recent } = await databaseManager.get(`
+                SELECT COALESCE(SUM(amount), 0) AS recent
+                FROM goal_contributions
+                WHERE goal_id = ? AND contribution_date >= ? AND contribution_date <= ?
+            `, [goalId, windowStart, today]);
+
+            const remaining = Math.max(0, goal.target_amount - goal.saved);
+            const dailyRate = recent / windowDays;
+
+            let projectedCompletionDate = null;
+            if (remaining > 0 && dailyRate > 0) {
+                projectedCompletionDate = this.addDays(today, Math.ceil(remaining / dailyRate));
+            }
+
+            // Monthly amount still needed to reach the goal by its deadline
+            let requiredPerMonth = null;
+            let daysLeft = null;
+            if (goal.deadline) {
+                daysLeft = this.daysBetween(today, goal.deadline);
+                if (remaining > 0) {
+                    requiredPerMonth = daysLeft > 0 ? Money.round(remaining / (daysLeft / 30)) : remaining;
+                }
+            }
+
+            this.sendSuccess(res, 200, {
+                goal: this.formatGoal(goal),
+                progress: {
+                    remaining: Money.toMajor(remaining),
+                    savingRate: {
+                        perMonth: Money.toMajor(Money.round(dailyRate * 30)),
+                        windowStart,
+                        windowDays
+                    },
+                    projectedCompletionDate,
+                    daysLeft,
+                    requiredPerMonth: requiredPerMonth === null ? null : Money.toMajor(requiredPerMonth),
+                    status: this.getProgressStatus(goal, remaining, projectedCompletionDate, today)
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get goal progress');
+        }
+    }
+
+    getProgressStatus(goal, remaining, projectedCompletionDate, today) {
+        if (remaining === 0) {
+            return 'completed';
+        }
+        if (goal.deadline && goal.deadline < today) {
+            return 'missed';
+        }
+        if (!projectedCompletionDate) {
+            return 'stalled';
+        }
+        if (goal.deadline && projectedCompletionDate > goal.deadline) {
+            return 'behind';
+        }
+        return 'on_track';
+    }
+
+    /**
+     * Goal with the sum of its contributions
+     */
+    async findGoal(databaseManager, userId, goalId) {
+        return databaseManager.get(`
+            SELECT g.id, g.name, g.target_amount, g.currency, g.deadline, g.created_at, g.updated_at,
+                   COALESCE((SELECT SUM(amount) FROM goal_contributions WHERE goal_id = g.id), 0) AS saved
+            FROM savings_goals g
+            WHERE g.id = ? AND g.user_id = ?
+        `, [goalId, userId]);
+    }
+
+    addDays(date, days) {
+        return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    daysBetween(from, to) {
+        return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+    }
+
+    maxDate(a, b) {
+        return a > b ? a : b;
+    }
+
+    minDate(a, b) {
+        return a < b ? a : b;
+    }
+
+    /**
+     * Shape a goal row for API responses (amounts as decimals)
+     */
+    formatGoal(goal) {
+        const saved = goal.saved || 0;
+
+        return {
+            id: goal.id,
+            name: goal.name,
+            targetAmount: Money.toMajor(goal.target_amount),
+            saved: Money.toMajor(saved),
+            percentComplete: parseFloat(Math.min(100, (saved / goal.target_amount) * 100).toFixed(1)),
+            currency: goal.currency,
+            deadline: goal.deadline,
+            createdAt: goal.created_at,
+            updatedAt: goal.updated_at
+        };
+    }
+
+    formatContribution(contribution) {
+        return {
+            id: contribution.id,
+            amount: Money.toMajor(contribution.amount),
+            date: contribution.contribution_date,
+            transactionId: contribution.transaction_id,
+            note: contribution.note,
+            createdAt: contribution.created_at
+        };
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new GoalRoutes();
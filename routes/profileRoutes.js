@@ -5,6 +5,10 @@
 
 const Validators = require('../validators');
 const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const CurrencyConverter = require('../currencyConverter');
+const Money = require('../money');
+const AuditActions = require('../auditActions');
 
 class ProfileRoutes {
     async handle(req, res, context) {
@@ -69,7 +73,7 @@ class ProfileRoutes {
                     createdAt: user.created_at,
                     lastLogin: user.last_login,
                     jobTitle: user.job_title,
-                    monthlySalary: user.monthly_salary,
+                    monthlySalary: user.monthly_salary !== null ? Money.toMajor(user.monthly_salary) : null,
                     savingsGoalPercentage: user.savings_goal_percentage
                 }
             });
@@ -94,6 +98,7 @@ class ProfileRoutes {
             }
 
             // Validate profile data if provided
+            let profile = null;
             if (jobTitle || monthlySalary || savingsGoalPercentage) {
                 const profileValidation = Validators.validateUserProfile(
                     jobTitle || '',
@@ -103,6 +108,7 @@ class ProfileRoutes {
                 if (!profileValidation.valid) {
                     return this.sendError(res, 400, profileValidation.message);
                 }
+                profile = profileValidation.sanitized;
             }
 
             // Update user name if provided
@@ -114,22 +120,22 @@ class ProfileRoutes {
             }
 
             // Update or create profile
-            if (jobTitle || monthlySalary || savingsGoalPercentage) {
+            if (profile) {
                 await databaseManager.run(`
                     INSERT OR REPLACE INTO user_profiles (user_id, job_title, monthly_salary, savings_goal_percentage, updated_at)
                     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
                 `, [
                     userId,
-                    jobTitle || null,
-                    monthlySalary || null,
-                    savingsGoalPercentage || null
+                    profile.jobTitle,
+                    profile.monthlySalary,
+                    profile.savingsGoalPercentage
                 ]);
             }
 
             // Log profile update
             await databaseManager.logAuditEvent(
                 userId,
-                'PROFILE_UPDATED',
+                AuditActions.PROFILE_UPDATED,
                 'User profile updated',
                 req
             );
@@ -148,22 +154,7 @@ class ProfileRoutes {
         try {
             const userId = req.user.userId;
 
-            // Get user settings (you can extend this with a settings table)
-            const settings = {
-                notifications: {
-                    email: true,
-                    push: false
-                },
-                privacy: {
-                    shareData: false,
-                    publicProfile: false
-                },
-                preferences: {
-                    currency: 'ALL',
-                    language: 'sq',
-                    timezone: 'Europe/Tirane'
-                }
-            };
+            const settings = await SettingsManager.getSettings(databaseManager, userId);
 
             this.sendSuccess(res, 200, {
                 settings
@@ -178,34 +169,40 @@ class ProfileRoutes {
     async updateSettings(req, res, { databaseManager }) {
         try {
             const userId = req.user.userId;
-            const { notifications, privacy, preferences } = req.body;
-
-            // Validate settings (you can add more validation here)
-            if (notifications && typeof notifications !== 'object') {
-                return this.sendError(res, 400, 'Invalid notifications settings');
-            }
 
-            if (privacy && typeof privacy !== 'object') {
-                return this.sendError(res, 400, 'Invalid privacy settings');
+            // Validate the partial update against the settings schema
+            const settingsValidation = Validators.validateSettings(req.body);
+            if (!settingsValidation.valid) {
+                return this.sendError(res, 400, settingsValidation.message);
             }
 
-            if (preferences && typeof preferences !== 'object') {
-                return this.sendError(res, 400, 'Invalid preferences settings');
+            // Totals are converted to the preferred currency, so it needs a stored rate
+            const preferences = settingsValidation.sanitized.preferences || {};
+            if (preferences.currency !== undefined) {
+                const rates = await CurrencyConverter.getRates(databaseManager);
+                if (rates[preferences.currency] === undefined) {
+                    return this.sendError(res, 422, `No exchange rate available for ${preferences.currency}`);
+                }
             }
 
-            // Update settings (in a real app, you'd store these in a settings table)
-            // For now, we'll just log the update
+            // Deep-merge into the stored settings
+            const settings = await SettingsManager.updateSettings(
+                databaseManager,
+                userId,
+                settingsValidation.sanitized
+            );
 
             // Log settings update
             await databaseManager.logAuditEvent(
                 userId,
-                'SETTINGS_UPDATED',
-                'User settings updated',
+                AuditActions.SETTINGS_UPDATED,
+                `User settings updated: ${Object.keys(settingsValidation.sanitized).join(', ')}`,
                 req
             );
 
             this.sendSuccess(res, 200, {
-                message: 'Settings updated successfully'
+                message: 'Settings updated successfully',
+                settings
             });
 
         } catch (error) {
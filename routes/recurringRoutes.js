@@ -0,0 +1,420 @@
+/**
+ * Recurring Transaction Routes Handler
+ * Manages recurring rules (rent, salary, bills) that the scheduler turns into transactions
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const RecurringScheduler = require('../recurringScheduler');
+const CurrencyConverter = require('../currencyConverter');
+const AccountManager = require('../accountManager');
+const CategoryManager = require('../categoryManager');
+const Money = require('../money');
+const AuditActions = require('../auditActions');
+
+class RecurringRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, recurringScheduler, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all recurring transaction routes
+            authMiddleware.requireAuth(req, res, async () => {
+                if (pathname === '/transaction/recurring') {
+                    if (method === 'POST') {
+                        return await this.createRule(req, res, { databaseManager, recurringScheduler });
+                    } else if (method === 'GET') {
+                        return await this.getRules(req, res, { databaseManager });
+                    }
+                } else if (pathname.startsWith('/transaction/recurring/')) {
+                    // Handle recurring rule by ID
+                    const ruleId = pathname.split('/')[3];
+                    if (method === 'GET') {
+                        return await this.getRule(req, res, { databaseManager, ruleId });
+                    } else if (method === 'PUT') {
+                        return await this.updateRule(req, res, { databaseManager, recurringScheduler, ruleId });
+                    } else if (method === 'DELETE') {
+                        return await this.deleteRule(req, res, { databaseManager, ruleId });
+                    }
+                }
+
+                return this.sendError(res, 404, 'Recurring transaction endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async createRule(req, res, { databaseManager, recurringScheduler }) {
+        try {
+            const userId = req.user.userId;
+            const { amount, type, category, description, currency, frequency, interval, startDate, endDate, maxOccurrences, accountId } = req.body;
+
+            const account = await AccountManager.requireAccount(databaseManager, userId, accountId);
+
+            // Start date defaults to today in the user's timezone
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+
+            const ruleValidation = Validators.validateRecurringRule({
+                amount,
+                type,
+                category,
+                description,
+                currency: currency || account.currency,
+                categories: await CategoryManager.getUsableNames(databaseManager, userId),
+                frequency,
+                interval,
+                startDate: startDate || SettingsManager.getToday(preferences.timezone),
+                endDate,
+                maxOccurrences
+            });
+            if (!ruleValidation.valid) {
+                return this.sendError(res, 400, ruleValidation.message);
+            }
+
+            const rule = ruleValidation.sanitized;
+
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            if (!CurrencyConverter.canConvertToAll(rule.currency, [preferences.currency, account.currency], rates)) {
+                return this.sendError(res, 400, `No exchange rate available for ${rule.currency}`);
+            }
+
+            const ruleId = Validators.generateSecureId();
+
+            await databaseManager.run(`
+                INSERT INTO recurring_transactions (
+                    id, user_id, account_id, amount, type, category, description, currency, frequency, interval_count,
+                    start_date, end_date, max_occurrences, next_occurrence_date
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                ruleId,
+                userId,
+                account.id,
+                rule.amount,
+                rule.type,
+                rule.category,
+                rule.description,
+                rule.currency,
+                rule.frequency,
+                rule.interval,
+                rule.startDate,
+                rule.endDate,
+                rule.maxOccurrences,
+                rule.startDate
+            ]);
+
+            // Log rule creation
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.RECURRING_RULE_CREATED,
+                `Created ${rule.frequency} ${rule.type} rule: ${Money.format(rule.amount)} ${rule.currency} in ${rule.category}`,
+                req
+            );
+
+            // Catch up on occurrences that are already due (e.g. a start date in the past)
+            const created = await recurringScheduler.processRule(ruleId);
+
+            const row = await this.findRule(databaseManager, ruleId, userId);
+
+            this.sendSuccess(res, 201, {
+                message: 'Recurring transaction created successfully',
+                recurring: this.formatRule(row),
+                transactionsCreated: created
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to create recurring transaction');
+        }
+    }
+
+    async getRules(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            const rules = await databaseManager.all(`
+                SELECT * FROM recurring_transactions
+                WHERE user_id = ?
+                ORDER BY is_active DESC, next_occurrence_date ASC, created_at DESC
+            `, [userId]);
+
+            this.sendSuccess(res, 200, {
+                recurring: rules.map(rule => this.formatRule(rule))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get recurring transactions');
+        }
+    }
+
+    async getRule(req, res, { databaseManager, ruleId }) {
+        try {
+            const userId = req.user.userId;
+
+            const rule = await this.findRule(databaseManager, ruleId, userId);
+            if (!rule) {
+                return this.sendError(res, 404, 'Recurring transaction not found');
+            }
+
+            // Preview the next few occurrences
+            const upcoming = [];
+            if (rule.is_active) {
+                for (let index = rule.occurrence_count; upcoming.length < 5; index++) {
+                    const date = RecurringScheduler.getNextOccurrenceDate(rule, index);
+                    if (!date) {
+                        break;
+                    }
+                    upcoming.push(date);
+                }
+            }
+
+            const occurrences = await databaseManager.all(`
+                SELECT occurrence_date, transaction_id FROM recurring_occurrences
+                WHERE recurring_id = ?
+                ORDER BY occurrence_date DESC
+                LIMIT 12
+            `, [ruleId]);
+
+            this.sendSuccess(res, 200, {
+                recurring: this.formatRule(rule),
+                upcoming,
+                recentOccurrences: occurrences.map(o => ({
+                    date: o.occurrence_date,
+                    transactionId: o.transaction_id
+                }))
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to get recurring transaction');
+        }
+    }
+
+    async updateRule(req, res, { databaseManager, recurringScheduler, ruleId }) {
+        try {
+            const userId = req.user.userId;
+
+            const existing = await this.findRule(databaseManager, ruleId, userId);
+            if (!existing) {
+                return this.sendError(res, 404, 'Recurring transaction not found');
+            }
+
+            const body = req.body;
+            const scheduleChanged = ['frequency', 'interval', 'startDate'].some(field => body[field] !== undefined);
+
+            // Moving the schedule anchor would change dates that were already materialized
+            if (scheduleChanged && existing.occurrence_count > 0) {
+                return this.sendError(res, 400, 'Schedule cannot be changed after occurrences were created; create a new recurring transaction instead');
+            }
+
+            const ruleValidation = Validators.validateRecurringRule({
+                amount: body.amount !== undefined ? body.amount : Money.toMajor(existing.amount),
+                type: body.type !== undefined ? body.type : existing.type,
+                category: body.category !== undefined ? body.category : existing.category,
+                description: body.description !== undefined ? body.description : existing.description,
+                currency: body.currency !== undefined ? body.currency : existing.currency,
+                categories: await CategoryManager.getUsableNames(databaseManager, userId, { type: existing.type, name: existing.category }),
+                frequency: body.frequency !== undefined ? body.frequency : existing.frequency,
+                interval: body.interval !== undefined ? body.interval : existing.interval_count,
+                startDate: body.startDate !== undefined ? body.startDate : existing.start_date,
+                endDate: body.endDate !== undefined ? body.endDate : existing.end_date,
+                maxOccurrences: body.maxOccurrences !== undefined ? body.maxOccurrences : existing.max_occurrences
+            });
+            if (!ruleValidation.valid) {
+                return this.sendError(res, 400, ruleValidation.message);
+            }
+
+            if (body.isActive !== undefined && typeof body.isActive !== 'boolean') {
+                return this.sendError(res, 400, 'isActive must be a boolean');
+            }
+
+            const rule = ruleValidation.sanitized;
+
+            const isActive = body.isActive !== undefined ? body.isActive : !!existing.is_active;
+            const resuming = isActive && !existing.is_active;
+
+            // Future occurrences go to another account only if one is given,
+            // and a rule can only be resumed into an account that is not archived
+            const account = (body.accountId !== undefined && body.accountId !== existing.account_id) || resuming
+                ? await AccountManager.requireAccount(databaseManager, userId, body.accountId !== undefined ? body.accountId : existing.account_id)
+                : await AccountManager.getAccount(databaseManager, userId, existing.account_id);
+
+            if (rule.currency !== existing.currency || account.id !== existing.account_id) {
+                const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+                const rates = await CurrencyConverter.getRates(databaseManager);
+                if (!CurrencyConverter.canConvertToAll(rule.currency, [preferences.currency, account.currency], rates)) {
+                    return this.sendError(res, 400, `No exchange rate available for ${rule.currency}`);
+                }
+            }
+
+            // Recompute the schedule position with the new end conditions
+            const updated = {
+                ...existing,
+                start_date: rule.startDate,
+                frequency: rule.frequency,
+                interval_count: rule.interval,
+                end_date: rule.endDate,
+                max_occurrences: rule.maxOccurrences
+            };
+            let occurrenceCount = existing.occurrence_count;
+            let nextOccurrenceDate = RecurringScheduler.getNextOccurrenceDate(updated, occurrenceCount);
+
+            // A resumed rule continues from today instead of back-filling the paused period
+            if (resuming) {
+                const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+                ({ occurrenceCount, nextOccurrenceDate } = RecurringScheduler.skipPastOccurrences(
+                    { ...updated, occurrence_count: occurrenceCount, next_occurrence_date: nextOccurrenceDate },
+                    SettingsManager.getToday(preferences.timezone)
+                ));
+            }
+
+            await databaseManager.run(`
+                UPDATE recurring_transactions
+                SET account_id = ?, amount = ?, type = ?, category = ?, description = ?, currency = ?, frequency = ?, interval_count = ?,
+                    start_date = ?, end_date = ?, max_occurrences = ?, occurrence_count = ?,
+                    next_occurrence_date = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `, [
+                account.id,
+                rule.amount,
+                rule.type,
+                rule.category,
+                rule.description,
+                rule.currency,
+                rule.frequency,
+                rule.interval,
+                rule.startDate,
+                rule.endDate,
+                rule.maxOccurrences,
+                occurrenceCount,
+                nextOccurrenceDate,
+                isActive ? 1 : 0,
+                ruleId,
+                userId
+            ]);
+
+            // Log rule update
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.RECURRING_RULE_UPDATED,
+                `Updated recurring rule ${ruleId}`,
+                req
+            );
+
+            const created = await recurringScheduler.processRule(ruleId);
+            const row = await this.findRule(databaseManager, ruleId, userId);
+
+            this.sendSuccess(res, 200, {
+                message: 'Recurring transaction updated successfully',
+                recurring: this.formatRule(row),
+                transactionsCreated: created
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to update recurring transaction');
+        }
+    }
+
+    async deleteRule(req, res, { databaseManager, ruleId }) {
+        try {
+            const userId = req.user.userId;
+
+            const existing = await this.findRule(databaseManager, ruleId, userId);
+            if (!existing) {
+                return this.sendError(res, 404, 'Recurring transaction not found');
+            }
+
+            // Transactions already created by the rule are kept
+            await databaseManager.run(
+                'DELETE FROM recurring_transactions WHERE id = ? AND user_id = ?',
+                [ruleId, userId]
+            );
+
+            // Log rule deletion
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.RECURRING_RULE_DELETED,
+                `Deleted ${existing.frequency} ${existing.type} rule: ${Money.format(existing.amount)} in ${existing.category}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Recurring transaction deleted successfully'
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to delete recurring transaction');
+        }
+    }
+
+    async findRule(databaseManager, ruleId, userId) {
+        return databaseManager.get(
+            'SELECT * FROM recurring_transactions WHERE id = ? AND user_id = ?',
+            [ruleId, userId]
+        );
+    }
+
+    formatRule(rule) {
+        return {
+            id: rule.id,
+            accountId: rule.account_id,
+            amount: Money.toMajor(rule.amount),
+            currency: rule.currency,
+            type: rule.type,
+            category: rule.category,
+            description: rule.description,
+            frequency: rule.frequency,
+            interval: rule.interval_count,
+            startDate: rule.start_date,
+            endDate: rule.end_date,
+            maxOccurrences: rule.max_occurrences,
+            occurrenceCount: rule.occurrence_count,
+            nextOccurrenceDate: rule.next_occurrence_date,
+            isActive: !!rule.is_active,
+            lastRunAt: rule.last_run_at,
+            createdAt: rule.created_at,
+            updatedAt: rule.updated_at
+        };
+    }
+
+    /**
+     * Map validation and missing account errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new RecurringRoutes();
@@ -0,0 +1,261 @@
+/**
+ * Report Routes Handler
+ * Exposes ReportGenerator reports for the authenticated user's stored transactions
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const CurrencyConverter = require('../currencyConverter');
+const Money = require('../money');
+const Transaction = require('../Transaction');
+const UserProfile = require('../UserProfile');
+const ReportGenerator = require('../ReportGenerator');
+const CategoryManager = require('../categoryManager');
+const config = require('../config');
+
+class ReportRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all report routes
+            authMiddleware.requireAuth(req, res, async () => {
+                if (method !== 'GET') {
+                    return this.sendError(res, 404, 'Report endpoint not found');
+                }
+
+                switch (pathname) {
+                    case '/report':
+                        return await this.getAllReports(req, res, { databaseManager, parsedUrl });
+
+                    case '/report/spending':
+                        return await this.getReport(req, res, { databaseManager, parsedUrl }, 'spendingAnalysis');
+
+                    case '/report/income-vs-expense':
+                        return await this.getReport(req, res, { databaseManager, parsedUrl }, 'incomeVsExpense');
+
+                    case '/report/savings-growth':
+                        return await this.getReport(req, res, { databaseManager, parsedUrl }, 'savingsGrowth');
+
+                    case '/report/budget-vs-actual':
+                        return await this.getReport(req, res, { databaseManager, parsedUrl }, 'budgetVsActual');
+
+                    default:
+                        return this.sendError(res, 404, 'Report endpoint not found');
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async getAllReports(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const userId = req.user.userId;
+
+            const range = await this.resolveDateRange(databaseManager, userId, parsedUrl.query);
+            if (!range.valid) {
+                return this.sendError(res, 400, range.message);
+            }
+
+            const { generator, userProfile, preferences, startDate, endDate } = await this.loadReportData(databaseManager, userId, range.sanitized);
+
+            this.sendSuccess(res, 200, {
+                currency: preferences.currency,
+                period: range.sanitized,
+                reports: {
+                    spendingAnalysis: this.formatReport('spendingAnalysis', generator.generateSpendingAnalysis(startDate, endDate)),
+                    incomeVsExpense: this.formatReport('incomeVsExpense', generator.generateIncomeVsExpenseReport(startDate, endDate)),
+                    // Budget vs. actual needs a profile (salary and savings goal)
+                    budgetVsActual: userProfile
+                        ? this.formatReport('budgetVsActual', generator.generateBudgetVsActualReport(startDate, endDate))
+                        : null,
+                    savingsGrowth: this.formatReport('savingsGrowth', generator.generateSavingsGrowth(startDate, endDate))
+                }
+            });
+
+        } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to generate reports');
+        }
+    }
+
+    async getReport(req, res, { databaseManager, parsedUrl }, reportName) {
+        try {
+            const userId = req.user.userId;
+
+            const range = await this.resolveDateRange(databaseManager, userId, parsedUrl.query);
+            if (!range.valid) {
+                return this.sendError(res, 400, range.message);
+            }
+
+            const { generator, userProfile, preferences, startDate, endDate } = await this.loadReportData(databaseManager, userId, range.sanitized);
+
+            let report;
+            switch (reportName) {
+                case 'spendingAnalysis':
+                    report = generator.generateSpendingAnalysis(startDate, endDate);
+                    break;
+
+                case 'incomeVsExpense':
+                    report = generator.generateIncomeVsExpenseReport(startDate, endDate);
+                    break;
+
+                case 'savingsGrowth':
+                    report = generator.generateSavingsGrowth(startDate, endDate);
+                    break;
+
+                case 'budgetVsActual':
+                    if (!userProfile) {
+                        return this.sendError(res, 404, 'User profile not found. Please create a profile first.');
+                    }
+                    report = generator.generateBudgetVsActualReport(startDate, endDate);
+                    break;
+            }
+
+            this.sendSuccess(res, 200, {
+                currency: preferences.currency,
+                period: range.sanitized,
+                report: this.formatReport(reportName, report)
+            });
+
+        } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to generate report');
+        }
+    }
+
+    /**
+     * Convert the minor-unit amounts of a generated report to decimal amounts
+     */
+    formatReport(reportName, report) {
+        switch (reportName) {
+            case 'spendingAnalysis':
+                return report.map(item => ({
+                    ...item,
+                    total: Money.toMajor(item.total),
+                    subcategories: item.subcategories.map(sub => ({ ...sub, total: Money.toMajor(sub.total) }))
+                }));
+
+            case 'savingsGrowth':
+                return report.map(item => ({ ...item, balance: Money.toMajor(item.balance) }));
+
+            default:
+                return Object.fromEntries(
+                    Object.entries(report).map(([key, value]) => [key, Money.toMajor(value)])
+                );
+        }
+    }
+
+    /**
+     * Resolve and validate the reporting period.
+     * Defaults to the last `config.reporting.defaultDateRange` days ending today (user's timezone).
+     */
+    async resolveDateRange(databaseManager, userId, query) {
+        let { startDate, endDate } = query;
+
+        const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+        const today = SettingsManager.getToday(preferences.timezone);
+
+        if (!endDate) {
+            endDate = today;
+        }
+
+        if (!startDate) {
+            const end = new Date(endDate);
+            if (!isNaN(end.getTime())) {
+                end.setUTCDate(end.getUTCDate() - config.reporting.defaultDateRange);
+                startDate = end.toISOString().split('T')[0];
+            }
+        }
+
+        // Today in the user's timezone may already be tomorrow in UTC
+        return Validators.validateDateRange(startDate, endDate, today);
+    }
+
+    /**
+     * Load the user's transactions and profile into a ReportGenerator
+     * A split transaction is loaded as one transaction per line, so reports group it by the lines' categories
+     */
+    async loadReportData(databaseManager, userId, { startDate, endDate }) {
+        const rows = await databaseManager.all(`
+            SELECT t.id, COALESCE(s.amount, t.amount) AS amount, t.type, COALESCE(s.category, t.category) AS category,
+                   COALESCE(s.description, t.description) AS description, t.currency, t.transaction_date
+            FROM transactions t
+            LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+            WHERE t.user_id = ? AND t.type IN ('income', 'expense') AND t.transaction_date >= ? AND t.transaction_date <= ?
+            ORDER BY t.transaction_date ASC, s.position ASC
+        `, [userId, startDate, endDate]);
+
+        // Reports are in the user's currency
+        const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+        const rates = await CurrencyConverter.getRates(databaseManager);
+
+        const transactions = rows.map(row => new Transaction(
+            row.id,
+            CurrencyConverter.convert(row.amount, row.currency, preferences.currency, rates),
+            row.transaction_date,
+            row.type,
+            row.category,
+            row.description || '',
+            userId
+        ));
+
+        const profile = await databaseManager.get(`
+            SELECT job_title, monthly_salary, savings_goal_percentage
+            FROM user_profiles
+            WHERE user_id = ?
+            ORDER BY updated_at DESC
+            LIMIT 1
+        `, [userId]);
+
+        const userProfile = profile
+            ? new UserProfile(userId, profile.job_title, profile.monthly_salary || 0, profile.savings_goal_percentage || 0)
+            : null;
+
+        const categoryParents = await CategoryManager.getParentMap(databaseManager, userId);
+
+        return {
+            // The generator only reads the profile for budget vs. actual
+            generator: new ReportGenerator(transactions, userProfile, categoryParents),
+            userProfile,
+            preferences,
+            startDate: new Date(startDate),
+            endDate: new Date(endDate)
+        };
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new ReportRoutes();
@@ -0,0 +1,452 @@
+/**
+ * Categorization Rule Routes Handler
+ * Manages the rules that categorize and tag transactions, and re-runs them over past transactions
+ */
+
+const Validators = require('../validators');
+const ErrorHandler = require('../errorHandler');
+const AccountManager = require('../accountManager');
+const CategoryManager = require('../categoryManager');
+const CategorizationRules = require('../categorizationRules');
+const Money = require('../money');
+const config = require('../config');
+const AuditActions = require('../auditActions');
+
+class RuleRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all categorization rule routes
+            authMiddleware.requireAuth(req, res, async () => {
+                if (pathname === '/transaction/rules') {
+                    if (method === 'POST') {
+                        return await this.createRule(req, res, { databaseManager });
+                    } else if (method === 'GET') {
+                        return await this.getRules(req, res, { databaseManager });
+                    }
+                } else if (pathname === '/transaction/rules/apply') {
+                    if (method === 'POST') {
+                        return await this.applyRules(req, res, { databaseManager });
+                    }
+                } else if (pathname.startsWith('/transaction/rules/')) {
+                    // Handle categorization rule by ID
+                    const ruleId = pathname.split('/')[3];
+                    if (method === 'GET') {
+                        return await this.getRule(req, res, { databaseManager, ruleId });
+                    } else if (method === 'PUT') {
+                        return await this.updateRule(req, res, { databaseManager, ruleId });
+                    } else if (method === 'DELETE') {
+                        return await this.deleteRule(req, res, { databaseManager, ruleId });
+                    }
+                }
+
+                return this.sendError(res, 404, 'Categorization rule endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async createRule(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            const ruleValidation = Validators.validateCategorizationRule({
+                ...req.body,
+                categories: await CategoryManager.getUsableNames(databaseManager, userId)
+            });
+            if (!ruleValidation.valid) {
+                return this.sendError(res, 400, ruleValidation.message);
+            }
+
+            const { count } = await databaseManager.get(
+                'SELECT COUNT(*) AS count FROM categorization_rules WHERE user_id = ?',
+                [userId]
+            );
+
+            if (count >= config.categorizationRules.maxPerUser) {
+                return this.sendError(res, 400, `You cannot have more than ${config.categorizationRules.maxPerUser} categorization rules`);
+            }
+
+            const rule = ruleValidation.sanitized;
+            const ruleId = Validators.generateSecureId();
+
+            await databaseManager.run(`
+                INSERT INTO categorization_rules (
+                    id, user_id, name, priority, type, description_contains, description_pattern,
+                    min_amount, max_amount, category, tags
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                ruleId,
+                userId,
+                rule.name,
+                rule.priority,
+                rule.type,
+                rule.descriptionContains,
+                rule.descriptionPattern,
+                rule.minAmount,
+                rule.maxAmount,
+                rule.category,
+                CategorizationRules.serializeTags(rule.tags)
+            ]);
+
+            // Log rule creation
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.CATEGORIZATION_RULE_CREATED,
+                `Created categorization rule ${rule.name}`,
+                req
+            );
+
+            const created = await this.findRule(databaseManager, userId, ruleId);
+
+            this.sendSuccess(res, 201, {
+                message: 'Categorization rule created successfully',
+                rule: this.formatRule(created)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to create categorization rule');
+        }
+    }
+
+    async getRules(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            // Listed in the order they are tried
+            const rules = await databaseManager.all(`
+                SELECT * FROM categorization_rules
+                WHERE user_id = ?
+                ORDER BY priority, created_at, id
+            `, [userId]);
+
+            this.sendSuccess(res, 200, {
+                rules: rules.map(r => this.formatRule(r))
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to get categorization rules');
+        }
+    }
+
+    async getRule(req, res, { databaseManager, ruleId }) {
+        try {
+            const userId = req.user.userId;
+            const rule = await this.findRule(databaseManager, userId, ruleId);
+
+            if (!rule) {
+                return this.sendError(res, 404, 'Categorization rule not found');
+            }
+
+            this.sendSuccess(res, 200, {
+                rule: this.formatRule(rule)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to get categorization rule');
+        }
+    }
+
+    async updateRule(req, res, { databaseManager, ruleId }) {
+        try {
+            const userId = req.user.userId;
+            const existing = await this.findRule(databaseManager, userId, ruleId);
+
+            if (!existing) {
+                return this.sendError(res, 404, 'Categorization rule not found');
+            }
+
+            // Fields that are not sent keep their value; send null to clear a condition
+            const current = this.formatRule(existing);
+            const body = { ...current, ...req.body };
+
+            if (typeof body.isActive !== 'boolean') {
+                return this.sendError(res, 400, 'isActive must be a boolean');
+            }
+
+            // The current category stays valid even if it was archived
+            const ruleValidation = Validators.validateCategorizationRule({
+                ...body,
+                categories: await CategoryManager.getUsableNames(
+                    databaseManager,
+                    userId,
+                    existing.category && existing.type ? { type: existing.type, name: existing.category } : null
+                )
+            });
+            if (!ruleValidation.valid) {
+                return this.sendError(res, 400, ruleValidation.message);
+            }
+
+            const rule = ruleValidation.sanitized;
+
+            await databaseManager.run(`
+                UPDATE categorization_rules
+                SET name = ?, priority = ?, type = ?, description_contains = ?, description_pattern = ?,
+                    min_amount = ?, max_amount = ?, category = ?, tags = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `, [
+                rule.name,
+                rule.priority,
+                rule.type,
+                rule.descriptionContains,
+                rule.descriptionPattern,
+                rule.minAmount,
+                rule.maxAmount,
+                rule.category,
+                CategorizationRules.serializeTags(rule.tags),
+                body.isActive ? 1 : 0,
+                ruleId,
+                userId
+            ]);
+
+            // Log rule update
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.CATEGORIZATION_RULE_UPDATED,
+                `Updated categorization rule ${rule.name}${body.isActive !== current.isActive ? (body.isActive ? ' (enabled)' : ' (disabled)') : ''}`,
+                req
+            );
+
+            const updated = await this.findRule(databaseManager, userId, ruleId);
+
+            this.sendSuccess(res, 200, {
+                message: 'Categorization rule updated successfully',
+                rule: this.formatRule(updated)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to update categorization rule');
+        }
+    }
+
+    async deleteRule(req, res, { databaseManager, ruleId }) {
+        try {
+            const userId = req.user.userId;
+            const existing = await this.findRule(databaseManager, userId, ruleId);
+
+            if (!existing) {
+                return this.sendError(res, 404, 'Categorization rule not found');
+            }
+
+            await databaseManager.run(
+                'DELETE FROM categorization_rules WHERE id = ? AND user_id = ?',
+                [ruleId, userId]
+            );
+
+            // Log rule deletion
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.CATEGORIZATION_RULE_DELETED,
+                `Deleted categorization rule ${existing.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 200, {
+                message: 'Categorization rule deleted successfully'
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to delete categorization rule');
+        }
+    }
+
+    /**
+     * Re-run the active rules over past income and expense transactions.
+     * A matching rule replaces the category (except on split transactions) and adds its tags;
+     * `dryRun` only previews the changes.
+     */
+    async applyRules(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { dryRun, startDate, endDate, accountId } = req.body;
+
+            if ((startDate && !Validators.isValidDateString(startDate)) || (endDate && !Validators.isValidDateString(endDate))) {
+                return this.sendError(res, 400, 'Dates must be valid dates (YYYY-MM-DD)');
+            }
+
+            if (startDate && endDate && startDate > endDate) {
+                return this.sendError(res, 400, 'Start date must be before end date');
+            }
+
+            const conditions = ['user_id = ?', "type IN ('income', 'expense')"];
+            const params = [userId];
+
+            if (accountId) {
+                // Archived accounts are included; their history can still be recategorized
+                if (!(await AccountManager.getAccount(databaseManager, userId, accountId))) {
+                    return this.sendError(res, 404, 'Account not found');
+                }
+                conditions.push('account_id = ?');
+                params.push(accountId);
+            }
+
+            if (startDate) {
+                conditions.push('transaction_date >= ?');
+                params.push(startDate);
+            }
+
+            if (endDate) {
+                conditions.push('transaction_date <= ?');
+                params.push(endDate);
+            }
+
+            const rules = await CategorizationRules.getActiveRules(databaseManager, userId);
+            if (rules.length === 0) {
+                return this.sendError(res, 400, 'There are no active categorization rules to apply');
+            }
+
+            const categories = await CategoryManager.getUsableNames(databaseManager, userId);
+
+            const rows = databaseManager.iterate(`
+                SELECT id, amount, type, category, description, tags, currency, transaction_date,
+                       EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id) AS has_splits
+                FROM transactions
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY transaction_date, id
+            `, params, config.export.batchSize);
+
+            let checked = 0;
+            let matched = 0;
+            const changes = [];
+
+            for await (const row of rows) {
+                checked++;
+
+                const match = CategorizationRules.apply(rules, row, categories);
+                if (match.rules.length === 0) {
+                    continue;
+                }
+                matched++;
+
+                // The category of a split transaction comes from its lines, so only tags are added
+                const category = (!row.has_splits && match.category) || row.category;
+                const currentTags = CategorizationRules.parseTags(row.tags);
+                const tags = CategorizationRules.mergeTags(currentTags, match.tags);
+
+                if (category !== row.category || tags.length !== currentTags.length) {
+                    changes.push({ row, category, tags, addedTags: tags.slice(currentTags.length), rules: match.rules });
+                }
+            }
+
+            // Write every change at once so a failure leaves nothing half-applied
+            if (!dryRun && changes.length > 0) {
+                await databaseManager.transaction(async () => {
+                    for (const change of changes) {
+                        await databaseManager.run(
+                            'UPDATE transactions SET category = ?, tags = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+                            [change.category, CategorizationRules.serializeTags(change.tags), change.row.id, userId]
+                        );
+                    }
+                });
+            }
+
+            if (!dryRun) {
+                // Log the re-run
+                await databaseManager.logAuditEvent(
+                    userId,
+                    AuditActions.CATEGORIZATION_RULES_APPLIED,
+                    `Re-ran categorization rules over ${checked} transactions: ${changes.length} changed`,
+                    req
+                );
+            }
+
+            const { previewLimit } = config.categorizationRules;
+
+            this.sendSuccess(res, 200, {
+                message: dryRun ? 'Categorization preview generated' : 'Categorization rules applied',
+                dryRun: !!dryRun,
+                summary: {
+                    checked,
+                    matched,
+                    changed: changes.length
+                },
+                changes: changes.slice(0, previewLimit).map(change => ({
+                    transactionId: change.row.id,
+                    date: change.row.transaction_date,
+                    description: change.row.description,
+                    amount: Money.toMajor(change.row.amount),
+                    currency: change.row.currency,
+                    type: change.row.type,
+                    previousCategory: change.row.category,
+                    category: change.category,
+                    addedTags: change.addedTags,
+                    rules: change.rules.map(rule => ({ id: rule.id, name: rule.name }))
+                })),
+                truncated: changes.length > previewLimit
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to apply categorization rules');
+        }
+    }
+
+    async findRule(databaseManager, userId, ruleId) {
+        return databaseManager.get(
+            'SELECT * FROM categorization_rules WHERE id = ? AND user_id = ?',
+            [ruleId, userId]
+        );
+    }
+
+    /**
+     * Shape a rule row for API responses (amounts as decimals)
+     */
+    formatRule(rule) {
+        return {
+            id: rule.id,
+            name: rule.name,
+            priority: rule.priority,
+            type: rule.type,
+            descriptionContains: rule.description_contains,
+            descriptionPattern: rule.description_pattern,
+            minAmount: rule.min_amount !== null ? Money.toMajor(rule.min_amount) : null,
+            maxAmount: rule.max_amount !== null ? Money.toMajor(rule.max_amount) : null,
+            category: rule.category,
+            tags: CategorizationRules.parseTags(rule.tags),
+            isActive: !!rule.is_active,
+            createdAt: rule.created_at,
+            updatedAt: rule.updated_at
+        };
+    }
+
+    /**
+     * Map validation errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new RuleRoutes();
@@ -5,6 +5,19 @@
 
 const Validators = require('../validators');
 const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const StatementParser = require('../statementParser');
+const StatementWriter = require('../statementWriter');
+const CurrencyConverter = require('../currencyConverter');
+const AccountManager = require('../accountManager');
+const CategoryManager = require('../categoryManager');
+const CategorizationRules = require('../categorizationRules');
+const Money = require('../money');
+const config = require('../config');
+const AuditActions = require('../auditActions');
+
+// Transfers are stored as a transfer_out and a transfer_in transaction sharing a transfer_id
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer_in', 'transfer_out'];
 
 class TransactionRoutes {
     async handle(req, res, context) {
@@ -24,6 +37,24 @@ class TransactionRoutes {
                         }
                         break;
 
+                    case '/transaction/transfer':
+                        if (method === 'POST') {
+                            return await this.createTransfer(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/transaction/import':
+                        if (method === 'POST') {
+                            return await this.importTransactions(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/transaction/export':
+                        if (method === 'GET') {
+                            return await this.exportTransactions(req, res, { databaseManager, parsedUrl });
+                        }
+                        break;
+
                     case '/transaction/summary':
                         if (method === 'GET') {
                             return await this.getTransactionSummary(req, res, { databaseManager, parsedUrl });
@@ -55,42 +86,77 @@ class TransactionRoutes {
     async createTransaction(req, res, { databaseManager }) {
         try {
             const userId = req.user.userId;
-            const { amount, type, category, description, transactionDate } = req.body;
+            const { amount, type, description, currency, transactionDate, accountId, tags, splits } = req.body;
+            let { category } = req.body;
 
-            // Validate transaction data
-            const transactionValidation = Validators.validateTransaction(amount, type, category, description);
+            const tagsValidation = Validators.validateTags(tags);
+            if (!tagsValidation.valid) {
+                return this.sendError(res, 400, tagsValidation.message);
+            }
+
+            // Without a category or split lines, the user's categorization rules pick the category and add tags
+            const categories = await CategoryManager.getUsableNames(databaseManager, userId);
+            let transactionTags = tagsValidation.sanitized;
+            let appliedRules = [];
+            if ((category === undefined || category === null || category === '') && !splits) {
+                const rules = await CategorizationRules.getActiveRules(databaseManager, userId);
+                const match = CategorizationRules.apply(rules, { type, amount: Money.toMinor(amount), description }, categories);
+                category = match.category;
+                transactionTags = CategorizationRules.mergeTags(transactionTags, match.tags);
+                appliedRules = match.rules;
+            }
+
+            // Validate transaction data and split lines against the user's categories
+            const transactionValidation = Validators.validateTransaction(amount, type, category, description, { currency, categories, splits });
             if (!transactionValidation.valid) {
                 return this.sendError(res, 400, transactionValidation.message);
             }
 
-            // Validate transaction date
-            const date = transactionDate ? new Date(transactionDate) : new Date();
+            const account = await AccountManager.requireAccount(databaseManager, userId, accountId);
+
+            // Validate transaction date (defaults to today in the user's timezone)
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const date = new Date(transactionDate || SettingsManager.getToday(preferences.timezone));
             if (isNaN(date.getTime())) {
                 return this.sendError(res, 400, 'Invalid transaction date');
             }
 
+            // Currency defaults to the account currency; others need a stored rate for the totals and balance
+            const transactionCurrency = transactionValidation.sanitized.currency || account.currency;
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            if (!CurrencyConverter.canConvertToAll(transactionCurrency, [preferences.currency, account.currency], rates)) {
+                return this.sendError(res, 400, `No exchange rate available for ${transactionCurrency}`);
+            }
+
             // Generate transaction ID
             const transactionId = Validators.generateSecureId();
 
-            // Create transaction
-            await databaseManager.run(`
-                INSERT INTO transactions (id, user_id, amount, type, category, description, transaction_date)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [
-                transactionId,
-                userId,
-                transactionValidation.sanitized.amount,
-                transactionValidation.sanitized.type,
-                transactionValidation.sanitized.category,
-                transactionValidation.sanitized.description,
-                date.toISOString().split('T')[0]
-            ]);
+            // Create transaction with its split lines
+            await databaseManager.transaction(async () => {
+                await databaseManager.run(`
+                    INSERT INTO transactions (id, user_id, account_id, amount, type, category, description, currency, transaction_date, tags)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    transactionId,
+                    userId,
+                    account.id,
+                    transactionValidation.sanitized.amount,
+                    transactionValidation.sanitized.type,
+                    transactionValidation.sanitized.category,
+                    transactionValidation.sanitized.description,
+                    transactionCurrency,
+                    date.toISOString().split('T')[0],
+                    CategorizationRules.serializeTags(transactionTags)
+                ]);
+
+                await this.saveSplits(databaseManager, userId, transactionId, transactionValidation.sanitized.splits);
+            });
 
             // Log transaction creation
             await databaseManager.logAuditEvent(
                 userId,
-                'TRANSACTION_CREATED',
-                `Created ${type} transaction: ${amount} in ${category}`,
+                AuditActions.TRANSACTION_CREATED,
+                `Created ${type} transaction: ${Money.format(transactionValidation.sanitized.amount)} ${transactionCurrency} in ${transactionValidation.sanitized.category}`,
                 req
             );
 
@@ -98,24 +164,28 @@ class TransactionRoutes {
                 message: 'Transaction created successfully',
                 transaction: {
                     id: transactionId,
-                    amount: transactionValidation.sanitized.amount,
+                    accountId: account.id,
+                    amount: Money.toMajor(transactionValidation.sanitized.amount),
+                    currency: transactionCurrency,
                     type: transactionValidation.sanitized.type,
                     category: transactionValidation.sanitized.category,
                     description: transactionValidation.sanitized.description,
+                    tags: transactionTags,
+                    splits: this.formatSplits(transactionValidation.sanitized.splits),
                     date: date.toISOString().split('T')[0]
-                }
+                },
+                appliedRules: appliedRules.map(rule => ({ id: rule.id, name: rule.name }))
             });
 
         } catch (error) {
-            ErrorHandler.logError(error, req);
-            return this.sendError(res, 500, 'Failed to create transaction');
+            return this.handleError(error, req, res, 'Failed to create transaction');
         }
     }
 
     async getTransactions(req, res, { databaseManager, parsedUrl }) {
         try {
             const userId = req.user.userId;
-            const { page = 1, limit = 20, type, category, startDate, endDate } = parsedUrl.query;
+            const { page = 1, limit = 20, type, category, tag, currency, accountId, startDate, endDate } = parsedUrl.query;
 
             // Validate pagination
             const pageNum = parseInt(page);
@@ -123,63 +193,20 @@ class TransactionRoutes {
             const offset = (pageNum - 1) * limitNum;
 
             // Build query
-            let query = `
-                SELECT id, amount, type, category, description, transaction_date, created_at
+            const filters = this.buildTransactionFilters(userId, { type, category, tag, currency, accountId, startDate, endDate });
+            const query = `
+                SELECT id, account_id, transfer_id, amount, type, category, description, tags, currency, transaction_date, created_at
                 FROM transactions 
-                WHERE user_id = ?
+                WHERE ${filters.where}
+                ORDER BY transaction_date DESC, created_at DESC LIMIT ? OFFSET ?
             `;
-            const params = [userId];
 
-            // Add filters
-            if (type && ['income', 'expense'].includes(type)) {
-                query += ' AND type = ?';
-                params.push(type);
-            }
-
-            if (category) {
-                query += ' AND category = ?';
-                params.push(category);
-            }
-
-            if (startDate) {
-                query += ' AND transaction_date >= ?';
-                params.push(startDate);
-            }
-
-            if (endDate) {
-                query += ' AND transaction_date <= ?';
-                params.push(endDate);
-            }
-
-            // Add ordering and pagination
-            query += ' ORDER BY transaction_date DESC, created_at DESC LIMIT ? OFFSET ?';
-            params.push(limitNum, offset);
-
-            const transactions = await databaseManager.all(query, params);
+            const transactions = await databaseManager.all(query, [...filters.params, limitNum, offset]);
+            const splits = await this.loadSplits(databaseManager, transactions.map(t => t.id));
 
             // Get total count for pagination
-            let countQuery = 'SELECT COUNT(*) as total FROM transactions WHERE user_id = ?';
-            const countParams = [userId];
-
-            if (type && ['income', 'expense'].includes(type)) {
-                countQuery += ' AND type = ?';
-                countParams.push(type);
-            }
-
-            if (category) {
-                countQuery += ' AND category = ?';
-                countParams.push(category);
-            }
-
-            if (startDate) {
-                countQuery += ' AND transaction_date >= ?';
-                countParams.push(startDate);
-            }
-
-            if (endDate) {
-                countQuery += ' AND transaction_date <= ?';
-                countParams.push(endDate);
-            }
+            const countQuery = `SELECT COUNT(*) as total FROM transactions WHERE ${filters.where}`;
+            const countParams = filters.params;
 
             const countResult = await databaseManager.get(countQuery, countParams);
             const total = countResult.total;
@@ -187,10 +214,15 @@ class TransactionRoutes {
             this.sendSuccess(res, 200, {
                 transactions: transactions.map(t => ({
                     id: t.id,
-                    amount: parseFloat(t.amount.toFixed(2)),
+                    accountId: t.account_id,
+                    transferId: t.transfer_id,
+                    amount: Money.toMajor(t.amount),
+                    currency: t.currency,
                     type: t.type,
                     category: t.category,
                     description: t.description,
+                    tags: CategorizationRules.parseTags(t.tags),
+                    splits: this.formatSplits(splits.get(t.id)),
                     date: t.transaction_date,
                     createdAt: t.created_at
                 })),
@@ -208,12 +240,168 @@ class TransactionRoutes {
         }
     }
 
+    async exportTransactions(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const userId = req.user.userId;
+            const { format = 'csv', type, category, tag, currency, accountId, startDate, endDate } = parsedUrl.query;
+
+            if (!config.export.formats.includes(format)) {
+                return this.sendError(res, 400, `Format must be one of: ${config.export.formats.join(', ')}`);
+            }
+
+            if (type && !TRANSACTION_TYPES.includes(type)) {
+                return this.sendError(res, 400, `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+            }
+
+            if ((startDate && !Validators.isValidDateString(startDate)) || (endDate && !Validators.isValidDateString(endDate))) {
+                return this.sendError(res, 400, 'Dates must be valid dates (YYYY-MM-DD)');
+            }
+
+            if (startDate && endDate && startDate > endDate) {
+                return this.sendError(res, 400, 'Start date must be before end date');
+            }
+
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const filters = this.buildTransactionFilters(userId, { type, category, tag, currency, accountId, startDate, endDate });
+            const writer = new StatementWriter(format, {
+                currency: preferences.currency,
+                rates: await CurrencyConverter.getRates(databaseManager),
+                startDate,
+                endDate
+            });
+
+            // Same order as the list endpoint; id keeps batches stable when timestamps tie
+            const rows = databaseManager.iterate(`
+                SELECT id, amount, type, category, description, currency, transaction_date, created_at
+                FROM transactions
+                WHERE ${filters.where}
+                ORDER BY transaction_date DESC, created_at DESC, id ASC
+            `, filters.params, config.export.batchSize);
+
+            const today = SettingsManager.getToday(preferences.timezone);
+            res.writeHead(200, {
+                'Content-Type': writer.contentType,
+                'Content-Disposition': `attachment; filename="transactions-${today}.${writer.extension}"`,
+                'Cache-Control': 'no-store'
+            });
+
+            // Stop reading from the database if the client goes away
+            let aborted = false;
+            res.on('close', () => {
+                aborted = !res.writableFinished;
+            });
+
+            let count = 0;
+            try {
+                await this.writeChunk(res, writer.header());
+
+                for await (const row of rows) {
+                    if (aborted) {
+                        break;
+                    }
+                    await this.writeChunk(res, writer.row(row, count));
+                    count++;
+                }
+
+                if (!aborted) {
+                    res.end(writer.footer());
+                }
+            } catch (error) {
+                // Headers are already sent, so the only option left is to cut the download short
+                ErrorHandler.logError(error, req);
+                res.destroy(error);
+                return;
+            }
+
+            if (!aborted) {
+                // Log the export
+                await databaseManager.logAuditEvent(
+                    userId,
+                    AuditActions.TRANSACTIONS_EXPORTED,
+                    `Exported ${count} transactions as ${format.toUpperCase()}`,
+                    req
+                );
+            }
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            return this.sendError(res, 500, 'Failed to export transactions');
+        }
+    }
+
+    /**
+     * Write a chunk, waiting for the socket to drain when its buffer is full
+     */
+    async writeChunk(res, chunk) {
+        if (!res.write(chunk)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        }
+    }
+
+    /**
+     * Build the WHERE clause shared by the list, count and export queries
+     */
+    buildTransactionFilters(userId, { type, category, tag, currency, accountId, startDate, endDate }) {
+        const conditions = ['user_id = ?'];
+        const params = [userId];
+
+        if (type && TRANSACTION_TYPES.includes(type)) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+
+        if (accountId) {
+            conditions.push('account_id = ?');
+            params.push(accountId);
+        }
+
+        // A split transaction matches the category of any of its lines
+        if (category) {
+            conditions.push('(category = ? OR EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id AND s.category = ?))');
+            params.push(category, category);
+        }
+
+        if (tag) {
+            conditions.push('EXISTS (SELECT 1 FROM json_each(transactions.tags) WHERE value = ? COLLATE NOCASE)');
+            params.push(tag);
+        }
+
+        if (currency) {
+            conditions.push('currency = ?');
+            params.push(currency.toUpperCase());
+        }
+
+        if (startDate) {
+            conditions.push('transaction_date >= ?');
+            params.push(startDate);
+        }
+
+        if (endDate) {
+            conditions.push('transaction_date <= ?');
+            params.push(endDate);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
     async getTransaction(req, res, { databaseManager, transactionId }) {
         try {
             const userId = req.user.userId;
 
             const transaction = await databaseManager.get(`
-                SELECT id, amount, type, category, description, transaction_date, created_at, updated_at
+                SELECT id, account_id, transfer_id, amount, type, category, description, tags, currency, transaction_date, created_at, updated_at
                 FROM transactions 
                 WHERE id = ? AND user_id = ?
             `, [transactionId, userId]);
@@ -222,13 +410,20 @@ class TransactionRoutes {
                 return this.sendError(res, 404, 'Transaction not found');
             }
 
+            const splits = await this.loadSplits(databaseManager, [transactionId]);
+
             this.sendSuccess(res, 200, {
                 transaction: {
                     id: transaction.id,
-                    amount: parseFloat(transaction.amount.toFixed(2)),
+                    accountId: transaction.account_id,
+                    transferId: transaction.transfer_id,
+                    amount: Money.toMajor(transaction.amount),
+                    currency: transaction.currency,
                     type: transaction.type,
                     category: transaction.category,
                     description: transaction.description,
+                    tags: CategorizationRules.parseTags(transaction.tags),
+                    splits: this.formatSplits(splits.get(transactionId)),
                     date: transaction.transaction_date,
                     createdAt: transaction.created_at,
                     updatedAt: transaction.updated_at
@@ -244,48 +439,90 @@ class TransactionRoutes {
     async updateTransaction(req, res, { databaseManager, transactionId }) {
         try {
             const userId = req.user.userId;
-            const { amount, type, category, description, transactionDate } = req.body;
+            const { amount, type, category, description, currency, transactionDate, accountId, tags, splits } = req.body;
 
             // Check if transaction exists and belongs to user
             const existingTransaction = await databaseManager.get(`
-                SELECT id FROM transactions WHERE id = ? AND user_id = ?
+                SELECT id, account_id, transfer_id, type, category, tags, currency FROM transactions WHERE id = ? AND user_id = ?
             `, [transactionId, userId]);
 
             if (!existingTransaction) {
                 return this.sendError(res, 404, 'Transaction not found');
             }
 
-            // Validate transaction data
-            const transactionValidation = Validators.validateTransaction(amount, type, category, description);
+            if (existingTransaction.transfer_id) {
+                return this.sendError(res, 409, 'Transfers cannot be edited; delete the transfer and create a new one');
+            }
+
+            // Split lines are kept unless new ones are given; an empty list removes them
+            const existingSplits = (await this.loadSplits(databaseManager, [transactionId])).get(transactionId) || [];
+            const splitLines = splits === undefined
+                ? (existingSplits.length > 0 ? this.formatSplits(existingSplits) : null)
+                : (Array.isArray(splits) && splits.length === 0 ? null : splits);
+
+            // Validate transaction data; the current categories stay valid even if they were archived
+            const currentCategories = [existingTransaction, ...existingSplits].map(line => ({
+                type: existingTransaction.type,
+                name: line.category
+            }));
+            const categories = await CategoryManager.getUsableNames(databaseManager, userId, currentCategories);
+            const transactionValidation = Validators.validateTransaction(amount, type, category, description, { currency, categories, splits: splitLines });
             if (!transactionValidation.valid) {
                 return this.sendError(res, 400, transactionValidation.message);
             }
 
-            // Validate transaction date
-            const date = transactionDate ? new Date(transactionDate) : new Date();
+            // Tags are kept unless new ones are given
+            const tagsValidation = Validators.validateTags(tags);
+            if (!tagsValidation.valid) {
+                return this.sendError(res, 400, tagsValidation.message);
+            }
+            const transactionTags = tags === undefined ? CategorizationRules.parseTags(existingTransaction.tags) : tagsValidation.sanitized;
+
+            // Validate transaction date (defaults to today in the user's timezone)
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const date = new Date(transactionDate || SettingsManager.getToday(preferences.timezone));
             if (isNaN(date.getTime())) {
                 return this.sendError(res, 400, 'Invalid transaction date');
             }
 
-            // Update transaction
-            await databaseManager.run(`
-                UPDATE transactions 
-                SET amount = ?, type = ?, category = ?, description = ?, transaction_date = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ? AND user_id = ?
-            `, [
-                transactionValidation.sanitized.amount,
-                transactionValidation.sanitized.type,
-                transactionValidation.sanitized.category,
-                transactionValidation.sanitized.description,
-                date.toISOString().split('T')[0],
-                transactionId,
-                userId
-            ]);
+            // Keep the stored account unless another one is given
+            const account = accountId && accountId !== existingTransaction.account_id
+                ? await AccountManager.requireAccount(databaseManager, userId, accountId)
+                : await AccountManager.getAccount(databaseManager, userId, existingTransaction.account_id);
+
+            // Keep the stored currency unless a new one is given
+            const transactionCurrency = transactionValidation.sanitized.currency || existingTransaction.currency;
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            if (!CurrencyConverter.canConvertToAll(transactionCurrency, [preferences.currency, account.currency], rates)) {
+                return this.sendError(res, 400, `No exchange rate available for ${transactionCurrency}`);
+            }
+
+            // Update transaction and replace its split lines
+            await databaseManager.transaction(async () => {
+                await databaseManager.run(`
+                    UPDATE transactions 
+                    SET account_id = ?, amount = ?, type = ?, category = ?, description = ?, currency = ?, transaction_date = ?, tags = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND user_id = ?
+                `, [
+                    account.id,
+                    transactionValidation.sanitized.amount,
+                    transactionValidation.sanitized.type,
+                    transactionValidation.sanitized.category,
+                    transactionValidation.sanitized.description,
+                    transactionCurrency,
+                    date.toISOString().split('T')[0],
+                    CategorizationRules.serializeTags(transactionTags),
+                    transactionId,
+                    userId
+                ]);
+
+                await this.saveSplits(databaseManager, userId, transactionId, transactionValidation.sanitized.splits);
+            });
 
             // Log transaction update
             await databaseManager.logAuditEvent(
                 userId,
-                'TRANSACTION_UPDATED',
+                AuditActions.TRANSACTION_UPDATED,
                 `Updated transaction ${transactionId}`,
                 req
             );
@@ -294,17 +531,20 @@ class TransactionRoutes {
                 message: 'Transaction updated successfully',
                 transaction: {
                     id: transactionId,
-                    amount: transactionValidation.sanitized.amount,
+                    accountId: account.id,
+                    amount: Money.toMajor(transactionValidation.sanitized.amount),
+                    currency: transactionCurrency,
                     type: transactionValidation.sanitized.type,
                     category: transactionValidation.sanitized.category,
                     description: transactionValidation.sanitized.description,
+                    tags: transactionTags,
+                    splits: this.formatSplits(transactionValidation.sanitized.splits),
                     date: date.toISOString().split('T')[0]
                 }
             });
 
         } catch (error) {
-            ErrorHandler.logError(error, req);
-            return this.sendError(res, 500, 'Failed to update transaction');
+            return this.handleError(error, req, res, 'Failed to update transaction');
         }
     }
 
@@ -314,13 +554,18 @@ class TransactionRoutes {
 
             // Check if transaction exists and belongs to user
             const existingTransaction = await databaseManager.get(`
-                SELECT id, amount, type, category FROM transactions WHERE id = ? AND user_id = ?
+                SELECT id, transfer_id, amount, type, category FROM transactions WHERE id = ? AND user_id = ?
             `, [transactionId, userId]);
 
             if (!existingTransaction) {
                 return this.sendError(res, 404, 'Transaction not found');
             }
 
+            // Either side of a transfer deletes the whole transfer
+            if (existingTransaction.transfer_id) {
+                return await this.deleteTransfer(req, res, { databaseManager, transferId: existingTransaction.transfer_id });
+            }
+
             // Delete transaction
             await databaseManager.run(`
                 DELETE FROM transactions WHERE id = ? AND user_id = ?
@@ -329,8 +574,8 @@ class TransactionRoutes {
             // Log transaction deletion
             await databaseManager.logAuditEvent(
                 userId,
-                'TRANSACTION_DELETED',
-                `Deleted ${existingTransaction.type} transaction: ${existingTransaction.amount} in ${existingTransaction.category}`,
+                AuditActions.TRANSACTION_DELETED,
+                `Deleted ${existingTransaction.type} transaction: ${Money.format(existingTransaction.amount)} in ${existingTransaction.category}`,
                 req
             );
 
@@ -344,6 +589,362 @@ class TransactionRoutes {
         }
     }
 
+    /**
+     * Move money between two of the user's accounts: a transfer_out from the source and a
+     * transfer_in to the destination, written together. Between currencies the credited
+     * amount is `toAmount`, or the amount converted at the stored rates.
+     */
+    async createTransfer(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { fromAccountId, toAccountId, amount, toAmount, description } = req.body;
+
+            // Date defaults to today in the user's timezone
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const date = req.body.date || SettingsManager.getToday(preferences.timezone);
+
+            const transferValidation = Validators.validateTransfer(fromAccountId, toAccountId, amount, toAmount, date, description);
+            if (!transferValidation.valid) {
+                return this.sendError(res, 400, transferValidation.message);
+            }
+
+            const transfer = transferValidation.sanitized;
+            const fromAccount = await AccountManager.requireAccount(databaseManager, userId, fromAccountId);
+            const toAccount = await AccountManager.requireAccount(databaseManager, userId, toAccountId);
+
+            let creditedAmount = transfer.toAmount;
+            if (fromAccount.currency === toAccount.currency) {
+                if (creditedAmount !== null && creditedAmount !== transfer.amount) {
+                    return this.sendError(res, 400, 'Destination amount can only differ between accounts in different currencies');
+                }
+                creditedAmount = transfer.amount;
+            } else if (creditedAmount === null) {
+                const rates = await CurrencyConverter.getRates(databaseManager);
+                creditedAmount = CurrencyConverter.convert(transfer.amount, fromAccount.currency, toAccount.currency, rates);
+            }
+
+            const transferId = Validators.generateSecureId();
+            const legs = [
+                { id: Validators.generateSecureId(), account: fromAccount, type: 'transfer_out', amount: transfer.amount },
+                { id: Validators.generateSecureId(), account: toAccount, type: 'transfer_in', amount: creditedAmount }
+            ];
+
+            // Both sides or neither
+            await databaseManager.transaction(async () => {
+                for (const leg of legs) {
+                    await databaseManager.run(`
+                        INSERT INTO transactions (id, user_id, account_id, transfer_id, amount, type, category, description, currency, transaction_date)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        leg.id,
+                        userId,
+                        leg.account.id,
+                        transferId,
+                        leg.amount,
+                        leg.type,
+                        config.accounts.transferCategory,
+                        transfer.description,
+                        leg.account.currency,
+                        transfer.date
+                    ]);
+                }
+            });
+
+            // Log the transfer
+            await databaseManager.logAuditEvent(
+                userId,
+                AuditActions.TRANSFER_CREATED,
+                `Transferred ${Money.format(transfer.amount)} ${fromAccount.currency} from ${fromAccount.name} to ${toAccount.name}`,
+                req
+            );
+
+            this.sendSuccess(res, 201, {
+                message: 'Transfer created successfully',
+                transfer: {
+                    id: transferId,
+                    fromAccountId: fromAccount.id,
+                    toAccountId: toAccount.id,
+                    amount: Money.toMajor(transfer.amount),
+                    currency: fromAccount.currency,
+                    toAmount: Money.toMajor(creditedAmount),
+                    toCurrency: toAccount.currency,
+                    description: transfer.description,
+                    date: transfer.date,
+                    transactionIds: legs.map(leg => leg.id)
+                }
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to create transfer');
+        }
+    }
+
+    async deleteTransfer(req, res, { databaseManager, transferId }) {
+        const userId = req.user.userId;
+
+        const legs = await databaseManager.all(`
+            SELECT t.id, t.amount, t.type, t.currency, a.name AS account_name
+            FROM transactions t
+            JOIN accounts a ON a.id = t.account_id
+            WHERE t.transfer_id = ? AND t.user_id = ?
+        `, [transferId, userId]);
+
+        // One statement removes both sides
+        await databaseManager.run(
+            'DELETE FROM transactions WHERE transfer_id = ? AND user_id = ?',
+            [transferId, userId]
+        );
+
+        const outgoing = legs.find(leg => leg.type === 'transfer_out');
+        const incoming = legs.find(leg => leg.type === 'transfer_in');
+
+        // Log transfer deletion
+        await databaseManager.logAuditEvent(
+            userId,
+            AuditActions.TRANSFER_DELETED,
+            outgoing && incoming
+                ? `Deleted transfer of ${Money.format(outgoing.amount)} ${outgoing.currency} from ${outgoing.account_name} to ${incoming.account_name}`
+                : `Deleted transfer ${transferId}`,
+            req
+        );
+
+        this.sendSuccess(res, 200, {
+            message: 'Transfer deleted successfully',
+            deletedTransactionIds: legs.map(leg => leg.id)
+        });
+    }
+
+    async importTransactions(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { format, content, mapping, delimiter, decimalSeparator, dateFormat, hasHeader, defaultCategory, currency, accountId, dryRun } = req.body;
+
+            if (!config.import.formats.includes(format)) {
+                return this.sendError(res, 400, `Format must be one of: ${config.import.formats.join(', ')}`);
+            }
+
+            if (!content || typeof content !== 'string') {
+                return this.sendError(res, 400, 'Statement content is required');
+            }
+
+            if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+                return this.sendError(res, 400, 'Mapping must be an object of field to column');
+            }
+
+            if (decimalSeparator !== undefined && ![',', '.'].includes(decimalSeparator)) {
+                return this.sendError(res, 400, 'Decimal separator must be "," or "."');
+            }
+
+            // A statement belongs to one account
+            const account = await AccountManager.requireAccount(databaseManager, userId, accountId);
+
+            // Parse the statement into rows
+            let parsedRows;
+            try {
+                parsedRows = StatementParser.parse(format, content, {
+                    mapping,
+                    delimiter,
+                    decimalSeparator,
+                    dateFormat,
+                    hasHeader,
+                    defaultCategory
+                });
+            } catch (error) {
+                return this.sendError(res, 400, error.message);
+            }
+
+            if (parsedRows.length === 0) {
+                return this.sendError(res, 400, 'Statement contains no transactions');
+            }
+
+            if (parsedRows.length > config.import.maxRows) {
+                return this.sendError(res, 400, `Statement cannot contain more than ${config.import.maxRows} transactions`);
+            }
+
+            // Rows without their own currency use the statement currency, then the account currency
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            const statementCurrency = currency || account.currency;
+            const categories = await CategoryManager.getUsableNames(databaseManager, userId);
+            const rules = await CategorizationRules.getActiveRules(databaseManager, userId);
+
+            // Validate every row like a manually entered transaction
+            const report = parsedRows.map(row => {
+                if (row.error) {
+                    return { line: row.line, status: 'rejected', message: row.error };
+                }
+
+                // Rows without a category in the statement go through the categorization rules first
+                let category = row.data.category;
+                let tags = [];
+                if (!row.data.hasCategory) {
+                    const match = CategorizationRules.apply(rules, { ...row.data, amount: Money.toMinor(row.data.amount) }, categories);
+                    category = match.category || category;
+                    tags = match.tags;
+                }
+
+                const validation = Validators.validateTransaction(
+                    row.data.amount,
+                    row.data.type,
+                    category,
+                    row.data.description,
+                    { currency: row.data.currency || statementCurrency, categories }
+                );
+                if (!validation.valid) {
+                    return { line: row.line, status: 'rejected', message: validation.message };
+                }
+
+                if (!CurrencyConverter.canConvertToAll(validation.sanitized.currency, [preferences.currency, account.currency], rates)) {
+                    return { line: row.line, status: 'rejected', message: `No exchange rate available for ${validation.sanitized.currency}` };
+                }
+
+                return {
+                    line: row.line,
+                    status: 'accepted',
+                    transaction: { ...validation.sanitized, tags, date: row.data.date }
+                };
+            });
+
+            // Count transactions that already exist in the account so a re-imported statement is skipped,
+            // while identical lines within one statement (two equal payments on a day) are kept
+            const accepted = report.filter(r => r.status === 'accepted');
+            if (accepted.length > 0) {
+                const dates = accepted.map(r => r.transaction.date).sort();
+                const existing = await databaseManager.all(`
+                    SELECT amount, type, description, currency, transaction_date
+                    FROM transactions
+                    WHERE user_id = ? AND account_id = ? AND transaction_date >= ? AND transaction_date <= ?
+                `, [userId, account.id, dates[0], dates[dates.length - 1]]);
+
+                const available = new Map();
+                for (const t of existing) {
+                    const key = this.getDuplicateKey(t.transaction_date, t.type, t.amount, t.currency, t.description);
+                    available.set(key, (available.get(key) || 0) + 1);
+                }
+
+                for (const row of accepted) {
+                    const t = row.transaction;
+                    const key = this.getDuplicateKey(t.date, t.type, t.amount, t.currency, t.description);
+                    if (available.get(key) > 0) {
+                        available.set(key, available.get(key) - 1);
+                        row.status = 'duplicate';
+                        row.message = 'Transaction already exists';
+                    }
+                }
+            }
+
+            const toInsert = report.filter(r => r.status === 'accepted');
+
+            // Insert all accepted rows at once so a failure leaves nothing half-imported
+            if (!dryRun && toInsert.length > 0) {
+                await databaseManager.transaction(async () => {
+                    for (const row of toInsert) {
+                        row.transactionId = Validators.generateSecureId();
+                        await databaseManager.run(`
+                            INSERT INTO transactions (id, user_id, account_id, amount, type, category, description, currency, transaction_date, tags)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        `, [
+                            row.transactionId,
+                            userId,
+                            account.id,
+                            row.transaction.amount,
+                            row.transaction.type,
+                            row.transaction.category,
+                            row.transaction.description,
+                            row.transaction.currency,
+                            row.transaction.date,
+                            CategorizationRules.serializeTags(row.transaction.tags)
+                        ]);
+                    }
+                });
+            }
+
+            const summary = {
+                total: report.length,
+                accepted: toInsert.length,
+                rejected: report.filter(r => r.status === 'rejected').length,
+                duplicates: report.filter(r => r.status === 'duplicate').length
+            };
+
+            if (!dryRun) {
+                // Log the import
+                await databaseManager.logAuditEvent(
+                    userId,
+                    AuditActions.TRANSACTIONS_IMPORTED,
+                    `Imported ${format.toUpperCase()} statement into ${account.name}: ${summary.accepted} accepted, ${summary.rejected} rejected, ${summary.duplicates} duplicates`,
+                    req
+                );
+            }
+
+            this.sendSuccess(res, dryRun ? 200 : 201, {
+                message: dryRun ? 'Import preview generated' : 'Import completed',
+                dryRun: !!dryRun,
+                summary,
+                rows: report.map(row => (row.transaction
+                    ? { ...row, transaction: { ...row.transaction, amount: Money.toMajor(row.transaction.amount) } }
+                    : row))
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to import transactions');
+        }
+    }
+
+    /**
+     * Split lines of the given transactions, by transaction id
+     */
+    async loadSplits(databaseManager, transactionIds) {
+        const splits = new Map();
+        if (transactionIds.length === 0) {
+            return splits;
+        }
+
+        const rows = await databaseManager.all(`
+            SELECT transaction_id, category, amount, description
+            FROM transaction_splits
+            WHERE transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+            ORDER BY position
+        `, transactionIds);
+
+        for (const row of rows) {
+            if (!splits.has(row.transaction_id)) {
+                splits.set(row.transaction_id, []);
+            }
+            splits.get(row.transaction_id).push(row);
+        }
+
+        return splits;
+    }
+
+    /**
+     * Replace the split lines of a transaction (no lines removes the split)
+     */
+    async saveSplits(databaseManager, userId, transactionId, splits) {
+        await databaseManager.run('DELETE FROM transaction_splits WHERE transaction_id = ?', [transactionId]);
+
+        for (const [position, line] of (splits || []).entries()) {
+            await databaseManager.run(`
+                INSERT INTO transaction_splits (id, transaction_id, user_id, category, amount, description, position)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [Validators.generateSecureId(), transactionId, userId, line.category, line.amount, line.description, position]);
+        }
+    }
+
+    /**
+     * Shape split lines for API responses (amounts as decimals)
+     */
+    formatSplits(splits) {
+        return (splits || []).map(line => ({
+            category: line.category,
+            amount: Money.toMajor(line.amount),
+            description: line.description
+        }));
+    }
+
+    getDuplicateKey(date, type, amount, currency, description) {
+        return [date, type, amount, currency, (description || '').trim().toLowerCase()].join('|');
+    }
+
     async getTransactionSummary(req, res, { databaseManager, parsedUrl }) {
         try {
             const userId = req.user.userId;
@@ -358,66 +959,128 @@ class TransactionRoutes {
             }
 
             // Build query
-            let query = `
-                SELECT 
-                    ${groupBy === 'category' ? 'category' : 'DATE(transaction_date) as date'},
-                    type,
-                    COUNT(*) as count,
-                    SUM(amount) as total
-                FROM transactions 
-                WHERE user_id = ?
-            `;
+            const groupField = groupBy === 'category' ? 'category' : 'date';
+            let where = "user_id = ? AND type IN ('income', 'expense')";
             const params = [userId];
 
             if (startDate) {
-                query += ' AND transaction_date >= ?';
+                where += ' AND transaction_date >= ?';
                 params.push(startDate);
             }
 
             if (endDate) {
-                query += ' AND transaction_date <= ?';
+                where += ' AND transaction_date <= ?';
                 params.push(endDate);
             }
 
-            query += ` GROUP BY ${groupBy === 'category' ? 'category, type' : 'DATE(transaction_date), type'}`;
-            query += ' ORDER BY total DESC';
+            // By category, a split transaction counts once per line, under the line's category
+            const source = groupBy === 'category'
+                ? `(SELECT t.user_id, t.type, t.currency, t.transaction_date,
+                           COALESCE(s.category, t.category) AS category, COALESCE(s.amount, t.amount) AS amount
+                    FROM transactions t
+                    LEFT JOIN transaction_splits s ON s.transaction_id = t.id)`
+                : 'transactions';
+
+            const rows = await databaseManager.all(`
+                SELECT 
+                    ${groupBy === 'category' ? 'category' : 'DATE(transaction_date) as date'},
+                    type,
+                    currency,
+                    COUNT(*) as count,
+                    SUM(amount) as total
+                FROM ${source}
+                WHERE ${where}
+                GROUP BY ${groupBy === 'category' ? 'category, type' : 'DATE(transaction_date), type'}, currency
+            `, params);
+
+            // Transaction counts for the totals (split lines would count a transaction more than once)
+            const counts = await databaseManager.all(
+                `SELECT type, COUNT(*) AS count FROM transactions WHERE ${where} GROUP BY type`,
+                params
+            );
+
+            // Convert every currency group to the user's currency and merge them;
+            // subcategories roll up into their parent category
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            const parentMap = groupBy === 'category' ? await CategoryManager.getParentMap(databaseManager, userId) : new Map();
+            const groups = new Map();
+            for (const row of rows) {
+                const value = groupBy === 'category' ? CategoryManager.rollup(parentMap, row.type, row.category) : row.date;
+                const key = `${value}|${row.type}`;
+                const group = groups.get(key) || { [groupField]: value, type: row.type, count: 0, total: 0, subcategories: new Map() };
+                const total = CurrencyConverter.convert(row.total, row.currency, preferences.currency, rates);
+                group.count += row.count;
+                group.total += total;
+
+                if (groupBy === 'category' && row.category !== value) {
+                    const subcategory = group.subcategories.get(row.category) || { category: row.category, count: 0, total: 0 };
+                    subcategory.count += row.count;
+                    subcategory.total += total;
+                    group.subcategories.set(row.category, subcategory);
+                }
 
-            const summary = await databaseManager.all(query, params);
+                groups.set(key, group);
+            }
+            const summary = [...groups.values()].sort((a, b) => b.total - a.total);
 
             // Calculate totals
             const totals = summary.reduce((acc, item) => {
                 if (item.type === 'income') {
                     acc.totalIncome += item.total;
-                    acc.incomeCount += item.count;
                 } else {
                     acc.totalExpenses += item.total;
-                    acc.expenseCount += item.count;
                 }
                 return acc;
-            }, { totalIncome: 0, totalExpenses: 0, incomeCount: 0, expenseCount: 0 });
+            }, { totalIncome: 0, totalExpenses: 0 });
+
+            const countOf = type => (counts.find(row => row.type === type) || { count: 0 }).count;
+            totals.incomeCount = countOf('income');
+            totals.expenseCount = countOf('expense');
 
             this.sendSuccess(res, 200, {
+                currency: preferences.currency,
                 summary: summary.map(item => ({
-                    [groupBy === 'category' ? 'category' : 'date']: item[groupBy === 'category' ? 'category' : 'date'],
+                    [groupField]: item[groupField],
                     type: item.type,
                     count: item.count,
-                    total: parseFloat(item.total.toFixed(2))
+                    total: Money.toMajor(item.total),
+                    ...(groupBy === 'category' && {
+                        subcategories: [...item.subcategories.values()]
+                            .sort((a, b) => b.total - a.total)
+                            .map(sub => ({ category: sub.category, count: sub.count, total: Money.toMajor(sub.total) }))
+                    })
                 })),
                 totals: {
-                    totalIncome: parseFloat(totals.totalIncome.toFixed(2)),
-                    totalExpenses: parseFloat(totals.totalExpenses.toFixed(2)),
+                    totalIncome: Money.toMajor(totals.totalIncome),
+                    totalExpenses: Money.toMajor(totals.totalExpenses),
                     incomeCount: totals.incomeCount,
                     expenseCount: totals.expenseCount,
-                    netAmount: parseFloat((totals.totalIncome - totals.totalExpenses).toFixed(2))
+                    netAmount: Money.toMajor(totals.totalIncome - totals.totalExpenses)
                 }
             });
 
         } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
             ErrorHandler.logError(error, req);
             return this.sendError(res, 500, 'Failed to get transaction summary');
         }
     }
 
+    /**
+     * Map validation, missing account and missing exchange rate errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
     sendSuccess(res, statusCode, data) {
         res.writeHead(statusCode, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
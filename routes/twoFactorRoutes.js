@@ -0,0 +1,290 @@
+/**
+ * Two-Factor Authentication Routes Handler
+ * Enrollment, status, recovery codes and disabling of TOTP two-factor authentication
+ */
+
+const bcrypt = require('bcrypt');
+const ErrorHandler = require('../errorHandler');
+const TwoFactor = require('../twoFactor');
+const AuditActions = require('../auditActions');
+
+class TwoFactorRoutes {
+    async handle(req, res, context) {
+        const { authMiddleware, databaseManager, parsedUrl } = context;
+        const pathname = parsedUrl.pathname;
+        const method = req.method.toUpperCase();
+
+        try {
+            // Require authentication for all 2FA routes
+            authMiddleware.requireAuth(req, res, async () => {
+                switch (pathname) {
+                    case '/auth/2fa':
+                        if (method === 'GET') {
+                            return await this.getStatus(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/auth/2fa/setup':
+                        if (method === 'POST') {
+                            return await this.setup(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/auth/2fa/verify':
+                        if (method === 'POST') {
+                            return await this.verify(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/auth/2fa/disable':
+                        if (method === 'POST') {
+                            return await this.disable(req, res, { databaseManager });
+                        }
+                        break;
+
+                    case '/auth/2fa/recovery-codes':
+                        if (method === 'POST') {
+                            return await this.regenerateRecoveryCodes(req, res, { databaseManager });
+                        }
+                        break;
+                }
+
+                return this.sendError(res, 404, '2FA endpoint not found');
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Internal server error');
+        }
+    }
+
+    async getStatus(req, res, { databaseManager }) {
+        try {
+            const enrollment = await TwoFactor.getEnrollment(databaseManager, req.user.userId);
+            const enabled = !!(enrollment && enrollment.enabled_at);
+
+            this.sendSuccess(res, 200, {
+                enabled,
+                enabledAt: enabled ? enrollment.enabled_at : null,
+                recoveryCodesRemaining: enabled
+                    ? await TwoFactor.countRecoveryCodes(databaseManager, req.user.userId)
+                    : 0
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve 2FA status');
+        }
+    }
+
+    /**
+     * Start enrollment: generate a secret for the authenticator app
+     * 2FA is only enabled once a code from the app is verified
+     */
+    async setup(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            ErrorHandler.validateUserInput(req.body, ['password']);
+
+            const user = await this.checkPassword(databaseManager, userId, req.body.password);
+            if (!user) {
+                return this.sendError(res, 401, 'Invalid password');
+            }
+
+            const enrollment = await TwoFactor.getEnrollment(databaseManager, userId);
+            if (enrollment && enrollment.enabled_at) {
+                return this.sendError(res, 409, '2FA is already enabled');
+            }
+
+            // A new setup replaces an unfinished one
+            const secret = TwoFactor.generateSecret();
+            await databaseManager.run(`
+                INSERT INTO user_mfa (user_id, secret_encrypted) VALUES (?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    secret_encrypted = excluded.secret_encrypted,
+                    last_used_step = NULL,
+                    created_at = CURRENT_TIMESTAMP
+            `, [userId, TwoFactor.encryptSecret(secret)]);
+
+            await databaseManager.logAuditEvent(userId, AuditActions.MFA_SETUP_STARTED, '2FA enrollment started', req);
+
+            this.sendSuccess(res, 200, {
+                message: 'Scan the code with an authenticator app, then confirm with /auth/2fa/verify',
+                secret,
+                otpauthUri: TwoFactor.buildOtpAuthUri(secret, user.email)
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, '2FA setup failed');
+        }
+    }
+
+    /**
+     * Finish enrollment with a code from the authenticator app; returns the recovery codes once
+     */
+    async verify(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+
+            ErrorHandler.validateUserInput(req.body, ['code']);
+
+            const enrollment = await TwoFactor.getEnrollment(databaseManager, userId);
+            if (!enrollment) {
+                return this.sendError(res, 400, 'Start 2FA setup first');
+            }
+
+            if (enrollment.enabled_at) {
+                return this.sendError(res, 409, '2FA is already enabled');
+            }
+
+            if (!(await TwoFactor.consumeCode(databaseManager, enrollment, req.body.code))) {
+                await databaseManager.logAuditEvent(userId, AuditActions.MFA_FAILED, 'Invalid code during 2FA setup', req);
+                return this.sendError(res, 400, 'Invalid verification code');
+            }
+
+            const recoveryCodes = await databaseManager.transaction(async () => {
+                await databaseManager.run(
+                    'UPDATE user_mfa SET enabled_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+                    [userId]
+                );
+                return TwoFactor.replaceRecoveryCodes(databaseManager, userId);
+            });
+
+            await databaseManager.logAuditEvent(userId, AuditActions.MFA_ENABLED, '2FA enabled', req);
+
+            this.sendSuccess(res, 200, {
+                message: '2FA enabled. Store the recovery codes somewhere safe; they are shown only once',
+                recoveryCodes
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, '2FA verification failed');
+        }
+    }
+
+    /**
+     * Disable 2FA; requires the password and a code (or a recovery code)
+     */
+    async disable(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { password, code, recoveryCode } = req.body;
+
+            ErrorHandler.validateUserInput(req.body, ['password']);
+
+            const enrollment = await TwoFactor.getEnrollment(databaseManager, userId);
+            if (!enrollment || !enrollment.enabled_at) {
+                return this.sendError(res, 400, '2FA is not enabled');
+            }
+
+            if (!(await this.checkPassword(databaseManager, userId, password))) {
+                return this.sendError(res, 401, 'Invalid password');
+            }
+
+            if (!(await TwoFactor.verifySecondFactor(databaseManager, enrollment, { code, recoveryCode }))) {
+                await databaseManager.logAuditEvent(userId, AuditActions.MFA_FAILED, 'Invalid code while disabling 2FA', req);
+                return this.sendError(res, 401, 'Invalid verification code');
+            }
+
+            await databaseManager.transaction(async () => {
+                await databaseManager.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+                await databaseManager.run('DELETE FROM mfa_challenges WHERE user_id = ?', [userId]);
+                await databaseManager.run('DELETE FROM user_mfa WHERE user_id = ?', [userId]);
+            });
+
+            await databaseManager.logAuditEvent(userId, AuditActions.MFA_DISABLED, '2FA disabled', req);
+
+            this.sendSuccess(res, 200, {
+                message: '2FA disabled'
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to disable 2FA');
+        }
+    }
+
+    /**
+     * Replace the recovery codes; requires a code (or one of the current recovery codes)
+     */
+    async regenerateRecoveryCodes(req, res, { databaseManager }) {
+        try {
+            const userId = req.user.userId;
+            const { code, recoveryCode } = req.body;
+
+            const enrollment = await TwoFactor.getEnrollment(databaseManager, userId);
+            if (!enrollment || !enrollment.enabled_at) {
+                return this.sendError(res, 400, '2FA is not enabled');
+            }
+
+            if (!(await TwoFactor.verifySecondFactor(databaseManager, enrollment, { code, recoveryCode }))) {
+                await databaseManager.logAuditEvent(userId, AuditActions.MFA_FAILED, 'Invalid code while regenerating recovery codes', req);
+                return this.sendError(res, 401, 'Invalid verification code');
+            }
+
+            const recoveryCodes = await databaseManager.transaction(() =>
+                TwoFactor.replaceRecoveryCodes(databaseManager, userId));
+
+            await databaseManager.logAuditEvent(userId, AuditActions.MFA_RECOVERY_CODES_REGENERATED, 'Recovery codes regenerated', req);
+
+            this.sendSuccess(res, 200, {
+                message: 'New recovery codes generated; the previous codes no longer work',
+                recoveryCodes
+            });
+
+        } catch (error) {
+            return this.handleError(error, req, res, 'Failed to regenerate recovery codes');
+        }
+    }
+
+    /**
+     * Returns the user when the password matches, otherwise null
+     */
+    async checkPassword(databaseManager, userId, password) {
+        const user = await databaseManager.get(
+            'SELECT id, email, password_hash FROM users WHERE id = ? AND is_active = 1',
+            [userId]
+        );
+
+        if (!user || typeof password !== 'string' || !(await bcrypt.compare(password, user.password_hash))) {
+            return null;
+        }
+
+        return user;
+    }
+
+    /**
+     * Map validation errors to their status code; anything else is a 500
+     */
+    handleError(error, req, res, message) {
+        if (error.statusCode && error.statusCode < 500) {
+            return this.sendError(res, error.statusCode, error.message);
+        }
+
+        ErrorHandler.logError(error, req);
+        return this.sendError(res, 500, message);
+    }
+
+    sendSuccess(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    sendError(res, statusCode, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            error: {
+                message: message,
+                code: statusCode,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+module.exports = new TwoFactorRoutes();
@@ -5,6 +5,12 @@
 
 const Validators = require('../validators');
 const ErrorHandler = require('../errorHandler');
+const SettingsManager = require('../settingsManager');
+const CurrencyConverter = require('../currencyConverter');
+const AccountManager = require('../accountManager');
+const CategoryManager = require('../categoryManager');
+const Money = require('../money');
+const AuditActions = require('../auditActions');
 
 class UserRoutes {
     async handle(req, res, context) {
@@ -36,6 +42,12 @@ class UserRoutes {
                         }
                         break;
 
+                    case '/user/activity':
+                        if (method === 'GET') {
+                            return await this.getActivity(req, res, { databaseManager, parsedUrl });
+                        }
+                        break;
+
                     default:
                         return this.sendError(res, 404, 'User endpoint not found');
                 }
@@ -74,7 +86,7 @@ class UserRoutes {
                     lastLogin: user.last_login,
                     profile: {
                         jobTitle: user.job_title,
-                        monthlySalary: user.monthly_salary,
+                        monthlySalary: user.monthly_salary !== null ? Money.toMajor(user.monthly_salary) : null,
                         savingsGoalPercentage: user.savings_goal_percentage
                     }
                 }
@@ -111,14 +123,17 @@ class UserRoutes {
             // Log profile update
             await databaseManager.logAuditEvent(
                 userId,
-                'PROFILE_UPDATED',
+                AuditActions.PROFILE_UPDATED,
                 'User profile updated',
                 req
             );
 
             this.sendSuccess(res, 200, {
                 message: 'Profile updated successfully',
-                profile: profileValidation.sanitized
+                profile: {
+                    ...profileValidation.sanitized,
+                    monthlySalary: Money.toMajor(profileValidation.sanitized.monthlySalary)
+                }
             });
 
         } catch (error) {
@@ -131,24 +146,55 @@ class UserRoutes {
         try {
             const userId = req.user.userId;
 
-            // Get total income and expenses
-            const result = await databaseManager.get(`
+            // Get total income and expenses per currency
+            const rows = await databaseManager.all(`
                 SELECT 
+                    currency,
                     COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as total_income,
                     COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expenses
                 FROM transactions 
                 WHERE user_id = ?
+                GROUP BY currency
             `, [userId]);
 
-            const balance = result.total_income - result.total_expenses;
+            // Convert to the user's currency
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            const totalIncome = CurrencyConverter.sum(rows, preferences.currency, rates, 'total_income');
+            const totalExpenses = CurrencyConverter.sum(rows, preferences.currency, rates, 'total_expenses');
+
+            // Each account in its own currency, including its opening balance and transfers;
+            // the balance is what the accounts hold together
+            const accounts = await AccountManager.getAccountsWithBalances(databaseManager, userId, { includeArchived: false });
+            const balance = CurrencyConverter.sum(accounts, preferences.currency, rates, 'balance');
+
+            const byCurrency = new Map();
+            for (const account of accounts) {
+                byCurrency.set(account.currency, (byCurrency.get(account.currency) || 0) + account.balance);
+            }
 
             this.sendSuccess(res, 200, {
-                balance: parseFloat(balance.toFixed(2)),
-                totalIncome: parseFloat(result.total_income.toFixed(2)),
-                totalExpenses: parseFloat(result.total_expenses.toFixed(2))
+                currency: preferences.currency,
+                balance: Money.toMajor(balance),
+                totalIncome: Money.toMajor(totalIncome),
+                totalExpenses: Money.toMajor(totalExpenses),
+                byCurrency: [...byCurrency].map(([currency, total]) => ({
+                    currency,
+                    balance: Money.toMajor(total)
+                })),
+                accounts: accounts.map(account => ({
+                    id: account.id,
+                    name: account.name,
+                    type: account.type,
+                    currency: account.currency,
+                    balance: Money.toMajor(account.balance)
+                }))
             });
 
         } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
             ErrorHandler.logError(error, req);
             return this.sendError(res, 500, 'Failed to get balance');
         }
@@ -158,43 +204,85 @@ class UserRoutes {
         try {
             const userId = req.user.userId;
 
-            // Get various statistics
-            const stats = await databaseManager.get(`
+            // Get various statistics per currency (transfers between accounts are neither income nor expense)
+            const rows = await databaseManager.all(`
                 SELECT 
+                    currency,
                     COUNT(*) as total_transactions,
                     COUNT(CASE WHEN type = 'income' THEN 1 END) as income_count,
                     COUNT(CASE WHEN type = 'expense' THEN 1 END) as expense_count,
                     COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as total_income,
-                    COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expenses,
-                    COALESCE(AVG(CASE WHEN type = 'income' THEN amount END), 0) as avg_income,
-                    COALESCE(AVG(CASE WHEN type = 'expense' THEN amount END), 0) as avg_expense
+                    COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expenses
                 FROM transactions 
-                WHERE user_id = ?
+                WHERE user_id = ? AND type IN ('income', 'expense')
+                GROUP BY currency
+            `, [userId]);
+
+            // Totals per category; a split transaction counts under each line's category
+            const categoryRows = await databaseManager.all(`
+                SELECT
+                    COALESCE(s.category, t.category) AS category,
+                    t.type,
+                    t.currency,
+                    SUM(COALESCE(s.amount, t.amount)) AS total
+                FROM transactions t
+                LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+                WHERE t.user_id = ? AND t.type IN ('income', 'expense')
+                GROUP BY COALESCE(s.category, t.category), t.type, t.currency
             `, [userId]);
 
             // Get recent transactions
             const recentTransactions = await databaseManager.all(`
-                SELECT id, amount, type, category, description, transaction_date
+                SELECT id, amount, type, category, description, currency, transaction_date
                 FROM transactions 
                 WHERE user_id = ?
                 ORDER BY transaction_date DESC
                 LIMIT 5
             `, [userId]);
 
+            // Convert totals to the user's currency; averages follow from the converted totals
+            const preferences = await SettingsManager.getPreferences(databaseManager, userId);
+            const rates = await CurrencyConverter.getRates(databaseManager);
+            const count = field => rows.reduce((total, row) => total + row[field], 0);
+            const totalIncome = CurrencyConverter.sum(rows, preferences.currency, rates, 'total_income');
+            const totalExpenses = CurrencyConverter.sum(rows, preferences.currency, rates, 'total_expenses');
+            const incomeCount = count('income_count');
+            const expenseCount = count('expense_count');
+
+            // Same balance as /user/balance: what the accounts that are not archived hold together
+            const accounts = await AccountManager.getAccountsWithBalances(databaseManager, userId, { includeArchived: false });
+            const balance = CurrencyConverter.sum(accounts, preferences.currency, rates, 'balance');
+
+            // Subcategories roll up into their parent, like the transaction summary
+            const parentMap = await CategoryManager.getParentMap(databaseManager, userId);
+            const categoryTotals = new Map();
+            for (const row of categoryRows) {
+                const category = CategoryManager.rollup(parentMap, row.type, row.category);
+                const key = `${category}|${row.type}`;
+                const item = categoryTotals.get(key) || { category, type: row.type, total: 0 };
+                item.total += CurrencyConverter.convert(row.total, row.currency, preferences.currency, rates);
+                categoryTotals.set(key, item);
+            }
+
             this.sendSuccess(res, 200, {
+                currency: preferences.currency,
                 stats: {
-                    totalTransactions: stats.total_transactions,
-                    incomeCount: stats.income_count,
-                    expenseCount: stats.expense_count,
-                    totalIncome: parseFloat(stats.total_income.toFixed(2)),
-                    totalExpenses: parseFloat(stats.total_expenses.toFixed(2)),
-                    averageIncome: parseFloat(stats.avg_income.toFixed(2)),
-                    averageExpense: parseFloat(stats.avg_expense.toFixed(2)),
-                    balance: parseFloat((stats.total_income - stats.total_expenses).toFixed(2))
+                    totalTransactions: count('total_transactions'),
+                    incomeCount,
+                    expenseCount,
+                    totalIncome: Money.toMajor(totalIncome),
+                    totalExpenses: Money.toMajor(totalExpenses),
+                    averageIncome: Money.toMajor(incomeCount ? Money.round(totalIncome / incomeCount) : 0),
+                    averageExpense: Money.toMajor(expenseCount ? Money.round(totalExpenses / expenseCount) : 0),
+                    balance: Money.toMajor(balance)
                 },
+                categories: [...categoryTotals.values()]
+                    .sort((a, b) => b.total - a.total)
+                    .map(item => ({ ...item, total: Money.toMajor(item.total) })),
                 recentTransactions: recentTransactions.map(t => ({
                     id: t.id,
-                    amount: parseFloat(t.amount.toFixed(2)),
+                    amount: Money.toMajor(t.amount),
+                    currency: t.currency,
                     type: t.type,
                     category: t.category,
                     description: t.description,
@@ -203,11 +291,85 @@ class UserRoutes {
             });
 
         } catch (error) {
+            if (error.errorCode === 'MISSING_EXCHANGE_RATE') {
+                return this.sendError(res, error.statusCode, error.message);
+            }
             ErrorHandler.logError(error, req);
             return this.sendError(res, 500, 'Failed to get user statistics');
         }
     }
 
+    /**
+     * The user's own audit trail, newest first, so unfamiliar sign-ins can be spotted
+     * Filters: action (comma separated), category (security|account|data), from/to (YYYY-MM-DD)
+     */
+    async getActivity(req, res, { databaseManager, parsedUrl }) {
+        try {
+            const { action, category, from, to, page, limit } = parsedUrl.query;
+
+            const pagination = Validators.validatePagination(page, limit);
+            if (!pagination.valid) {
+                return this.sendError(res, 400, pagination.message);
+            }
+
+            for (const date of [from, to]) {
+                if (date !== undefined && !Validators.isValidDateString(date)) {
+                    return this.sendError(res, 400, 'Dates must be in YYYY-MM-DD format');
+                }
+            }
+
+            let actions = action ? String(action).split(',').map(a => a.trim().toUpperCase()).filter(Boolean) : [];
+
+            if (category !== undefined) {
+                if (!AuditActions.CATEGORIES.includes(category)) {
+                    return this.sendError(res, 400, `Category must be one of: ${AuditActions.CATEGORIES.join(', ')}`);
+                }
+
+                const inCategory = AuditActions.inCategory(category);
+                actions = actions.length > 0 ? actions.filter(name => inCategory.includes(name)) : inCategory;
+
+                if (actions.length === 0) {
+                    return this.sendError(res, 400, `None of the actions belong to the ${category} category`);
+                }
+            }
+
+            const { limit: limitNum, offset } = pagination.sanitized;
+            const { entries, total } = await databaseManager.getAuditLog(
+                { userId: req.user.userId, actions, from, to },
+                { limit: limitNum, offset }
+            );
+
+            this.sendSuccess(res, 200, {
+                activity: entries.map(entry => this.formatActivity(entry)),
+                pagination: {
+                    page: pagination.sanitized.page,
+                    limit: limitNum,
+                    total,
+                    pages: Math.ceil(total / limitNum)
+                }
+            });
+
+        } catch (error) {
+            ErrorHandler.logError(error, req);
+            return this.sendError(res, 500, 'Failed to retrieve activity');
+        }
+    }
+
+    formatActivity(entry) {
+        const described = AuditActions.describe(entry.action);
+
+        return {
+            id: entry.id,
+            action: entry.action,
+            category: described ? described.category : null,
+            description: described ? described.description : entry.details,
+            details: entry.details,
+            ipAddress: entry.ip_address,
+            userAgent: entry.user_agent,
+            createdAt: entry.created_at
+        };
+    }
+
     sendSuccess(res, statusCode, data) {
         res.writeHead(statusCode, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
@@ -17,29 +17,56 @@ const AuthMiddleware = require('./authMiddleware');
 const Validators = require('./validators');
 const DatabaseManager = require('./databaseManager');
 const RateLimiter = require('./rateLimiter');
+const RecurringScheduler = require('./recurringScheduler');
+const CurrencyConverter = require('./currencyConverter');
+const MigrationRunner = require('./migrationRunner');
+const EmailService = require('./emailService');
+const AuditChain = require('./auditChain');
 
 // Import route handlers
 const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
 const userRoutes = require('./routes/userRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
+const recurringRoutes = require('./routes/recurringRoutes');
 const profileRoutes = require('./routes/profileRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const goalRoutes = require('./routes/goalRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const ruleRoutes = require('./routes/ruleRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 class EliotiServer {
     constructor() {
-        this.sessionManager = new SessionManager();
-        this.authMiddleware = new AuthMiddleware(this.sessionManager);
         this.databaseManager = new DatabaseManager();
+        this.sessionManager = new SessionManager(this.databaseManager);
+        this.authMiddleware = new AuthMiddleware(this.sessionManager, this.databaseManager);
+        this.emailService = new EmailService();
         this.rateLimiter = new RateLimiter();
+        this.recurringScheduler = new RecurringScheduler(this.databaseManager);
         
-        // Initialize route handlers
+        // Initialize route handlers (more specific prefixes first)
         this.routes = {
+            '/auth/2fa': twoFactorRoutes,
             '/auth': authRoutes,
             '/user': userRoutes,
+            '/transaction/recurring': recurringRoutes,
+            '/transaction/rules': ruleRoutes,
             '/transaction': transactionRoutes,
-            '/profile': profileRoutes
+            '/profile': profileRoutes,
+            '/budget': budgetRoutes,
+            '/report': reportRoutes,
+            '/goal': goalRoutes,
+            '/account': accountRoutes,
+            '/category': categoryRoutes,
+            '/admin': adminRoutes
         };
         
         this.server = null;
+        this.tokenCleanupTimer = null;
+        this.auditCheckpointTimer = null;
     }
 
     /**
@@ -53,6 +80,27 @@ class EliotiServer {
             // Initialize database connection
             await this.databaseManager.connect();
             
+            // Bring the schema up to date (or refuse to start on an outdated schema)
+            await this.checkMigrations();
+            
+            // Restore per-user session revocations (e.g. after password resets)
+            await this.sessionManager.loadRevocations();
+            
+            // Load exchange rates from the local rates file (if present)
+            const ratesLoaded = await CurrencyConverter.loadRatesFile(this.databaseManager, config.currency.ratesFile);
+            if (ratesLoaded > 0) {
+                console.log(`💱 Loaded ${ratesLoaded} exchange rates from ${config.currency.ratesFile}`);
+            }
+            
+            // Materialize due recurring transactions (catches up after downtime)
+            this.recurringScheduler.start();
+            
+            // Remove expired entries from the persistent token blacklist
+            this.startTokenCleanup();
+            
+            // Periodically sign the head of the audit log hash chain
+            this.startAuditCheckpoints();
+            
             // Create HTTP server
             this.server = http.createServer(this.handleRequest.bind(this));
             
@@ -72,6 +120,48 @@ class EliotiServer {
         }
     }
 
+    /**
+     * Apply pending schema migrations, or exit when auto-migration is disabled
+     */
+    async checkMigrations() {
+        const runner = new MigrationRunner(this.databaseManager);
+        const pending = await runner.pending();
+
+        if (pending.length === 0) {
+            return;
+        }
+
+        if (!config.database.autoMigrate) {
+            console.error(`❌ Database schema is out of date: ${pending.length} pending migration(s)`);
+            console.error('   Run `npm run migrate -- up` before starting the server');
+            process.exit(1);
+        }
+
+        await runner.up();
+        console.log(`✅ Database schema at version ${await runner.getCurrentVersion()}`);
+    }
+
+    /**
+     * Periodically delete expired rows from blacklisted_tokens
+     */
+    startTokenCleanup() {
+        const cleanup = () => this.databaseManager.cleanupExpiredTokens()
+            .catch(err => console.error('Token cleanup failed:', err));
+
+        cleanup();
+        this.tokenCleanupTimer = setInterval(cleanup, config.security.tokenCleanupInterval);
+    }
+
+    /**
+     * Periodically write a signed checkpoint of the audit log
+     */
+    startAuditCheckpoints() {
+        this.auditCheckpointTimer = setInterval(() => {
+            AuditChain.createCheckpoint(this.databaseManager)
+                .catch(err => console.error('Audit checkpoint failed:', err));
+        }, config.security.auditCheckpointInterval);
+    }
+
     /**
      * Main request handler
      */
@@ -110,6 +200,8 @@ class EliotiServer {
                     sessionManager: this.sessionManager,
                     authMiddleware: this.authMiddleware,
                     databaseManager: this.databaseManager,
+                    recurringScheduler: this.recurringScheduler,
+                    emailService: this.emailService,
                     parsedUrl
                 });
             } else {
@@ -210,6 +302,13 @@ class EliotiServer {
         const shutdown = async (signal) => {
             console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
             
+            // Stop background jobs
+            if (this.recurringScheduler) {
+                this.recurringScheduler.stop();
+            }
+            clearInterval(this.tokenCleanupTimer);
+            clearInterval(this.auditCheckpointTimer);
+            
             // Close server
             if (this.server) {
                 this.server.close(() => {
@@ -223,9 +322,9 @@ class EliotiServer {
                 console.log('✅ Database connections closed');
             }
             
-            // Cleanup sessions
+            // Stop session cleanup timers
             if (this.sessionManager) {
-                this.sessionManager.cleanupExpiredSessions();
+                this.sessionManager.stop();
                 console.log('✅ Sessions cleaned up');
             }
             
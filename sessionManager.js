@@ -1,28 +1,56 @@
 /**
  * JWT-based Session Manager for secure token handling
- * Implements JWT tokens with proper expiration and blacklisting
+ * Implements short-lived JWT access tokens, rotating refresh tokens and blacklisting
  */
 
 const crypto = require('crypto');
 const config = require('./config');
+const ErrorHandler = require('./errorHandler');
+const Validators = require('./validators');
 
 class SessionManager {
-    constructor() {
+    constructor(databaseManager = null) {
+        this.databaseManager = databaseManager;
         this.sessionTimeout = config.security.sessionTimeout;
+        this.refreshTokenTimeout = config.security.refreshTokenTimeout;
         this.jwtSecret = config.security.jwtSecret;
         
-        // In-memory blacklist for revoked tokens (use Redis in production)
-        this.blacklistedTokens = new Set();
+        // Cache of blacklisted_tokens lookups: token hash -> { blacklisted, cachedUntil (ms) }
+        this.blacklistCache = new Map();
         
-        // Cleanup blacklisted tokens every hour
-        setInterval(() => this.cleanupBlacklistedTokens(), 3600000);
+        // Cache of sessions lookups: session id -> { active, cachedUntil (ms) }
+        this.sessionCache = new Map();
+        this.blacklistCacheTtl = config.security.blacklistCacheTtl;
+        this.blacklistCacheSize = config.security.blacklistCacheSize;
+        
+        // userId -> unix time (seconds); tokens issued at or before it are revoked
+        this.revokedUsers = new Map();
+        
+        // Cleanup cached entries, stale revocations and expired sessions every hour
+        this.cleanupTimer = setInterval(() => {
+            this.cleanupBlacklistedTokens();
+            this.cleanupRevocations();
+            this.cleanupExpiredSessions()
+                .catch(err => console.error('Failed to clean up expired sessions:', err));
+        }, 3600000);
+    }
+
+    /**
+     * Stop the periodic cleanup (on shutdown)
+     */
+    stop() {
+        clearInterval(this.cleanupTimer);
+        this.blacklistCache.clear();
+        this.sessionCache.clear();
     }
 
     /**
      * Create a JWT token for user session
      */
     createSession(userId, email, additionalData = {}) {
-        const now = Math.floor(Date.now() / 1000);
+        // Never issue a token that an earlier revocation in the same second would reject
+        const revokedAt = this.revokedUsers.get(userId) || 0;
+        const now = Math.max(Math.floor(Date.now() / 1000), revokedAt + 1);
         const expiresAt = now + (this.sessionTimeout / 1000);
         
         const payload = {
@@ -45,14 +73,10 @@ class SessionManager {
 
     /**
      * Validate and decode JWT token
+     * Resolves to null for invalid, expired or revoked tokens
      */
-    validateSession(token) {
+    async validateSession(token) {
         try {
-            // Check if token is blacklisted
-            if (this.blacklistedTokens.has(token)) {
-                return null;
-            }
-            
             const payload = this.verifyJWT(token);
             
             // Check if token has expired
@@ -61,9 +85,25 @@ class SessionManager {
                 return null;
             }
             
+            // Check if all sessions of the user were revoked after this token was issued
+            if (this.isRevoked(payload)) {
+                return null;
+            }
+            
+            // Check if the token was logged out (persisted, so it survives restarts)
+            if (await this.isBlacklisted(token, payload)) {
+                return null;
+            }
+            
+            // Check if the session was signed out (e.g. remotely from another device)
+            if (payload.sid && !(await this.isSessionActive(payload.sid))) {
+                return null;
+            }
+            
             return {
                 userId: payload.userId,
                 email: payload.email,
+                sessionId: payload.sid || null,
                 createdAt: new Date(payload.iat * 1000),
                 expiresAt: new Date(payload.exp * 1000)
             };
@@ -143,50 +183,347 @@ class SessionManager {
     }
 
     /**
-     * Revoke (blacklist) a token
+     * Revoke (blacklist) a token until it expires
+     * Returns false when the token is not a valid JWT (nothing to revoke)
      */
-    destroySession(token) {
-        this.blacklistedTokens.add(token);
+    async destroySession(token) {
+        let payload;
+        try {
+            payload = this.verifyJWT(token);
+        } catch (error) {
+            return false;
+        }
         
-        // Also add to database blacklist if available
-        if (global.databaseManager) {
-            const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-            const payload = this.verifyJWT(token);
-            const expiresAt = new Date(payload.exp * 1000).toISOString();
-            
-            global.databaseManager.blacklistToken(tokenHash, payload.userId, expiresAt)
-                .catch(err => console.error('Failed to blacklist token in database:', err));
+        const tokenHash = Validators.hashToken(token);
+        const expiresAt = new Date(payload.exp * 1000);
+        
+        this.cacheResult(this.blacklistCache, tokenHash, { blacklisted: true }, expiresAt.getTime());
+        
+        if (this.databaseManager) {
+            await this.databaseManager.blacklistToken(tokenHash, payload.userId, expiresAt.toISOString());
         }
+        
+        return true;
     }
 
     /**
-     * Refresh a token (create new one with extended expiration)
+     * Check the blacklist for a token, using the cache when possible
      */
-    refreshSession(token) {
-        try {
-            const payload = this.verifyJWT(token);
-            const now = Math.floor(Date.now() / 1000);
-            
-            // Check if token is close to expiration (within 5 minutes)
-            if (payload.exp - now > 300) {
-                throw new Error('Token not close to expiration');
+    async isBlacklisted(token, payload) {
+        const tokenHash = Validators.hashToken(token);
+        const cached = this.blacklistCache.get(tokenHash);
+        
+        if (cached && cached.cachedUntil > Date.now()) {
+            return cached.blacklisted;
+        }
+        
+        if (!this.databaseManager) {
+            return false;
+        }
+        
+        const blacklisted = await this.databaseManager.isTokenBlacklisted(tokenHash);
+        
+        // A blacklisted token stays blacklisted; a clean result is re-checked after the TTL
+        // so logouts handled by another server instance are picked up
+        this.cacheResult(
+            this.blacklistCache,
+            tokenHash,
+            { blacklisted },
+            blacklisted ? payload.exp * 1000 : Date.now() + this.blacklistCacheTtl
+        );
+        
+        return blacklisted;
+    }
+
+    /**
+     * Check that a session has not been revoked or expired, using the cache when possible.
+     * Each database lookup also records the session as seen.
+     */
+    async isSessionActive(sessionId) {
+        const cached = this.sessionCache.get(sessionId);
+        
+        if (cached && cached.cachedUntil > Date.now()) {
+            return cached.active;
+        }
+        
+        if (!this.databaseManager) {
+            return true;
+        }
+        
+        const session = await this.databaseManager.get(
+            'SELECT revoked_at, expires_at FROM sessions WHERE id = ?',
+            [sessionId]
+        );
+        const active = !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+        
+        if (active) {
+            await this.databaseManager.run(
+                'UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [sessionId]
+            );
+        }
+        
+        // An inactive session stays inactive for as long as its access tokens can live
+        this.cacheResult(
+            this.sessionCache,
+            sessionId,
+            { active },
+            Date.now() + (active ? this.blacklistCacheTtl : this.sessionTimeout)
+        );
+        
+        return active;
+    }
+
+    /**
+     * Store a cache entry, evicting the oldest entries when the cache is full
+     */
+    cacheResult(cache, key, value, cachedUntil) {
+        cache.delete(key);
+        cache.set(key, { ...value, cachedUntil });
+        
+        // Map keeps insertion order, so the first keys are the oldest
+        while (cache.size > this.blacklistCacheSize) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Start a session: a short-lived access token plus a refresh token in a new family.
+     * The family id is also the id of the sessions row (with the device from `req`)
+     * and the `sid` claim of every access token issued for the session.
+     */
+    async issueTokens(userId, email, req = null) {
+        const familyId = crypto.randomBytes(16).toString('hex');
+        const userAgent = req && req.headers['user-agent'] ? String(req.headers['user-agent']).substring(0, 255) : null;
+
+        await this.databaseManager.run(`
+            INSERT INTO sessions (id, user_id, user_agent, ip_address, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [
+            familyId,
+            userId,
+            userAgent,
+            req ? this.databaseManager.getClientIP(req) : null,
+            new Date(Date.now() + this.refreshTokenTimeout).toISOString()
+        ]);
+
+        return this.issueTokensForFamily(userId, email, familyId);
+    }
+
+    async issueTokensForFamily(userId, email, familyId) {
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        const refreshExpiresAt = new Date(Date.now() + this.refreshTokenTimeout);
+
+        await this.databaseManager.run(`
+            INSERT INTO refresh_tokens (token_hash, family_id, user_id, expires_at)
+            VALUES (?, ?, ?, ?)
+        `, [Validators.hashToken(refreshToken), familyId, userId, refreshExpiresAt.toISOString()]);
+
+        // Every rotation extends the session
+        await this.databaseManager.run(
+            'UPDATE sessions SET expires_at = ?, last_seen_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [refreshExpiresAt.toISOString(), familyId]
+        );
+
+        const session = this.createSession(userId, email, { sid: familyId });
+
+        return {
+            ...session,
+            sessionId: familyId,
+            refreshToken,
+            refreshExpiresAt
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access/refresh token pair (rotation).
+     * Presenting a token that was already rotated means it leaked, so the whole
+     * family is revoked and a REFRESH_TOKEN_REUSED error carrying userId/familyId is thrown.
+     */
+    async rotateRefreshToken(refreshToken) {
+        const tokenHash = Validators.hashToken(String(refreshToken));
+        const record = await this.databaseManager.get(`
+            SELECT rt.family_id, rt.user_id, rt.expires_at, rt.used_at, rt.revoked_at, u.email, u.is_active
+            FROM refresh_tokens rt
+            JOIN users u ON u.id = rt.user_id
+            WHERE rt.token_hash = ?
+        `, [tokenHash]);
+
+        if (!record) {
+            throw ErrorHandler.createError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+        }
+
+        if (record.used_at) {
+            throw await this.handleRefreshTokenReuse(record);
+        }
+
+        if (record.revoked_at || !record.is_active || new Date(record.expires_at) <= new Date()) {
+            throw ErrorHandler.createError('Refresh token expired or revoked', 401, 'INVALID_REFRESH_TOKEN');
+        }
+
+        // Claim the token; a concurrent request that already used it counts as reuse
+        const claimed = await this.databaseManager.run(`
+            UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = ? AND used_at IS NULL AND revoked_at IS NULL
+        `, [tokenHash]);
+
+        if (claimed.changes === 0) {
+            throw await this.handleRefreshTokenReuse(record);
+        }
+
+        return this.issueTokensForFamily(record.user_id, record.email, record.family_id);
+    }
+
+    async handleRefreshTokenReuse(record) {
+        await this.revokeSession(record.family_id);
+
+        const error = ErrorHandler.createError('Refresh token reuse detected; session revoked', 401, 'REFRESH_TOKEN_REUSED');
+        error.userId = record.user_id;
+        error.familyId = record.family_id;
+        return error;
+    }
+
+    /**
+     * Revoke a session: its refresh tokens stop working and its access tokens are rejected
+     * (logout, remote sign-out, reuse detection). Returns false if it was already revoked.
+     */
+    async revokeSession(sessionId) {
+        const result = await this.databaseManager.run(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+            [sessionId]
+        );
+        await this.databaseManager.run(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+            [sessionId]
+        );
+
+        this.cacheResult(this.sessionCache, sessionId, { active: false }, Date.now() + this.sessionTimeout);
+        return result.changes > 0;
+    }
+
+    /**
+     * Active sessions of a user, most recently used first
+     */
+    async listSessions(userId) {
+        return this.databaseManager.all(`
+            SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+            FROM sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_seen_at DESC
+        `, [userId, new Date().toISOString()]);
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to; returns its user id, or null if unknown
+     */
+    async revokeRefreshToken(refreshToken) {
+        const record = await this.databaseManager.get(
+            'SELECT family_id, user_id FROM refresh_tokens WHERE token_hash = ?',
+            [Validators.hashToken(String(refreshToken))]
+        );
+
+        if (!record) {
+            return null;
+        }
+
+        await this.revokeSession(record.family_id);
+        return record.user_id;
+    }
+
+    /**
+     * Delete expired sessions, refresh tokens and 2FA login challenges
+     */
+    async cleanupExpiredSessions() {
+        if (!this.databaseManager || !this.databaseManager.isConnected) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        await this.databaseManager.run('DELETE FROM refresh_tokens WHERE expires_at <= ?', [now]);
+        await this.databaseManager.run('DELETE FROM sessions WHERE expires_at <= ?', [now]);
+        await this.databaseManager.run('DELETE FROM mfa_challenges WHERE expires_at <= ?', [now]);
+    }
+
+    /**
+     * Revoke every token issued to a user so far (password reset, logout everywhere)
+     * Returns the number of sessions that were still active
+     */
+    async revokeUserSessions(userId) {
+        const revokedAt = Math.floor(Date.now() / 1000);
+        let revokedSessions = 0;
+        
+        if (this.databaseManager) {
+            await this.databaseManager.run(
+                'UPDATE users SET sessions_revoked_at = ? WHERE id = ?',
+                [revokedAt, userId]
+            );
+            await this.databaseManager.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            const result = await this.databaseManager.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?',
+                [userId, new Date().toISOString()]
+            );
+            revokedSessions = result.changes;
+        }
+        
+        this.revokedUsers.set(userId, revokedAt);
+        return revokedSessions;
+    }
+
+    /**
+     * Load revocations that can still affect unexpired tokens (called at startup)
+     */
+    async loadRevocations() {
+        if (!this.databaseManager) {
+            return;
+        }
+        
+        const oldestValid = Math.floor((Date.now() - this.sessionTimeout) / 1000);
+        const users = await this.databaseManager.all(
+            'SELECT id, sessions_revoked_at FROM users WHERE sessions_revoked_at >= ?',
+            [oldestValid]
+        );
+        
+        for (const user of users) {
+            this.revokedUsers.set(user.id, user.sessions_revoked_at);
+        }
+    }
+
+    /**
+     * Check whether a token payload was issued before its user's sessions were revoked
+     */
+    isRevoked(payload) {
+        const revokedAt = this.revokedUsers.get(payload.userId);
+        return revokedAt !== undefined && payload.iat <= revokedAt;
+    }
+
+    /**
+     * Forget revocations older than the session timeout (their tokens have expired)
+     */
+    cleanupRevocations() {
+        const oldestValid = Math.floor((Date.now() - this.sessionTimeout) / 1000);
+        
+        for (const [userId, revokedAt] of this.revokedUsers) {
+            if (revokedAt < oldestValid) {
+                this.revokedUsers.delete(userId);
             }
-            
-            // Create new token with extended expiration
-            return this.createSession(payload.userId, payload.email);
-            
-        } catch (error) {
-            throw new Error('Cannot refresh invalid token');
         }
     }
 
     /**
-     * Clean up expired blacklisted tokens
+     * Drop expired entries from the blacklist cache
+     * (expired rows in blacklisted_tokens are removed by DatabaseManager.cleanupExpiredTokens)
      */
     cleanupBlacklistedTokens() {
-        // In production, this would be handled by database cleanup
-        // For in-memory storage, we just clear the set periodically
-        this.blacklistedTokens.clear();
+        const now = Date.now();
+        
+        for (const [tokenHash, entry] of this.blacklistCache) {
+            if (entry.cachedUntil <= now) {
+                this.blacklistCache.delete(tokenHash);
+            }
+        }
     }
 
     /**
@@ -194,8 +531,11 @@ class SessionManager {
      */
     getStats() {
         return {
-            blacklistedTokens: this.blacklistedTokens.size,
-            sessionTimeout: this.sessionTimeout
+            cachedBlacklistEntries: this.blacklistCache.size,
+            cachedSessions: this.sessionCache.size,
+            revokedUsers: this.revokedUsers.size,
+            sessionTimeout: this.sessionTimeout,
+            refreshTokenTimeout: this.refreshTokenTimeout
         };
     }
 
@@ -0,0 +1,125 @@
+/**
+ * Settings Manager for per-user preferences
+ * Loads stored settings, applies defaults and persists partial updates
+ */
+
+const config = require('./config');
+
+const SECTIONS = ['notifications', 'privacy', 'preferences'];
+
+class SettingsManager {
+    /**
+     * Get a fresh copy of the default settings
+     */
+    static getDefaults() {
+        return JSON.parse(JSON.stringify(config.settings.defaults));
+    }
+
+    /**
+     * Deep-merge a partial settings object into a base settings object
+     */
+    static merge(base, patch) {
+        const merged = {};
+
+        for (const section of SECTIONS) {
+            merged[section] = {
+                ...(base[section] || {}),
+                ...((patch && patch[section]) || {})
+            };
+        }
+
+        return merged;
+    }
+
+    /**
+     * Load settings for a user with defaults applied
+     */
+    static async getSettings(databaseManager, userId) {
+        const row = await databaseManager.get(
+            'SELECT notifications, privacy, preferences FROM user_settings WHERE user_id = ?',
+            [userId]
+        );
+
+        if (!row) {
+            return SettingsManager.getDefaults();
+        }
+
+        const stored = {};
+        for (const section of SECTIONS) {
+            stored[section] = SettingsManager.parseSection(row[section]);
+        }
+
+        return SettingsManager.merge(SettingsManager.getDefaults(), stored);
+    }
+
+    /**
+     * Merge a validated partial update into the stored settings and persist it
+     */
+    static async updateSettings(databaseManager, userId, patch) {
+        const current = await SettingsManager.getSettings(databaseManager, userId);
+        const updated = SettingsManager.merge(current, patch);
+
+        await databaseManager.run(`
+            INSERT INTO user_settings (user_id, notifications, privacy, preferences, updated_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(user_id) DO UPDATE SET
+                notifications = excluded.notifications,
+                privacy = excluded.privacy,
+                preferences = excluded.preferences,
+                updated_at = CURRENT_TIMESTAMP
+        `, [
+            userId,
+            JSON.stringify(updated.notifications),
+            JSON.stringify(updated.privacy),
+            JSON.stringify(updated.preferences)
+        ]);
+
+        return updated;
+    }
+
+    /**
+     * Get the user's preferences section (currency, language, timezone)
+     */
+    static async getPreferences(databaseManager, userId) {
+        const settings = await SettingsManager.getSettings(databaseManager, userId);
+        return settings.preferences;
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in the given timezone
+     */
+    static formatDate(date, timezone) {
+        // en-CA formats dates as YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone || config.settings.defaults.preferences.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    /**
+     * Get today's date (YYYY-MM-DD) in the given timezone
+     */
+    static getToday(timezone) {
+        return SettingsManager.formatDate(new Date(), timezone);
+    }
+
+    /**
+     * Parse a stored JSON section, ignoring corrupt values
+     */
+    static parseSection(value) {
+        if (!value) {
+            return {};
+        }
+
+        try {
+            const parsed = JSON.parse(value);
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+module.exports = SettingsManager;
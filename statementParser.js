@@ -0,0 +1,359 @@
+/**
+ * Bank Statement Parser
+ * Turns CSV and OFX bank statements into plain transaction rows for import
+ */
+
+const config = require('./config');
+const Validators = require('./validators');
+
+const DEFAULT_MAPPING = {
+    date: 'date',
+    amount: 'amount',
+    type: 'type',
+    category: 'category',
+    currency: 'currency',
+    description: 'description'
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD.MM.YYYY', 'DD/MM/YYYY', 'DD-MM-YYYY', 'MM/DD/YYYY'];
+
+class StatementParser {
+    /**
+     * Parse a statement in the given format
+     * Returns [{ line, data: { date, amount, type, category, description, currency } }] or [{ line, error }]
+     */
+    static parse(format, content, options = {}) {
+        if (format === 'csv') {
+            return StatementParser.parseCSV(content, options);
+        }
+
+        if (format === 'ofx') {
+            return StatementParser.parseOFX(content, options);
+        }
+
+        throw new Error(`Unsupported statement format: ${format}`);
+    }
+
+    /**
+     * Parse a CSV statement using a column mapping.
+     * Mapping values are header names (case-insensitive) or 0-based column indexes.
+     * Instead of `amount`, a mapping may use separate `debit` and `credit` columns.
+     */
+    static parseCSV(content, options = {}) {
+        const hasHeader = options.hasHeader !== false;
+        const delimiter = options.delimiter || StatementParser.detectDelimiter(content);
+        const mapping = { ...(options.mapping || DEFAULT_MAPPING) };
+        const records = StatementParser.parseCSVRecords(content, delimiter)
+            .filter(record => record.fields.some(field => field.trim() !== ''));
+
+        if (records.length === 0) {
+            return [];
+        }
+
+        // Resolve mapped columns to indexes
+        const header = hasHeader ? records.shift().fields.map(h => h.trim().toLowerCase()) : null;
+        const columns = {};
+        for (const [field, column] of Object.entries(mapping)) {
+            if (column === undefined || column === null || column === '') {
+                continue;
+            }
+
+            if (typeof column === 'number') {
+                columns[field] = column;
+            } else if (header) {
+                const index = header.indexOf(String(column).trim().toLowerCase());
+                if (index !== -1) {
+                    columns[field] = index;
+                }
+            }
+        }
+
+        if (columns.date === undefined) {
+            throw new Error('Date column not found in statement');
+        }
+
+        if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+            throw new Error('Amount column not found in statement');
+        }
+
+        return records.map(record => {
+            const value = field => (columns[field] !== undefined ? (record.fields[columns[field]] || '').trim() : '');
+
+            try {
+                let amount;
+                if (columns.amount !== undefined) {
+                    amount = StatementParser.parseAmount(value('amount'), options.decimalSeparator);
+                } else {
+                    // Debits leave the account, credits come in
+                    const debit = value('debit') ? StatementParser.parseAmount(value('debit'), options.decimalSeparator) : 0;
+                    const credit = value('credit') ? StatementParser.parseAmount(value('credit'), options.decimalSeparator) : 0;
+                    amount = credit - Math.abs(debit);
+                }
+
+                const date = StatementParser.parseDate(value('date'), options.dateFormat);
+                if (!date) {
+                    return { line: record.line, error: `Invalid date: ${value('date')}` };
+                }
+
+                return {
+                    line: record.line,
+                    data: StatementParser.buildRow({
+                        date,
+                        amount,
+                        type: value('type'),
+                        category: value('category'),
+                        description: value('description'),
+                        currency: value('currency')
+                    }, options)
+                };
+            } catch (error) {
+                return { line: record.line, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Parse an OFX statement (SGML 1.x or XML 2.x)
+     */
+    static parseOFX(content, options = {}) {
+        const rows = [];
+        const statementCurrency = (content.match(/<CURDEF>([A-Z]{3})/i) || [])[1];
+        const transactionRegex = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+        let match;
+
+        while ((match = transactionRegex.exec(content)) !== null) {
+            const block = match[1];
+            const line = content.slice(0, match.index).split('\n').length;
+            const tag = name => {
+                const tagMatch = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+                return tagMatch ? StatementParser.decodeEntities(tagMatch[1].trim()) : '';
+            };
+
+            try {
+                const postedDate = tag('DTPOSTED');
+                const date = /^\d{8}/.test(postedDate)
+                    ? `${postedDate.slice(0, 4)}-${postedDate.slice(4, 6)}-${postedDate.slice(6, 8)}`
+                    : null;
+
+                if (!date || !Validators.isValidDateString(date)) {
+                    rows.push({ line, error: `Invalid date: ${postedDate}` });
+                    continue;
+                }
+
+                // OFX amounts always use a dot as decimal separator
+                const amount = StatementParser.parseAmount(tag('TRNAMT'), '.');
+                const description = [tag('NAME'), tag('MEMO')].filter(Boolean).join(' - ');
+
+                // A <CURRENCY> aggregate means the amount is in that currency instead of CURDEF
+                const currency = tag('CURSYM') || statementCurrency;
+
+                rows.push({
+                    line,
+                    data: StatementParser.buildRow({ date, amount, type: '', category: '', description, currency }, options)
+                });
+            } catch (error) {
+                rows.push({ line, error: error.message });
+            }
+        }
+
+        if (rows.length === 0 && !/<OFX>/i.test(content)) {
+            throw new Error('Content is not a valid OFX statement');
+        }
+
+        return rows;
+    }
+
+    /**
+     * Normalize a parsed row: derive the type from the sign, apply the default category
+     * (`hasCategory` tells whether the statement gave one)
+     */
+    static buildRow({ date, amount, type, category, description, currency }, options) {
+        let normalizedType = (type || '').toLowerCase();
+        if (!['income', 'expense'].includes(normalizedType)) {
+            normalizedType = amount < 0 ? 'expense' : 'income';
+        }
+
+        const defaultCategory = (options.defaultCategory && options.defaultCategory[normalizedType]) || 'Të tjera';
+        const maxLength = config.validation.descriptionMaxLength;
+
+        return {
+            date,
+            amount: Math.abs(amount),
+            type: normalizedType,
+            category: category || defaultCategory,
+            hasCategory: !!category,
+            currency: currency ? currency.toUpperCase() : null,
+            // Bank memos are often longer than our limit; keep the start
+            description: description ? description.slice(0, maxLength) : null
+        };
+    }
+
+    /**
+     * Parse an amount such as "1.234,56", "-1 234,56", "1,234.56" or "(45.00)".
+     * Without an explicit separator, a lone comma is read as the decimal separator (Albanian format).
+     */
+    static parseAmount(value, decimalSeparator) {
+        if (value === undefined || value === null || String(value).trim() === '') {
+            throw new Error('Amount is required');
+        }
+
+        let text = String(value).trim();
+        let negative = false;
+
+        // Accounting notation: (45.00)
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1);
+        }
+
+        // Drop currency codes/symbols and spaces used as thousands separators
+        text = text.replace(/[^\d.,+-]/g, '');
+        if (text.startsWith('-')) {
+            negative = !negative;
+        }
+        text = text.replace(/[+-]/g, '');
+
+        let separator = decimalSeparator;
+        if (!separator) {
+            const lastComma = text.lastIndexOf(',');
+            const lastDot = text.lastIndexOf('.');
+
+            if (lastComma !== -1 && lastDot !== -1) {
+                separator = lastComma > lastDot ? ',' : '.';
+            } else if (lastComma !== -1) {
+                separator = ',';
+            } else {
+                // "1.234.567" has several dots, so they are thousands separators
+                separator = (text.match(/\./g) || []).length > 1 ? ',' : '.';
+            }
+        }
+
+        const thousands = separator === ',' ? '.' : ',';
+        text = text.split(thousands).join('').replace(separator, '.');
+
+        const amount = parseFloat(text);
+        if (!/^\d*\.?\d+$/.test(text) || isNaN(amount)) {
+            throw new Error(`Invalid amount: ${value}`);
+        }
+
+        return negative ? -amount : amount;
+    }
+
+    /**
+     * Parse a date using a format such as DD.MM.YYYY; tries the common formats when none is given
+     * Returns YYYY-MM-DD or null
+     */
+    static parseDate(value, format) {
+        const formats = format ? [format] : DATE_FORMATS;
+
+        for (const candidate of formats) {
+            const order = [];
+            const pattern = candidate
+                .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+                .replace(/YYYY|MM|DD/g, token => {
+                    order.push(token);
+                    return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+                });
+
+            const match = value.match(new RegExp(`^${pattern}`));
+            if (!match) {
+                continue;
+            }
+
+            const parts = {};
+            order.forEach((token, index) => {
+                parts[token] = match[index + 1];
+            });
+
+            const date = `${parts.YYYY}-${parts.MM.padStart(2, '0')}-${parts.DD.padStart(2, '0')}`;
+            if (Validators.isValidDateString(date)) {
+                return date;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the delimiter that occurs most often in the first line
+     */
+    static detectDelimiter(content) {
+        const firstLine = content.split(/\r?\n/, 1)[0] || '';
+        const candidates = [';', ',', '\t'];
+        const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+
+        return counts[best] > 0 ? candidates[best] : ',';
+    }
+
+    /**
+     * Split CSV content into records, honoring quoted fields (including quoted newlines)
+     */
+    static parseCSVRecords(content, delimiter) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        // Strip a UTF-8 byte order mark left by spreadsheet exports
+        const text = content.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                fields.push(field);
+                records.push({ line: recordLine, fields });
+                fields = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || fields.length > 0) {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+        }
+
+        return records;
+    }
+
+    /**
+     * Decode the XML entities OFX 2.x uses
+     */
+    static decodeEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+module.exports = StatementParser;
@@ -0,0 +1,180 @@
+/**
+ * Statement Writer
+ * Formats transactions as CSV, JSON or OFX one row at a time so exports can be streamed
+ */
+
+const Money = require('./money');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ofx: { contentType: 'application/x-ofx; charset=utf-8', extension: 'ofx' }
+};
+
+// Same column names as the default import mapping, so an export can be imported again
+const CSV_COLUMNS = ['date', 'type', 'category', 'amount', 'currency', 'description'];
+
+class StatementWriter {
+    constructor(format, { currency, rates = {}, startDate, endDate } = {}) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        this.format = format;
+        this.currency = currency;
+        this.rates = rates;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.contentType = FORMATS[format].contentType;
+        this.extension = FORMATS[format].extension;
+    }
+
+    /**
+     * Text written before the first transaction
+     */
+    header() {
+        switch (this.format) {
+            case 'csv':
+                return CSV_COLUMNS.join(',') + '\r\n';
+
+            case 'json':
+                return `{"exportedAt":"${new Date().toISOString()}","transactions":[`;
+
+            case 'ofx':
+                return [
+                    'OFXHEADER:100',
+                    'DATA:OFXSGML',
+                    'VERSION:102',
+                    'SECURITY:NONE',
+                    'ENCODING:UTF-8',
+                    'CHARSET:NONE',
+                    'COMPRESSION:NONE',
+                    'OLDFILEUID:NONE',
+                    'NEWFILEUID:NONE',
+                    '',
+                    '<OFX>',
+                    '<BANKMSGSRSV1>',
+                    '<STMTTRNRS>',
+                    '<TRNUID>0',
+                    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+                    '<STMTRS>',
+                    `<CURDEF>${this.currency}`,
+                    '<BANKTRANLIST>',
+                    this.startDate ? `<DTSTART>${StatementWriter.toOFXDate(this.startDate)}` : null,
+                    this.endDate ? `<DTEND>${StatementWriter.toOFXDate(this.endDate)}` : null,
+                    ''
+                ].filter(line => line !== null).join('\r\n');
+        }
+    }
+
+    /**
+     * Format a single transaction row; `index` is its position in the export
+     */
+    row(transaction, index) {
+        // Amounts are stored in minor units
+        const amount = transaction.amount;
+
+        switch (this.format) {
+            case 'csv':
+                return [
+                    transaction.transaction_date,
+                    transaction.type,
+                    transaction.category,
+                    Money.format(amount),
+                    transaction.currency,
+                    transaction.description || ''
+                ].map(StatementWriter.escapeCSV).join(',') + '\r\n';
+
+            case 'json':
+                return (index > 0 ? ',' : '') + JSON.stringify({
+                    id: transaction.id,
+                    amount: Money.toMajor(amount),
+                    currency: transaction.currency,
+                    type: transaction.type,
+                    category: transaction.category,
+                    description: transaction.description,
+                    date: transaction.transaction_date,
+                    createdAt: transaction.created_at
+                });
+
+            case 'ofx': {
+                const signed = ['expense', 'transfer_out'].includes(transaction.type) ? -amount : amount;
+                const lines = [
+                    '<STMTTRN>',
+                    `<TRNTYPE>${StatementWriter.toOFXType(transaction.type)}`,
+                    `<DTPOSTED>${StatementWriter.toOFXDate(transaction.transaction_date)}`,
+                    `<TRNAMT>${Money.format(signed)}`,
+                    `<FITID>${transaction.id}`,
+                    `<NAME>${StatementWriter.escapeOFX(transaction.description || transaction.category)}`
+                ];
+
+                // Amounts in another currency than CURDEF carry their own currency and rate
+                if (transaction.currency !== this.currency && this.rates[transaction.currency] && this.rates[this.currency]) {
+                    const rate = this.rates[transaction.currency] / this.rates[this.currency];
+                    lines.push(`<CURRENCY><CURRATE>${parseFloat(rate.toFixed(6))}<CURSYM>${transaction.currency}</CURRENCY>`);
+                }
+
+                lines.push('</STMTTRN>', '');
+                return lines.join('\r\n');
+            }
+        }
+    }
+
+    /**
+     * Text written after the last transaction
+     */
+    footer() {
+        switch (this.format) {
+            case 'csv':
+                return '';
+
+            case 'json':
+                return ']}';
+
+            case 'ofx':
+                return [
+                    '</BANKTRANLIST>',
+                    '</STMTRS>',
+                    '</STMTTRNRS>',
+                    '</BANKMSGSRSV1>',
+                    '</OFX>',
+                    ''
+                ].join('\r\n');
+        }
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     */
+    static escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static escapeOFX(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/[\r\n]+/g, ' ');
+    }
+
+    /**
+     * YYYY-MM-DD to the OFX date format (YYYYMMDD)
+     */
+    static toOFXDate(date) {
+        return date.replace(/-/g, '');
+    }
+
+    /**
+     * Transaction type to the OFX TRNTYPE (the sign of TRNAMT carries the direction)
+     */
+    static toOFXType(type) {
+        if (type === 'expense') {
+            return 'DEBIT';
+        }
+        return type.startsWith('transfer_') ? 'XFER' : 'CREDIT';
+    }
+}
+
+module.exports = StatementWriter;
@@ -0,0 +1,267 @@
+/**
+ * Two-Factor Authentication Helpers
+ * TOTP codes (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps) and single-use recovery codes.
+ * TOTP secrets are stored encrypted with AES-256-GCM; recovery codes only as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const Validators = require('./validators');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // codes from the previous and next step are accepted too
+
+class TwoFactor {
+    /**
+     * Generate a new base32-encoded TOTP secret (160 bits)
+     */
+    static generateSecret() {
+        return TwoFactor.base32Encode(crypto.randomBytes(20));
+    }
+
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    static base32Decode(input) {
+        const cleaned = input.toUpperCase().replace(/=+$/, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 character');
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Time step for a timestamp in milliseconds
+     */
+    static getStep(now = Date.now()) {
+        return Math.floor(now / 1000 / STEP_SECONDS);
+    }
+
+    /**
+     * Compute the code of a secret for a time step
+     */
+    static generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', TwoFactor.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+    }
+
+    /**
+     * Check a code against the current time step (with drift)
+     * Returns the matching step, or null when the code is wrong
+     */
+    static verifyCode(secret, code, now = Date.now()) {
+        const candidate = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+            return null;
+        }
+
+        const current = TwoFactor.getStep(now);
+        for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+            const expected = TwoFactor.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * otpauth:// URI understood by authenticator apps (usually shown as a QR code)
+     */
+    static buildOtpAuthUri(secret, accountName) {
+        const issuer = config.security.mfaIssuer;
+        const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(DIGITS),
+            period: String(STEP_SECONDS)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    static getEncryptionKey() {
+        return crypto.createHash('sha256').update(String(config.security.mfaEncryptionKey)).digest();
+    }
+
+    /**
+     * Encrypt a TOTP secret for storage as "iv:authTag:ciphertext" (base64)
+     */
+    static encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', TwoFactor.getEncryptionKey(), iv);
+        const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+    }
+
+    static decryptSecret(stored) {
+        const [iv, authTag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', TwoFactor.getEncryptionKey(), iv);
+        decipher.setAuthTag(authTag);
+
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Generate readable recovery codes such as "k7d2m-x9qpa"
+     */
+    static generateRecoveryCodes(count = config.security.mfaRecoveryCodeCount) {
+        const alphabet = BASE32_ALPHABET.toLowerCase();
+        const codes = [];
+
+        for (let i = 0; i < count; i++) {
+            let code = '';
+            for (let j = 0; j < 10; j++) {
+                code += alphabet[crypto.randomInt(alphabet.length)];
+            }
+            codes.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+        }
+
+        return codes;
+    }
+
+    /**
+     * Hash a recovery code; case, spaces and dashes are ignored
+     */
+    static hashRecoveryCode(code) {
+        return Validators.hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+    }
+
+    /**
+     * Enrollment row of a user (pending or enabled), or undefined
+     */
+    static async getEnrollment(databaseManager, userId) {
+        return databaseManager.get(
+            'SELECT user_id, secret_encrypted, enabled_at, last_used_step FROM user_mfa WHERE user_id = ?',
+            [userId]
+        );
+    }
+
+    static async isEnabled(databaseManager, userId) {
+        const enrollment = await TwoFactor.getEnrollment(databaseManager, userId);
+        return !!(enrollment && enrollment.enabled_at);
+    }
+
+    /**
+     * Accept a TOTP code once: a code (or an older one) cannot be replayed
+     * Returns false for a wrong or already used code
+     */
+    static async consumeCode(databaseManager, enrollment, code) {
+        const step = TwoFactor.verifyCode(TwoFactor.decryptSecret(enrollment.secret_encrypted), code);
+        if (step === null) {
+            return false;
+        }
+
+        const result = await databaseManager.run(`
+            UPDATE user_mfa SET last_used_step = ?
+            WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+        `, [step, enrollment.user_id, step]);
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Mark a recovery code as used; returns false for a wrong or already used code
+     */
+    static async consumeRecoveryCode(databaseManager, userId, recoveryCode) {
+        const result = await databaseManager.run(`
+            UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+            WHERE code_hash = ? AND user_id = ? AND used_at IS NULL
+        `, [TwoFactor.hashRecoveryCode(recoveryCode), userId]);
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Check a second factor of an enabled enrollment: either `code` (TOTP) or `recoveryCode`
+     * Returns 'totp', 'recovery_code' or null
+     */
+    static async verifySecondFactor(databaseManager, enrollment, { code, recoveryCode }) {
+        if (code) {
+            return (await TwoFactor.consumeCode(databaseManager, enrollment, code)) ? 'totp' : null;
+        }
+
+        if (recoveryCode) {
+            return (await TwoFactor.consumeRecoveryCode(databaseManager, enrollment.user_id, recoveryCode))
+                ? 'recovery_code'
+                : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace all recovery codes of a user; returns the new plain codes (shown once)
+     */
+    static async replaceRecoveryCodes(databaseManager, userId) {
+        const codes = TwoFactor.generateRecoveryCodes();
+
+        await databaseManager.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+        for (const code of codes) {
+            await databaseManager.run(
+                'INSERT INTO mfa_recovery_codes (code_hash, user_id) VALUES (?, ?)',
+                [TwoFactor.hashRecoveryCode(code), userId]
+            );
+        }
+
+        return codes;
+    }
+
+    static async countRecoveryCodes(databaseManager, userId) {
+        const row = await databaseManager.get(
+            'SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+
+        return row.remaining;
+    }
+}
+
+module.exports = TwoFactor;
@@ -5,6 +5,7 @@
 
 const crypto = require('crypto');
 const config = require('./config');
+const Money = require('./money');
 
 class Validators {
     /**
@@ -190,15 +191,19 @@ class Validators {
 
     /**
      * Enhanced transaction validation
+     * `options.categories` lists the user's usable category names per type (default: the built-in list)
+     * `options.splits` divides the amount across categories; the transaction then takes the category of its largest line
+     * The sanitized amount is in minor units
      */
-    static validateTransaction(amount, type, category, description) {
+    static validateTransaction(amount, type, category, description, options = {}) {
         const errors = [];
+        const categories = options.categories || config.transactionCategories;
 
         // Validate amount
-        amount = parseFloat(amount);
+        amount = Money.toMinor(amount);
         if (isNaN(amount) || amount <= 0) {
             errors.push('Amount must be a positive number');
-        } else if (amount > config.validation.transactionAmountMax) {
+        } else if (amount > Money.toMinor(config.validation.transactionAmountMax)) {
             errors.push(`Amount cannot exceed ${config.validation.transactionAmountMax}`);
         }
 
@@ -207,11 +212,25 @@ class Validators {
             errors.push('Transaction type must be "income" or "expense"');
         }
 
-        // Validate category
+        // Validate split lines
+        let splits = null;
+        if (options.splits !== undefined && options.splits !== null) {
+            const splitValidation = Validators.validateSplits(options.splits, amount, type, categories);
+            if (!splitValidation.valid) {
+                errors.push(splitValidation.message);
+            } else {
+                splits = splitValidation.sanitized;
+                category = splits.reduce((largest, line) => (line.amount > largest.amount ? line : largest)).category;
+            }
+        }
+
+        // Validate category (invalid split lines are already reported)
         if (!category || typeof category !== 'string' || category.trim().length === 0) {
-            errors.push('Category is required');
+            if (options.splits === undefined || options.splits === null) {
+                errors.push('Category is required');
+            }
         } else {
-            const validCategories = [...config.transactionCategories.income, ...config.transactionCategories.expense];
+            const validCategories = categories[type] || [...new Set([...categories.income, ...categories.expense])];
             if (!validCategories.includes(category.trim())) {
                 errors.push(`Invalid category. Must be one of: ${validCategories.join(', ')}`);
             }
@@ -224,6 +243,12 @@ class Validators {
             }
         }
 
+        // Validate currency (optional; callers fall back to the user's currency)
+        const currency = typeof options.currency === 'string' ? options.currency.trim().toUpperCase() : options.currency;
+        if (currency !== undefined && currency !== null && !config.settings.supportedCurrencies.includes(currency)) {
+            errors.push(`Currency must be one of: ${config.settings.supportedCurrencies.join(', ')}`);
+        }
+
         if (errors.length > 0) {
             return { valid: false, message: errors.join(', ') };
         }
@@ -231,16 +256,643 @@ class Validators {
         return { 
             valid: true, 
             sanitized: {
-                amount: parseFloat(amount.toFixed(2)),
+                amount,
                 type: type,
                 category: category.trim(),
-                description: description ? description.trim() : null
+                description: description ? description.trim() : null,
+                currency: currency || null,
+                ...(splits && { splits })
+            }
+        };
+    }
+
+    /**
+     * Split line validation: `amount` is the transaction amount in minor units, which the lines must add up to
+     * Every line needs a category of the transaction's type; sanitized line amounts are in minor units
+     */
+    static validateSplits(splits, amount, type, categories = config.transactionCategories) {
+        const { minLines, maxLines } = config.splits;
+
+        if (!Array.isArray(splits) || splits.length < minLines || splits.length > maxLines) {
+            return { valid: false, message: `Splits must be a list of ${minLines} to ${maxLines} lines` };
+        }
+
+        const errors = [];
+        const validCategories = categories[type] || [...new Set([...categories.income, ...categories.expense])];
+        const sanitized = [];
+
+        splits.forEach((line, index) => {
+            const label = `Split line ${index + 1}`;
+
+            if (!line || typeof line !== 'object') {
+                errors.push(`${label} must be an object with a category and an amount`);
+                return;
+            }
+
+            const lineCategory = typeof line.category === 'string' ? line.category.trim() : '';
+            if (!validCategories.includes(lineCategory)) {
+                errors.push(`${label}: invalid category ${lineCategory || '(missing)'}`);
+            }
+
+            const lineAmount = Money.toMinor(line.amount);
+            if (isNaN(lineAmount) || lineAmount <= 0) {
+                errors.push(`${label}: amount must be a positive number`);
+            }
+
+            if (line.description !== undefined && line.description !== null &&
+                (typeof line.description !== 'string' || line.description.length > config.validation.descriptionMaxLength)) {
+                errors.push(`${label}: description must be text of less than ${config.validation.descriptionMaxLength} characters`);
+            }
+
+            sanitized.push({
+                category: lineCategory,
+                amount: lineAmount,
+                description: line.description ? line.description.trim() : null
+            });
+        });
+
+        // Compared in minor units so decimals add up exactly
+        if (errors.length === 0 && !isNaN(amount)) {
+            const total = Money.sum(sanitized.map(line => line.amount));
+            if (total !== amount) {
+                errors.push(`Split amounts add up to ${Money.format(total)} instead of ${Money.format(amount)}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return { valid: true, sanitized };
+    }
+
+    /**
+     * Recurring transaction rule validation
+     */
+    static validateRecurringRule({ amount, type, category, description, currency, categories, frequency, interval, startDate, endDate, maxOccurrences }) {
+        const errors = [];
+
+        // Amount, type, category, description and currency follow the transaction rules
+        const transactionValidation = Validators.validateTransaction(amount, type, category, description, { currency, categories });
+        if (!transactionValidation.valid) {
+            errors.push(transactionValidation.message);
+        }
+
+        // Validate frequency
+        if (!config.recurring.frequencies.includes(frequency)) {
+            errors.push(`Frequency must be one of: ${config.recurring.frequencies.join(', ')}`);
+        }
+
+        // Validate interval (every N days/weeks/months/years)
+        const intervalNum = interval === undefined || interval === null ? 1 : Number(interval);
+        if (!Number.isInteger(intervalNum) || intervalNum < 1 || intervalNum > config.recurring.maxInterval) {
+            errors.push(`Interval must be a whole number between 1 and ${config.recurring.maxInterval}`);
+        }
+
+        // Validate start and end dates
+        if (!Validators.isValidDateString(startDate)) {
+            errors.push('Start date must be a valid date (YYYY-MM-DD)');
+        }
+
+        if (endDate !== undefined && endDate !== null) {
+            if (!Validators.isValidDateString(endDate)) {
+                errors.push('End date must be a valid date (YYYY-MM-DD)');
+            } else if (Validators.isValidDateString(startDate) && endDate < startDate) {
+                errors.push('End date must be on or after the start date');
+            }
+        }
+
+        // Validate occurrence count
+        let maxOccurrencesNum = null;
+        if (maxOccurrences !== undefined && maxOccurrences !== null) {
+            maxOccurrencesNum = Number(maxOccurrences);
+            if (!Number.isInteger(maxOccurrencesNum) || maxOccurrencesNum < 1 || maxOccurrencesNum > config.recurring.maxOccurrences) {
+                errors.push(`Occurrence count must be a whole number between 1 and ${config.recurring.maxOccurrences}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                ...transactionValidation.sanitized,
+                frequency,
+                interval: intervalNum,
+                startDate,
+                endDate: endDate || null,
+                maxOccurrences: maxOccurrencesNum
+            }
+        };
+    }
+
+    /**
+     * Category budget validation
+     * `categories` lists the user's usable category names per type (default: the built-in list)
+     * The sanitized amount is in minor units
+     */
+    static validateBudget(category, amount, period, categories = config.transactionCategories) {
+        const errors = [];
+
+        // Budgets only apply to expense categories
+        if (!category || typeof category !== 'string' || category.trim().length === 0) {
+            errors.push('Category is required');
+        } else if (!categories.expense.includes(category.trim())) {
+            errors.push(`Invalid category. Must be one of: ${categories.expense.join(', ')}`);
+        }
+
+        amount = Money.toMinor(amount);
+        if (isNaN(amount) || amount <= 0) {
+            errors.push('Budget amount must be a positive number');
+        } else if (amount > Money.toMinor(config.validation.transactionAmountMax)) {
+            errors.push(`Budget amount cannot exceed ${config.validation.transactionAmountMax}`);
+        }
+
+        period = period || 'monthly';
+        if (!config.budget.periods.includes(period)) {
+            errors.push(`Period must be one of: ${config.budget.periods.join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                category: category.trim(),
+                amount,
+                period
+            }
+        };
+    }
+
+    /**
+     * User category validation; `icon` is a free-form icon name and `color` a #RRGGBB value
+     */
+    static validateCategory(name, type, icon, color) {
+        const errors = [];
+
+        const sanitizedName = Validators.sanitizeString(name, config.categories.nameMaxLength);
+        if (!sanitizedName) {
+            errors.push('Category name is required');
+        } else if (name.trim().length > config.categories.nameMaxLength) {
+            errors.push(`Category name must be less than ${config.categories.nameMaxLength} characters`);
+        } else if (sanitizedName === config.accounts.transferCategory) {
+            errors.push(`${config.accounts.transferCategory} is reserved for transfers between accounts`);
+        }
+
+        if (!['income', 'expense'].includes(type)) {
+            errors.push('Category type must be "income" or "expense"');
+        }
+
+        if (icon !== undefined && icon !== null && (typeof icon !== 'string' || icon.length > config.categories.iconMaxLength)) {
+            errors.push(`Icon must be text of less than ${config.categories.iconMaxLength} characters`);
+        }
+
+        if (color !== undefined && color !== null && (typeof color !== 'string' || !config.categories.colorPattern.test(color))) {
+            errors.push('Color must be a hex color such as #4CAF50');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                name: sanitizedName,
+                type,
+                icon: icon ? Validators.sanitizeString(icon, config.categories.iconMaxLength) : null,
+                color: color ? color.toUpperCase() : null
+            }
+        };
+    }
+
+    /**
+     * Account validation
+     * The opening balance may be negative (e.g. a card with debt); it is sanitized to minor units
+     */
+    static validateAccount(name, type, currency, openingBalance) {
+        const errors = [];
+
+        const sanitizedName = Validators.sanitizeString(name, config.accounts.nameMaxLength);
+        if (!sanitizedName) {
+            errors.push('Account name is required');
+        } else if (name.trim().length > config.accounts.nameMaxLength) {
+            errors.push(`Account name must be less than ${config.accounts.nameMaxLength} characters`);
+        }
+
+        if (!config.accounts.types.includes(type)) {
+            errors.push(`Account type must be one of: ${config.accounts.types.join(', ')}`);
+        }
+
+        currency = typeof currency === 'string' ? currency.trim().toUpperCase() : currency;
+        if (!config.settings.supportedCurrencies.includes(currency)) {
+            errors.push(`Currency must be one of: ${config.settings.supportedCurrencies.join(', ')}`);
+        }
+
+        openingBalance = openingBalance === undefined || openingBalance === null ? 0 : Money.toMinor(openingBalance);
+        if (isNaN(openingBalance)) {
+            errors.push('Opening balance must be a number');
+        } else if (Math.abs(openingBalance) > Money.toMinor(config.validation.transactionAmountMax)) {
+            errors.push(`Opening balance cannot exceed ${config.validation.transactionAmountMax}`);
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                name: sanitizedName,
+                type,
+                currency,
+                openingBalance
+            }
+        };
+    }
+
+    /**
+     * Transfer validation; `toAmount` is the amount credited when the accounts use different currencies
+     * The sanitized amounts are in minor units (toAmount is null when not given)
+     */
+    static validateTransfer(fromAccountId, toAccountId, amount, toAmount, date, description) {
+        const errors = [];
+
+        if (!fromAccountId || !toAccountId) {
+            errors.push('Source and destination accounts are required');
+        } else if (fromAccountId === toAccountId) {
+            errors.push('Source and destination accounts must be different');
+        }
+
+        const maxAmount = Money.toMinor(config.validation.transactionAmountMax);
+
+        amount = Money.toMinor(amount);
+        if (isNaN(amount) || amount <= 0) {
+            errors.push('Amount must be a positive number');
+        } else if (amount > maxAmount) {
+            errors.push(`Amount cannot exceed ${config.validation.transactionAmountMax}`);
+        }
+
+        if (toAmount !== undefined && toAmount !== null) {
+            toAmount = Money.toMinor(toAmount);
+            if (isNaN(toAmount) || toAmount <= 0) {
+                errors.push('Destination amount must be a positive number');
+            } else if (toAmount > maxAmount) {
+                errors.push(`Destination amount cannot exceed ${config.validation.transactionAmountMax}`);
+            }
+        } else {
+            toAmount = null;
+        }
+
+        if (!Validators.isValidDateString(date)) {
+            errors.push('Date must be a valid date (YYYY-MM-DD)');
+        }
+
+        if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > config.validation.descriptionMaxLength)) {
+            errors.push(`Description must be text of less than ${config.validation.descriptionMaxLength} characters`);
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                amount,
+                toAmount,
+                date,
+                description: description ? Validators.sanitizeString(description.trim(), config.validation.descriptionMaxLength) : null
+            }
+        };
+    }
+
+    /**
+     * Transaction tags validation
+     * Tags are trimmed and de-duplicated ignoring case; missing tags sanitize to an empty array
+     */
+    static validateTags(tags) {
+        if (tags === undefined || tags === null) {
+            return { valid: true, sanitized: [] };
+        }
+
+        const { maxPerTransaction, maxLength } = config.tags;
+
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0)) {
+            return { valid: false, message: 'Tags must be an array of non-empty strings' };
+        }
+
+        const sanitized = [];
+        for (const tag of tags) {
+            if (tag.trim().length > maxLength) {
+                return { valid: false, message: `Tags must be less than ${maxLength} characters` };
+            }
+
+            const cleanTag = Validators.sanitizeString(tag, maxLength);
+            if (cleanTag && !sanitized.some(t => t.toLowerCase() === cleanTag.toLowerCase())) {
+                sanitized.push(cleanTag);
+            }
+        }
+
+        if (sanitized.length > maxPerTransaction) {
+            return { valid: false, message: `A transaction cannot have more than ${maxPerTransaction} tags` };
+        }
+
+        return { valid: true, sanitized };
+    }
+
+    /**
+     * Categorization rule validation
+     * A rule needs at least one description or amount condition and must set a category, tags or both.
+     * The category is checked against the rule's type (either type when the rule has none).
+     */
+    static validateCategorizationRule({ name, priority, type, descriptionContains, descriptionPattern, minAmount, maxAmount, category, tags, categories }) {
+        const errors = [];
+        const { nameMaxLength, patternMaxLength } = config.categorizationRules;
+        const isSet = value => value !== undefined && value !== null && String(value).trim() !== '';
+
+        const sanitizedName = Validators.sanitizeString(name, nameMaxLength);
+        if (!sanitizedName) {
+            errors.push('Rule name is required');
+        } else if (name.trim().length > nameMaxLength) {
+            errors.push(`Rule name must be less than ${nameMaxLength} characters`);
+        }
+
+        const priorityNum = isSet(priority) ? Number(priority) : 0;
+        if (!Number.isInteger(priorityNum) || priorityNum < 0) {
+            errors.push('Priority must be a non-negative integer');
+        }
+
+        if (isSet(type) && !['income', 'expense'].includes(type)) {
+            errors.push('Rule type must be "income" or "expense"');
+        }
+
+        // Conditions
+        if (isSet(descriptionContains) && (typeof descriptionContains !== 'string' || descriptionContains.length > config.validation.descriptionMaxLength)) {
+            errors.push(`Description text must be less than ${config.validation.descriptionMaxLength} characters`);
+        }
+
+        if (isSet(descriptionPattern)) {
+            if (typeof descriptionPattern !== 'string' || descriptionPattern.length > patternMaxLength) {
+                errors.push(`Description pattern must be less than ${patternMaxLength} characters`);
+            } else {
+                try {
+                    new RegExp(descriptionPattern, 'i');
+                    const problem = Validators.getPatternProblem(descriptionPattern);
+                    if (problem) {
+                        errors.push(`Description pattern ${problem}`);
+                    }
+                } catch (error) {
+                    errors.push('Description pattern is not a valid regular expression');
+                }
+            }
+        }
+
+        const amounts = {};
+        for (const [field, value] of [['minAmount', minAmount], ['maxAmount', maxAmount]]) {
+            if (isSet(value)) {
+                amounts[field] = Money.toMinor(value);
+                if (isNaN(amounts[field]) || amounts[field] <= 0) {
+                    errors.push(`${field} must be a positive number`);
+                }
+            } else {
+                amounts[field] = null;
+            }
+        }
+
+        if (amounts.minAmount && amounts.maxAmount && amounts.minAmount > amounts.maxAmount) {
+            errors.push('minAmount cannot be greater than maxAmount');
+        }
+
+        if (![descriptionContains, descriptionPattern, minAmount, maxAmount].some(isSet)) {
+            errors.push('A rule needs a description or amount condition');
+        }
+
+        // Actions
+        if (isSet(category)) {
+            const names = categories || config.transactionCategories;
+            const validCategories = names[type] || [...new Set([...names.income, ...names.expense])];
+            if (typeof category !== 'string' || !validCategories.includes(category.trim())) {
+                errors.push(`Invalid category. Must be one of: ${validCategories.join(', ')}`);
+            }
+        }
+
+        const tagsValidation = Validators.validateTags(tags);
+        if (!tagsValidation.valid) {
+            errors.push(tagsValidation.message);
+        }
+
+        if (!isSet(category) && tagsValidation.valid && tagsValidation.sanitized.length === 0) {
+            errors.push('A rule must set a category or tags');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                name: sanitizedName,
+                priority: priorityNum,
+                type: type || null,
+                descriptionContains: isSet(descriptionContains) ? descriptionContains.trim() : null,
+                descriptionPattern: isSet(descriptionPattern) ? descriptionPattern : null,
+                minAmount: amounts.minAmount,
+                maxAmount: amounts.maxAmount,
+                category: isSet(category) ? category.trim() : null,
+                tags: tagsValidation.sanitized
+            }
+        };
+    }
+
+    /**
+     * Why a description pattern could take too long to run, or null when it is safe
+     * Patterns run on the event loop, so the ones that can backtrack heavily are refused:
+     * repeated groups, backreferences and more than `patternMaxBranchPoints` quantifiers
+     * and groups with alternatives in total.
+     */
+    static getPatternProblem(pattern) {
+        const { patternMaxBranchPoints } = config.categorizationRules;
+        const groups = []; // open groups: whether they already have an alternative
+        let branchPoints = 0;
+        let previous = null; // 'quantifier', 'open', 'group' or 'atom'
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            const bounds = char === '{' ? pattern.slice(i).match(/^\{\d+(?:,\d*)?\}/) : null;
+
+            if (char === '*' || char === '+' || bounds || (char === '?' && previous !== 'open')) {
+                if (previous === 'quantifier' && char === '?') {
+                    continue; // lazy modifier
+                }
+                if (previous === 'group') {
+                    return 'cannot repeat a group';
+                }
+                branchPoints++;
+                previous = 'quantifier';
+                i += bounds ? bounds[0].length - 1 : 0;
+            } else if (char === '|' && groups.length > 0 && !groups[groups.length - 1]) {
+                groups[groups.length - 1] = true;
+                branchPoints++;
+                previous = 'atom';
+            } else if (char === '\\') {
+                if (/[1-9k]/.test(pattern[i + 1] || '')) {
+                    return 'cannot use backreferences';
+                }
+                i++;
+                previous = 'atom';
+            } else if (char === '[') {
+                for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                    if (pattern[i] === '\\') {
+                        i++;
+                    }
+                }
+                previous = 'atom';
+            } else if (char === '(') {
+                groups.push(false);
+                previous = 'open';
+            } else if (char === ')') {
+                groups.pop();
+                previous = 'group';
+            } else {
+                previous = 'atom';
+            }
+
+            if (branchPoints > patternMaxBranchPoints) {
+                return `cannot have more than ${patternMaxBranchPoints} quantifiers and alternatives inside groups`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Savings goal validation
+     * The sanitized target amount is in minor units
+     */
+    static validateSavingsGoal(name, targetAmount, currency, deadline) {
+        const errors = [];
+
+        const sanitizedName = Validators.sanitizeString(name, config.goals.nameMaxLength);
+        if (!sanitizedName) {
+            errors.push('Goal name is required');
+        } else if (name.trim().length > config.goals.nameMaxLength) {
+            errors.push(`Goal name must be less than ${config.goals.nameMaxLength} characters`);
+        }
+
+        targetAmount = Money.toMinor(targetAmount);
+        if (isNaN(targetAmount) || targetAmount <= 0) {
+            errors.push('Target amount must be a positive number');
+        } else if (targetAmount > Money.toMinor(config.validation.transactionAmountMax)) {
+            errors.push(`Target amount cannot exceed ${config.validation.transactionAmountMax}`);
+        }
+
+        currency = typeof currency === 'string' ? currency.trim().toUpperCase() : currency;
+        if (!config.settings.supportedCurrencies.includes(currency)) {
+            errors.push(`Currency must be one of: ${config.settings.supportedCurrencies.join(', ')}`);
+        }
+
+        if (deadline !== undefined && deadline !== null && !Validators.isValidDateString(deadline)) {
+            errors.push('Deadline must be a valid date (YYYY-MM-DD)');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                name: sanitizedName,
+                targetAmount,
+                currency,
+                deadline: deadline || null
+            }
+        };
+    }
+
+    /**
+     * Savings goal contribution validation
+     * The sanitized amount is in minor units
+     */
+    static validateGoalContribution(amount, date, note) {
+        const errors = [];
+
+        amount = Money.toMinor(amount);
+        if (isNaN(amount) || amount <= 0) {
+            errors.push('Contribution amount must be a positive number');
+        } else if (amount > Money.toMinor(config.validation.transactionAmountMax)) {
+            errors.push(`Contribution amount cannot exceed ${config.validation.transactionAmountMax}`);
+        }
+
+        if (!Validators.isValidDateString(date)) {
+            errors.push('Date must be a valid date (YYYY-MM-DD)');
+        }
+
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > config.validation.descriptionMaxLength)) {
+            errors.push(`Note must be text of less than ${config.validation.descriptionMaxLength} characters`);
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                amount,
+                date,
+                note: note ? Validators.sanitizeString(note.trim(), config.validation.descriptionMaxLength) : null
+            }
+        };
+    }
+
+    /**
+     * Check that a value is a real calendar date in YYYY-MM-DD format
+     */
+    static isValidDateString(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    }
+
+    /**
+     * Validate page/limit query parameters (1-based pages)
+     */
+    static validatePagination(page = 1, limit = 20, maxLimit = 100) {
+        const pageNum = Number(page);
+        const limitNum = Number(limit);
+
+        if (!Number.isInteger(pageNum) || pageNum < 1) {
+            return { valid: false, message: 'Page must be a positive integer' };
+        }
+
+        if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > maxLimit) {
+            return { valid: false, message: `Limit must be between 1 and ${maxLimit}` };
+        }
+
+        return {
+            valid: true,
+            sanitized: {
+                page: pageNum,
+                limit: limitNum,
+                offset: (pageNum - 1) * limitNum
             }
         };
     }
 
     /**
      * Enhanced user profile validation
+     * The sanitized salary is in minor units
      */
     static validateUserProfile(jobTitle, monthlySalary, savingsGoalPercentage) {
         const errors = [];
@@ -253,10 +905,10 @@ class Validators {
         }
 
         // Validate monthly salary
-        monthlySalary = parseFloat(monthlySalary);
+        monthlySalary = Money.toMinor(monthlySalary);
         if (isNaN(monthlySalary) || monthlySalary <= 0) {
             errors.push('Monthly salary must be a positive number');
-        } else if (monthlySalary > 999999) {
+        } else if (monthlySalary > Money.toMinor(999999)) {
             errors.push('Monthly salary cannot exceed 999,999');
         }
 
@@ -274,7 +926,7 @@ class Validators {
             valid: true, 
             sanitized: {
                 jobTitle: jobTitle.trim(),
-                monthlySalary: parseFloat(monthlySalary.toFixed(2)),
+                monthlySalary,
                 savingsGoalPercentage: parseFloat(savingsGoalPercentage.toFixed(1))
             }
         };
@@ -282,8 +934,10 @@ class Validators {
 
     /**
      * Enhanced date range validation
+     * `today` (YYYY-MM-DD, in the user's timezone) is the latest allowed end date; without it the end
+     * cannot be after the current UTC time
      */
-    static validateDateRange(startDate, endDate) {
+    static validateDateRange(startDate, endDate, today = null) {
         const errors = [];
 
         // Parse dates
@@ -304,7 +958,7 @@ class Validators {
                 errors.push('Start date must be before end date');
             }
 
-            if (end > now) {
+            if (today ? end > new Date(today) : end > now) {
                 errors.push('End date cannot be in the future');
             }
 
@@ -328,6 +982,94 @@ class Validators {
         };
     }
 
+    /**
+     * User settings validation (partial updates)
+     * Only sections and keys present in the default settings are accepted
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return { valid: false, message: 'Settings must be an object' };
+        }
+
+        const defaults = config.settings.defaults;
+        const errors = [];
+        const sanitized = {};
+
+        for (const [section, values] of Object.entries(settings)) {
+            if (!defaults[section]) {
+                errors.push(`Unknown settings section: ${section}`);
+                continue;
+            }
+
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                errors.push(`Invalid ${section} settings`);
+                continue;
+            }
+
+            sanitized[section] = {};
+
+            for (const [key, value] of Object.entries(values)) {
+                if (!Object.prototype.hasOwnProperty.call(defaults[section], key)) {
+                    errors.push(`Unknown ${section} setting: ${key}`);
+                    continue;
+                }
+
+                if (typeof value !== typeof defaults[section][key]) {
+                    errors.push(`${section}.${key} must be a ${typeof defaults[section][key]}`);
+                    continue;
+                }
+
+                sanitized[section][key] = typeof value === 'string' ? value.trim() : value;
+            }
+        }
+
+        const preferences = sanitized.preferences || {};
+
+        if (preferences.currency !== undefined) {
+            preferences.currency = preferences.currency.toUpperCase();
+            if (!config.settings.supportedCurrencies.includes(preferences.currency)) {
+                errors.push(`Invalid currency. Must be one of: ${config.settings.supportedCurrencies.join(', ')}`);
+            }
+        }
+
+        if (preferences.language !== undefined) {
+            preferences.language = preferences.language.toLowerCase();
+            if (!config.settings.supportedLanguages.includes(preferences.language)) {
+                errors.push(`Invalid language. Must be one of: ${config.settings.supportedLanguages.join(', ')}`);
+            }
+        }
+
+        if (preferences.timezone !== undefined && !Validators.isValidTimezone(preferences.timezone)) {
+            errors.push('Invalid timezone');
+        }
+
+        if (errors.length === 0 && Object.keys(sanitized).length === 0) {
+            errors.push('No settings provided');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, message: errors.join(', ') };
+        }
+
+        return { valid: true, sanitized };
+    }
+
+    /**
+     * Check that a timezone is a valid IANA zone name
+     */
+    static isValidTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') {
+            return false;
+        }
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Sanitize and validate input strings
      */
@@ -378,6 +1120,13 @@ class Validators {
         return crypto.randomBytes(length).toString('hex');
     }
 
+    /**
+     * Hash a secret token for storage (only the hash is kept in the database)
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
     /**
      * Validate JWT token format
      */